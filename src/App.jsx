@@ -1,8 +1,13 @@
 import React from "react";
-import TournamentBracketApp from "./components/TournamentBracketApp";
+import TournamentManager from "./components/TournamentManager";
+import CallBoard from "./components/CallBoard";
+
+// ?board=<tournament id> opens the venue call board instead of the editor
+const boardId = new URLSearchParams(window.location.search).get("board");
 
 const App = () => {
-  return <TournamentBracketApp />;
+  if (boardId) return <CallBoard tournamentId={boardId} />;
+  return <TournamentManager />;
 };
 
 export default App;
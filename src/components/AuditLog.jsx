@@ -0,0 +1,61 @@
+import React from "react";
+import { AUDIT_ACTIONS } from "../utils/history";
+
+const buttonClass =
+  "flex-1 bg-gray-600 hover:bg-gray-500 disabled:bg-gray-700 disabled:text-gray-500 disabled:cursor-not-allowed text-white font-semibold py-2 px-4 rounded-lg shadow-md text-sm";
+
+// Undo/redo buttons and the timestamped log of roster and bracket changes,
+// newest first. The log is saved and exported with the tournament.
+function AuditLog({ entries, canUndo, canRedo, onUndo, onRedo }) {
+  return (
+    <div className="mt-3">
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={onUndo}
+          disabled={!canUndo}
+          title="Ctrl+Z"
+          className={buttonClass}
+        >
+          Undo
+        </button>
+        <button
+          type="button"
+          onClick={onRedo}
+          disabled={!canRedo}
+          title="Ctrl+Shift+Z"
+          className={buttonClass}
+        >
+          Redo
+        </button>
+      </div>
+      <details className="mt-3 text-sm text-gray-300">
+        <summary className="cursor-pointer text-teal-200">
+          Audit log ({entries.length})
+        </summary>
+        {entries.length === 0 ? (
+          <p className="text-xs text-gray-400 mt-2">No changes yet.</p>
+        ) : (
+          <ol className="mt-2 space-y-1 max-h-60 overflow-y-auto custom-scrollbar text-xs">
+            {entries
+              .map((entry, index) => ({ entry, index }))
+              .reverse()
+              .map(({ entry, index }) => (
+                <li key={index} className="bg-gray-700 rounded px-2 py-1">
+                  <time dateTime={entry.at} className="text-gray-400 mr-2">
+                    {new Date(entry.at).toLocaleString()}
+                  </time>
+                  <span className="font-semibold">
+                    {AUDIT_ACTIONS[entry.action] ?? entry.action}
+                  </span>
+                  {entry.details && `: ${entry.details}`}
+                </li>
+              ))}
+          </ol>
+        )}
+      </details>
+    </div>
+  );
+}
+
+export default AuditLog;
@@ -0,0 +1,155 @@
+import React, { useMemo } from "react";
+import { isRealPlayer } from "../utils/bracketResults";
+import { getRoundTitle, layoutBracket } from "../utils/bracketLayout";
+
+// Sizes of the tree grid in pixels
+const COLUMN_WIDTH = 184;
+const COLUMN_GAP = 44;
+const ROW_HEIGHT = 76;
+const CARD_HEIGHT = 60;
+const SLOT_HEIGHT = CARD_HEIGHT / 2;
+const HEADER_ROWS = 0.5;
+
+const getColumnLeft = (column) => column * (COLUMN_WIDTH + COLUMN_GAP);
+const getRowTop = (row) => row * ROW_HEIGHT;
+
+// Horizontal bracket: rounds as columns, matches centred between their
+// feeders and connector lines showing where each winner goes next.
+// getMatchLabel can return a short note shown above a card (e.g. "Bo3").
+function BracketTreeView({
+  sections,
+  finals = [],
+  renderSlot,
+  getMatchLabel = () => null,
+}) {
+  const layout = useMemo(
+    () =>
+      layoutBracket(
+        sections.map((section) => section.rounds),
+        finals.map((final) => final.match),
+        HEADER_ROWS
+      ),
+    [sections, finals]
+  );
+  const nodesById = new Map(layout.nodes.map((node) => [node.match.id, node]));
+  const width = Math.max(
+    COLUMN_WIDTH,
+    getColumnLeft(layout.columns) - COLUMN_GAP
+  );
+  const height = getRowTop(layout.rows);
+
+  return (
+    <div className="overflow-x-auto pb-4 custom-scrollbar">
+      <div className="relative" style={{ width, height }}>
+        <svg
+          className="absolute inset-0 pointer-events-none"
+          width={width}
+          height={height}
+          aria-hidden="true"
+        >
+          {layout.links.map(({ from, to, slot }) => {
+            const feeder = nodesById.get(from);
+            const target = nodesById.get(to);
+            const startX = getColumnLeft(feeder.column) + COLUMN_WIDTH;
+            const startY = getRowTop(feeder.row) + CARD_HEIGHT / 2;
+            const endX = getColumnLeft(target.column);
+            const endY =
+              getRowTop(target.row) + SLOT_HEIGHT * slot + SLOT_HEIGHT / 2;
+            const elbowX = endX - COLUMN_GAP / 2;
+            return (
+              <path
+                key={`${from}-${to}`}
+                d={`M ${startX} ${startY} H ${elbowX} V ${endY} H ${endX}`}
+                fill="none"
+                strokeWidth="2"
+                className={
+                  isRealPlayer(feeder.match.winner)
+                    ? "stroke-green-500"
+                    : "stroke-gray-600"
+                }
+              />
+            );
+          })}
+        </svg>
+
+        {sections.map((section, sectionIndex) => (
+          <React.Fragment key={section.title || sectionIndex}>
+            {section.rounds.map((round, roundIndex) => (
+              <div
+                key={roundIndex}
+                className={`absolute text-xs font-semibold uppercase ${
+                  section.titleClassName || "text-teal-300"
+                }`}
+                style={{
+                  left: getColumnLeft(roundIndex),
+                  top: getRowTop(layout.sectionTops[sectionIndex]),
+                  width: COLUMN_WIDTH,
+                }}
+              >
+                {getRoundTitle(section, roundIndex)}
+              </div>
+            ))}
+          </React.Fragment>
+        ))}
+        {finals.map((final, index) => (
+          <div
+            key={final.match.id}
+            className="absolute text-xs font-semibold uppercase text-red-400"
+            style={{
+              left: getColumnLeft(layout.columns - finals.length + index),
+              top: getRowTop(nodesById.get(final.match.id).row) - 20,
+              width: COLUMN_WIDTH,
+            }}
+          >
+            {final.title}
+          </div>
+        ))}
+
+        {layout.nodes.map(({ match, column, row }) => {
+          const label = getMatchLabel(match);
+          if (!label) return null;
+          return (
+            <div
+              key={`${match.id}-label`}
+              className="absolute text-[10px] text-right text-gray-400"
+              style={{
+                left: getColumnLeft(column),
+                top: getRowTop(row) - 14,
+                width: COLUMN_WIDTH,
+              }}
+            >
+              {label}
+            </div>
+          );
+        })}
+        {layout.nodes.map(({ match, column, row }) => (
+          <div
+            key={match.id}
+            className="absolute flex flex-col bg-gray-700 rounded-md shadow text-sm overflow-hidden"
+            style={{
+              left: getColumnLeft(column),
+              top: getRowTop(row),
+              width: COLUMN_WIDTH,
+              height: CARD_HEIGHT,
+            }}
+            title={match.id}
+          >
+            {[0, 1].map((slot) => (
+              <div
+                key={slot}
+                className={`flex items-center px-2 min-w-0 ${
+                  slot === 0 ? "border-b border-gray-600" : ""
+                }`}
+                style={{ height: SLOT_HEIGHT }}
+              >
+                {renderSlot(match, slot)}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default BracketTreeView;
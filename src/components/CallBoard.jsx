@@ -0,0 +1,166 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  CALL_BOARD_SECTIONS,
+  getCallBoard,
+  paginateCallBoard,
+} from "../utils/callBoard";
+import { getSlotLabel } from "../utils/matchGraph";
+import { createNameLookup } from "../utils/participants";
+import { loadTournaments, subscribeToTournaments } from "../utils/storage";
+
+// Matches shown per page, and how long each page stays up
+const ROWS_PER_PAGE = 6;
+const PAGE_SECONDS = 12;
+
+/**
+ * Minutes after midnight right now
+ * @returns {number} - Minutes
+ */
+const getMinutesNow = () => {
+  const now = new Date();
+  return now.getHours() * 60 + now.getMinutes();
+};
+
+/**
+ * Reads one saved tournament
+ * @param {string} id - Tournament id
+ * @returns {Object|null} - Tournament record, or null when not found
+ */
+const loadTournament = (id) =>
+  loadTournaments().tournaments.find((tournament) => tournament.id === id) ??
+  null;
+
+// Full-screen venue display for one saved tournament: matches on court, the
+// next ones to call and recent results, in large type. Pages rotate on a
+// timer, and the board reloads whenever another tab saves the tournament.
+function CallBoard({ tournamentId }) {
+  const [tournament, setTournament] = useState(() =>
+    loadTournament(tournamentId)
+  );
+  // Page turns also read the clock again, for matches due to start
+  const [clock, setClock] = useState(() => ({ tick: 0, now: getMinutesNow() }));
+
+  useEffect(
+    () =>
+      subscribeToTournaments(() => setTournament(loadTournament(tournamentId))),
+    [tournamentId]
+  );
+
+  useEffect(() => {
+    const timer = setInterval(
+      () =>
+        setClock((current) => ({
+          tick: current.tick + 1,
+          now: getMinutesNow(),
+        })),
+      PAGE_SECONDS * 1000
+    );
+    return () => clearInterval(timer);
+  }, []);
+
+  const state = tournament?.state;
+  const getName = useMemo(
+    () => createNameLookup(state?.participants || []),
+    [state]
+  );
+  const pages = useMemo(
+    () =>
+      state?.bracketData
+        ? paginateCallBoard(
+            getCallBoard(state.bracketData, clock.now),
+            ROWS_PER_PAGE
+          )
+        : [],
+    [state, clock.now]
+  );
+  const pageIndex = pages.length > 0 ? clock.tick % pages.length : 0;
+  const page = pages[pageIndex] ?? null;
+
+  const renderEntry = ({ match, bracket }) => {
+    const isDecided = page.section === "recent";
+    const renderSide = (slot) => (
+      <span
+        className={
+          isDecided && match.winner === match.pair[slot]
+            ? "text-yellow-300 font-bold"
+            : ""
+        }
+      >
+        {getSlotLabel(match, slot, getName)}
+      </span>
+    );
+    return (
+      <li
+        key={match.id}
+        className="flex items-center gap-6 bg-gray-800 rounded-2xl px-6 py-4"
+      >
+        <div className="w-40 shrink-0 text-teal-300 text-3xl font-bold">
+          {match.court ? `Court ${match.court}` : "—"}
+          {match.scheduledTime && (
+            <div className="text-xl text-gray-400 font-normal">
+              {match.scheduledTime}
+            </div>
+          )}
+        </div>
+        <div className="flex-1 min-w-0 text-4xl truncate">
+          {renderSide(0)} <span className="text-gray-500">vs</span>{" "}
+          {renderSide(1)}
+        </div>
+        <div className="shrink-0 text-right text-xl text-gray-400">
+          {isDecided && (
+            <div className="text-3xl text-white">
+              {match.isDraw ? "Draw" : match.walkover ? "W/O" : match.score}
+            </div>
+          )}
+          {bracket}
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <div className="min-h-screen w-full bg-gray-900 text-white p-8 flex flex-col">
+      <header className="flex justify-between items-center mb-8">
+        <h1 className="text-5xl font-bold text-teal-400 truncate">
+          {tournament?.name || "Call board"}
+        </h1>
+        <button
+          type="button"
+          onClick={() => document.documentElement.requestFullscreen?.()}
+          className="text-sm text-gray-400 hover:text-white underline print:hidden"
+        >
+          Full screen
+        </button>
+      </header>
+      {!tournament && (
+        <p className="text-3xl text-gray-400">
+          This tournament is not saved in this browser.
+        </p>
+      )}
+      {tournament && !page && (
+        <p className="text-3xl text-gray-400">No matches to call yet.</p>
+      )}
+      {page && (
+        <section className="flex-1">
+          <h2 className="text-4xl font-semibold mb-6">
+            {CALL_BOARD_SECTIONS[page.section]}
+            {page.parts > 1 && (
+              <span className="text-gray-500 text-2xl">
+                {" "}
+                ({page.part}/{page.parts})
+              </span>
+            )}
+          </h2>
+          <ul className="space-y-4">{page.entries.map(renderEntry)}</ul>
+        </section>
+      )}
+      {pages.length > 1 && (
+        <footer className="mt-8 text-center text-xl text-gray-500">
+          Page {pageIndex + 1} of {pages.length}
+        </footer>
+      )}
+    </div>
+  );
+}
+
+export default CallBoard;
@@ -0,0 +1,234 @@
+import React from "react";
+import { isRealPlayer } from "../utils/bracketResults";
+import { getSlotLabel } from "../utils/matchGraph";
+import { formatTime, parseTime } from "../utils/scheduling";
+
+const inputClass =
+  "w-20 p-1 bg-gray-700 border border-gray-600 rounded text-xs outline-none focus:ring-1 focus:ring-teal-500";
+
+/**
+ * Start times shown as rows: every slot from the start time up to one past
+ * the last scheduled match, plus any time set off the slot grid
+ * @param {Array<Object>} matches - Schedulable matches
+ * @param {Object} settings - Schedule settings
+ * @returns {Array<string>} - "HH:MM" times in order
+ */
+const getRowTimes = (matches, settings) => {
+  const dayStart = parseTime(settings.startTime);
+  const times = matches
+    .filter((match) => match.scheduledTime)
+    .map((match) => parseTime(match.scheduledTime));
+  const last = Math.max(dayStart, ...times);
+  const slotCount = Math.floor((last - dayStart) / settings.matchMinutes) + 2;
+  const slots = Array.from(
+    { length: slotCount },
+    (_, index) => dayStart + index * settings.matchMinutes
+  );
+  return [...new Set([...slots, ...times])]
+    .sort((a, b) => a - b)
+    .map(formatTime);
+};
+
+// Court timeline: settings for courts, start time, match length and rest,
+// automatic scheduling, and a grid of start times by court where matches can
+// be dragged to another slot or back to the unscheduled list. onMove
+// receives the match ID, the court and the time (both null to unschedule).
+function CourtSchedule({
+  entries,
+  settings,
+  conflicts,
+  getName,
+  onSettingsChange,
+  onAutoSchedule,
+  onClear,
+  onMove,
+}) {
+  const matches = entries.map(({ match }) => match);
+  const bracketById = new Map(
+    entries.map(({ match, bracket }) => [match.id, bracket])
+  );
+  const courtCount = Math.max(
+    settings.courts,
+    ...matches.map((match) => match.court ?? 0)
+  );
+  const courts = Array.from({ length: courtCount }, (_, index) => index + 1);
+  const unscheduled = matches.filter(
+    (match) => !match.scheduledTime || !match.court
+  );
+
+  const setNumber = (field, min) => (e) =>
+    onSettingsChange({
+      [field]: Math.max(min, Math.floor(Number(e.target.value)) || min),
+    });
+
+  const dropTarget = (court, time) => ({
+    onDragOver: (e) => e.preventDefault(),
+    onDrop: (e) => {
+      e.preventDefault();
+      const id = e.dataTransfer.getData("text/plain");
+      if (id) onMove(id, court, time);
+    },
+  });
+
+  const renderCard = (match) => {
+    const warnings = conflicts.get(match.id) || [];
+    const isDecided = isRealPlayer(match.winner) || match.isDraw;
+    return (
+      <div
+        key={match.id}
+        draggable
+        onDragStart={(e) => {
+          e.dataTransfer.setData("text/plain", match.id);
+          e.dataTransfer.effectAllowed = "move";
+        }}
+        title={warnings.join("\n") || "Drag to another slot"}
+        className={`p-1 mb-1 rounded border text-left cursor-move ${
+          warnings.length > 0
+            ? "border-red-500 bg-red-900/40"
+            : "border-gray-600 bg-gray-700"
+        } ${isDecided ? "opacity-60" : ""}`}
+      >
+        <div className="text-gray-400">
+          {bracketById.get(match.id)} · {match.id}
+        </div>
+        <div className="truncate">
+          {getSlotLabel(match, 0, getName)} vs {getSlotLabel(match, 1, getName)}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <details className="mb-6 text-sm text-gray-300">
+      <summary className="cursor-pointer text-teal-200">
+        Courts &amp; times
+        {conflicts.size > 0 && ` (${conflicts.size} with conflicts)`}
+      </summary>
+      <div className="flex flex-wrap gap-3 mt-2 text-xs">
+        <label className="flex items-center gap-1">
+          Courts
+          <input
+            type="number"
+            min="1"
+            value={settings.courts}
+            onChange={setNumber("courts", 1)}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          Start
+          <input
+            type="time"
+            value={settings.startTime}
+            onChange={(e) =>
+              e.target.value && onSettingsChange({ startTime: e.target.value })
+            }
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          Match (min)
+          <input
+            type="number"
+            min="5"
+            value={settings.matchMinutes}
+            onChange={setNumber("matchMinutes", 5)}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          Rest (min)
+          <input
+            type="number"
+            min="0"
+            value={settings.restMinutes}
+            onChange={setNumber("restMinutes", 0)}
+            className={inputClass}
+          />
+        </label>
+      </div>
+      <div className="flex gap-2 mt-3">
+        <button
+          type="button"
+          onClick={onAutoSchedule}
+          className="px-3 py-1 rounded-lg bg-teal-600 hover:bg-teal-500 text-white text-xs"
+        >
+          Auto-schedule
+        </button>
+        <button
+          type="button"
+          onClick={onClear}
+          className="px-3 py-1 rounded-lg bg-gray-600 hover:bg-gray-500 text-white text-xs"
+        >
+          Clear times
+        </button>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        Played matches keep their slot. Drag a match to move it; conflicts are
+        outlined in red.
+      </p>
+      <div className="mt-3 overflow-x-auto custom-scrollbar">
+        <table className="text-xs border-collapse">
+          <thead>
+            <tr>
+              <th className="p-1 text-left text-gray-400">Time</th>
+              {courts.map((court) => (
+                <th key={court} className="p-1 text-left text-gray-400">
+                  Court {court}
+                  {court > settings.courts && " (unused)"}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {getRowTimes(matches, settings).map((time) => (
+              <tr key={time} className="border-t border-gray-700 align-top">
+                <th className="p-1 text-left font-normal text-gray-400">
+                  {time}
+                </th>
+                {courts.map((court) => (
+                  <td
+                    key={court}
+                    {...dropTarget(court, time)}
+                    className="p-1 w-40 min-w-40 h-12"
+                  >
+                    {matches
+                      .filter(
+                        (match) =>
+                          match.court === court && match.scheduledTime === time
+                      )
+                      .map(renderCard)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div
+        {...dropTarget(null, null)}
+        className="mt-3 p-2 rounded border border-dashed border-gray-600 text-xs"
+      >
+        <div className="text-gray-400 mb-1">
+          Unscheduled ({unscheduled.length}) — drop here to remove a time
+        </div>
+        <div className="grid grid-cols-2 gap-1">
+          {unscheduled.map(renderCard)}
+        </div>
+      </div>
+      {conflicts.size > 0 && (
+        <ul className="mt-3 space-y-1 text-xs text-red-300">
+          {[...conflicts].flatMap(([id, warnings]) =>
+            warnings.map((warning) => (
+              <li key={`${id}-${warning}`}>
+                {id}: {warning}
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </details>
+  );
+}
+
+export default CourtSchedule;
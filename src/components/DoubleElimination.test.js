@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import DoubleElimination from "./DoubleElimination";
+
+const players = ["p1", "p2", "p3", "p4", "p5", "p6"];
+
+describe("DoubleElimination", () => {
+  it("draws the same bracket twice from the same draw seed", () => {
+    const first = DoubleElimination(players, { drawSeed: "club-night" });
+    const second = DoubleElimination(players, { drawSeed: "club-night" });
+    expect(first.error).toBeNull();
+    expect(second).toEqual(first);
+  });
+
+  it("pairs the upper bracket for a known draw seed", () => {
+    const { upperBracketRounds } = DoubleElimination(players, {
+      drawSeed: "club-night",
+    });
+    expect(upperBracketRounds[0].map(({ pair }) => pair)).toEqual([
+      ["p6", "BYE"],
+      ["p4", "p1"],
+      ["p5", "BYE"],
+      ["p3", "p2"],
+    ]);
+  });
+});
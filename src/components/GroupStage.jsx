@@ -0,0 +1,251 @@
+import SingleElimination from "./SingleElimination";
+import DoubleElimination from "./DoubleElimination";
+import RoundRobin from "./RoundRobin";
+import {
+  SOURCE_TYPES,
+  createQualifierSource,
+  getSourceLabel,
+} from "../utils/matchGraph";
+import { createRandom, generateDrawSeed, shuffleArray } from "../utils/random";
+import { getSeed, validateSeeds } from "../utils/seeding";
+import { DEFAULT_STANDINGS_SETTINGS } from "../utils/standings";
+import {
+  MAX_GROUPS,
+  fillPlayoffQualifiers,
+  getGroupName,
+  getQualifierSeeds,
+} from "../utils/groupStage";
+
+/**
+ * Splits players into groups
+ * Seeded players are spread first, in seed order, then the others in random
+ * order; the groups are dealt in a snake (A, B, B, A, ...) so every group
+ * gets a fair share of the field.
+ * @param {Array<string>} players - Participants
+ * @param {number} groupCount - Number of groups
+ * @param {Object} seeds - Map of participant to seed number (validated)
+ * @param {Function} random - Random number generator for the draw
+ * @returns {Array<Array<string>>} - Players of each group
+ */
+const drawGroups = (players, groupCount, seeds, random) => {
+  const seeded = players
+    .filter((player) => getSeed(seeds, player) !== null)
+    .sort((a, b) => getSeed(seeds, a) - getSeed(seeds, b));
+  const unseeded = shuffleArray(
+    players.filter((player) => getSeed(seeds, player) === null),
+    random
+  );
+
+  const groups = Array.from({ length: groupCount }, () => []);
+  [...seeded, ...unseeded].forEach((player, index) => {
+    const pass = Math.floor(index / groupCount);
+    const position = index % groupCount;
+    groups[pass % 2 === 0 ? position : groupCount - 1 - position].push(player);
+  });
+  return groups;
+};
+
+/**
+ * Builds the playoff bracket with every slot waiting for a group qualifier
+ * @param {Array<string>} groupNames - Group names in order
+ * @param {number} qualifiersPerGroup - Qualifiers from each group
+ * @param {string} playoffType - "single" or "double"
+ * @param {string} drawSeed - Draw seed of the tournament
+ * @param {boolean} thirdPlaceMatch - Add a third-place match (single only)
+ * @returns {Object} - Playoff bracket fields, or an error
+ */
+const buildPlayoff = (
+  groupNames,
+  qualifiersPerGroup,
+  playoffType,
+  drawSeed,
+  thirdPlaceMatch
+) => {
+  const qualifierSources = new Map(
+    getQualifierSeeds(groupNames, qualifiersPerGroup).map(
+      ({ group, position }) => {
+        const source = createQualifierSource(group, position);
+        return [getSourceLabel(source), source];
+      }
+    )
+  );
+  const placeholders = [...qualifierSources.keys()];
+  const seeds = Object.fromEntries(
+    placeholders.map((placeholder, index) => [placeholder, index + 1])
+  );
+
+  const generator =
+    playoffType === "double" ? DoubleElimination : SingleElimination;
+  const playoff = generator(placeholders, { seeds, drawSeed, thirdPlaceMatch });
+  if (playoff.error) return playoff;
+
+  // Placeholders become empty slots that name the qualifier they wait for
+  [...(playoff.rounds || []), ...(playoff.upperBracketRounds || [])].forEach(
+    (round) =>
+      round.forEach((match) => {
+        match.pair.forEach((player, slot) => {
+          if (
+            match.sources[slot]?.type !== SOURCE_TYPES.PARTICIPANT ||
+            !qualifierSources.has(player)
+          )
+            return;
+          match.sources[slot] = qualifierSources.get(player);
+          match.pair[slot] = null;
+          match.winner = null;
+        });
+      })
+  );
+  return playoff;
+};
+
+/**
+ * Generates a group stage followed by a knockout playoff
+ * Each group plays a round robin; the top finishers of every group go into
+ * a single or double elimination playoff that fills in as groups finish.
+ * @param {Array<string>} participantsArray - Array of participant names
+ * @param {Object} options - Generation options
+ * @param {number} options.groupCount - Number of groups (default 2)
+ * @param {number} options.qualifiersPerGroup - Players who advance from each
+ *   group (default 2)
+ * @param {string} options.playoffType - "single" (default) or "double"
+ * @param {boolean} options.thirdPlaceMatch - Single elimination playoffs get
+ *   a match between the semi-final losers
+ * @param {boolean} options.doubleRoundRobin - Groups play everyone twice
+ * @param {Object} options.seeds - Optional seeds, spread across the groups
+ * @param {Object} options.standingsSettings - Points and tiebreakers
+ * @param {string} options.drawSeed - Optional random seed for the draw
+ * @returns {Object} - Groups, playoff bracket fields, drawSeed and error
+ */
+const GroupStage = (participantsArray, options = {}) => {
+  // Input validation
+  if (!Array.isArray(participantsArray)) {
+    return {
+      groups: [],
+      champion: null,
+      error: "Invalid input: participants must be an array.",
+    };
+  }
+
+  const players = participantsArray.filter(
+    (p) => p !== null && p !== undefined && p !== ""
+  );
+  const groupCount = options.groupCount || 2;
+  const qualifiersPerGroup = options.qualifiersPerGroup || 2;
+  const playoffType = options.playoffType === "double" ? "double" : "single";
+
+  if (!Number.isInteger(groupCount) || groupCount < 1) {
+    return {
+      groups: [],
+      champion: null,
+      error: "Number of groups must be a whole number of at least 1.",
+    };
+  }
+  if (groupCount > MAX_GROUPS) {
+    return {
+      groups: [],
+      champion: null,
+      error: `A group stage can have at most ${MAX_GROUPS} groups.`,
+    };
+  }
+  if (players.length < groupCount * 2) {
+    return {
+      groups: [],
+      champion: null,
+      error: `${groupCount} groups need at least ${groupCount * 2} participants.`,
+    };
+  }
+
+  const smallestGroupSize = Math.floor(players.length / groupCount);
+  if (
+    !Number.isInteger(qualifiersPerGroup) ||
+    qualifiersPerGroup < 1 ||
+    qualifiersPerGroup > smallestGroupSize
+  ) {
+    return {
+      groups: [],
+      champion: null,
+      error: `Qualifiers per group must be a whole number from 1 to ${smallestGroupSize}.`,
+    };
+  }
+  if (groupCount * qualifiersPerGroup < 2) {
+    return {
+      groups: [],
+      champion: null,
+      error: "At least 2 players must qualify for the playoff.",
+    };
+  }
+
+  const seedError = validateSeeds(players, options.seeds);
+  if (seedError) {
+    return { groups: [], champion: null, error: seedError };
+  }
+
+  // Every random choice in the draw comes from the draw seed
+  const drawSeed = options.drawSeed || generateDrawSeed();
+  const groups = drawGroups(
+    players,
+    groupCount,
+    options.seeds,
+    createRandom(drawSeed)
+  ).map((groupPlayers, index) => {
+    const name = getGroupName(index);
+    const schedule = RoundRobin(groupPlayers, {
+      doubleRoundRobin: options.doubleRoundRobin,
+      drawSeed: `${drawSeed}-${name}`,
+    });
+    return {
+      name,
+      players: groupPlayers,
+      // Group prefixes keep match IDs unique across the tournament
+      rounds: schedule.rounds.map((round) =>
+        round.map((match) => ({
+          ...match,
+          id: `g${name}-${match.id}`,
+          group: name,
+        }))
+      ),
+    };
+  });
+
+  const playoff = buildPlayoff(
+    groups.map((group) => group.name),
+    qualifiersPerGroup,
+    playoffType,
+    drawSeed,
+    options.thirdPlaceMatch
+  );
+  if (playoff.error) {
+    return {
+      groups: [],
+      champion: null,
+      error: playoff.error,
+    };
+  }
+
+  const standingsSettings =
+    options.standingsSettings || DEFAULT_STANDINGS_SETTINGS;
+  const playoffFields = {
+    rounds: playoff.rounds || [],
+    thirdPlaceMatch: playoff.thirdPlaceMatch || null,
+    upperBracketRounds: playoff.upperBracketRounds || [],
+    lowerBracketRounds: playoff.lowerBracketRounds || [],
+    grandFinalMatch: playoff.grandFinalMatch || null,
+  };
+
+  return {
+    groups,
+    playoffType,
+    qualifiersPerGroup,
+    ...playoffFields,
+    ...fillPlayoffQualifiers({
+      groups,
+      playoffType,
+      standingsSettings,
+      ...playoffFields,
+    }),
+    drawSeed,
+    error: null,
+  };
+};
+
+export default GroupStage;
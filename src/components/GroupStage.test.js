@@ -0,0 +1,26 @@
+import { describe, expect, it } from "vitest";
+import GroupStage from "./GroupStage";
+
+const players = ["p1", "p2", "p3", "p4", "p5", "p6"];
+const options = {
+  drawSeed: "club-night",
+  groupCount: 2,
+  qualifiersPerGroup: 1,
+};
+
+describe("GroupStage", () => {
+  it("draws the same groups and playoff twice from the same draw seed", () => {
+    const first = GroupStage(players, options);
+    const second = GroupStage(players, options);
+    expect(first.error).toBeNull();
+    expect(second).toEqual(first);
+  });
+
+  it("draws the groups for a known draw seed", () => {
+    const { groups } = GroupStage(players, options);
+    expect(groups.map(({ players: groupPlayers }) => groupPlayers)).toEqual([
+      ["p6", "p4", "p1"],
+      ["p5", "p3", "p2"],
+    ]);
+  });
+});
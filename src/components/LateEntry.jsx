@@ -0,0 +1,67 @@
+import React, { useState } from "react";
+
+const selectClass =
+  "min-w-0 flex-1 p-1 bg-gray-700 border border-gray-600 rounded text-xs outline-none focus:ring-1 focus:ring-teal-500";
+
+// Adds a participant who arrived after the draw into an unplayed first-round
+// BYE slot, instead of redrawing. onAdd receives the participant, the match
+// ID and the slot.
+function LateEntry({ candidates, slots, getName, onAdd }) {
+  const [selectedPlayer, setSelectedPlayer] = useState("");
+  const [selectedSlot, setSelectedSlot] = useState("");
+  // Fall back to the first choice once a pick is no longer available
+  const player = candidates.includes(selectedPlayer)
+    ? selectedPlayer
+    : candidates[0];
+  const slotKeys = slots.map(({ matchId, slot }) => `${matchId}:${slot}`);
+  const slotIndex = Math.max(0, slotKeys.indexOf(selectedSlot));
+
+  return (
+    <details className="mb-6 text-sm text-gray-300">
+      <summary className="cursor-pointer text-teal-200">
+        Late entry ({slots.length} open BYE{" "}
+        {slots.length === 1 ? "slot" : "slots"})
+      </summary>
+      <p className="text-xs text-gray-400 mt-2">
+        A BYE stays open until the player who received it has played on.
+      </p>
+      <div className="flex flex-col sm:flex-row gap-2 mt-2">
+        <select
+          value={player}
+          onChange={(e) => setSelectedPlayer(e.target.value)}
+          aria-label="Late entrant"
+          className={selectClass}
+        >
+          {candidates.map((candidate) => (
+            <option key={candidate} value={candidate}>
+              {getName(candidate)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={slotKeys[slotIndex]}
+          onChange={(e) => setSelectedSlot(e.target.value)}
+          aria-label="BYE slot"
+          className={selectClass}
+        >
+          {slots.map(({ matchId, opponent }, index) => (
+            <option key={slotKeys[index]} value={slotKeys[index]}>
+              {matchId} vs {getName(opponent)}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() =>
+            onAdd(player, slots[slotIndex].matchId, slots[slotIndex].slot)
+          }
+          className="px-3 py-1 rounded-lg bg-teal-600 hover:bg-teal-500 text-white text-xs"
+        >
+          Add to bracket
+        </button>
+      </div>
+    </details>
+  );
+}
+
+export default LateEntry;
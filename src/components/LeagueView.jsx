@@ -0,0 +1,371 @@
+import React, { useMemo } from "react";
+import ScoreEntry from "./ScoreEntry";
+import {
+  TIEBREAKERS,
+  TIEBREAKER_COLUMNS,
+  computeStandings,
+  isDecidedMatch,
+} from "../utils/standings";
+
+const resultButtonClass = (isSelected) =>
+  `flex-1 min-w-0 truncate px-2 py-1 rounded text-xs sm:text-sm ${
+    isSelected
+      ? "bg-green-600 text-white font-bold"
+      : "bg-gray-600 hover:bg-gray-500"
+  }`;
+
+/**
+ * Short result of a match from one participant's point of view
+ * @param {Object} match - Decided match
+ * @param {string} player - Participant
+ * @returns {string} - "W", "D" or "L"
+ */
+const getResultLetter = (match, player) => {
+  if (match.isDraw) return "D";
+  return match.winner === player ? "W" : "L";
+};
+
+// Results entry, cross table and live standings for league formats
+// (round robin and Swiss). With a scoring rule each game also gets a score
+// box that decides the result.
+function LeagueView({
+  rounds,
+  players,
+  settings,
+  isComplete,
+  winnerTitle = "LEAGUE WINNER",
+  restLabel = "rests this round",
+  qualifierCount = 0,
+  showSettings = true,
+  scoringRule = null,
+  getName = (player) => player,
+  onRecordResult,
+  onSettingsChange,
+  children,
+}) {
+  const matches = useMemo(() => (rounds || []).flat(), [rounds]);
+  const standings = useMemo(
+    () => computeStandings(matches, players, settings),
+    [matches, players, settings]
+  );
+  const tiebreakColumns = settings.tiebreakers.filter(
+    (tiebreaker) => TIEBREAKER_COLUMNS[tiebreaker]
+  );
+
+  const selectResult = (match, winner, isDraw = false) => {
+    const isCurrent = isDraw ? match.isDraw : match.winner === winner;
+    // Clicking the recorded result again clears it
+    if (isCurrent) onRecordResult(match.id, null, false);
+    else onRecordResult(match.id, winner, isDraw);
+  };
+
+  const updatePoints = (key, value) => {
+    const points = parseFloat(value);
+    onSettingsChange({ ...settings, [key]: Number.isNaN(points) ? 0 : points });
+  };
+
+  const toggleTiebreaker = (tiebreaker) => {
+    const active = settings.tiebreakers.includes(tiebreaker);
+    onSettingsChange({
+      ...settings,
+      tiebreakers: active
+        ? settings.tiebreakers.filter((key) => key !== tiebreaker)
+        : [...settings.tiebreakers, tiebreaker],
+    });
+  };
+
+  const moveTiebreakerUp = (index) => {
+    if (index === 0) return;
+    const tiebreakers = [...settings.tiebreakers];
+    [tiebreakers[index - 1], tiebreakers[index]] = [
+      tiebreakers[index],
+      tiebreakers[index - 1],
+    ];
+    onSettingsChange({ ...settings, tiebreakers });
+  };
+
+  const getCrossTableCell = (rowPlayer, columnPlayer) => {
+    if (rowPlayer === columnPlayer) return "—";
+    const results = matches
+      .filter(
+        (match) =>
+          isDecidedMatch(match) &&
+          match.pair.includes(rowPlayer) &&
+          match.pair.includes(columnPlayer)
+      )
+      .map((match) => getResultLetter(match, rowPlayer));
+    return results.length > 0 ? results.join(" ") : "";
+  };
+
+  return (
+    <div>
+      {isComplete && standings.length > 0 && (
+        <div className="mb-6 sm:mb-8 p-4 bg-yellow-500 text-gray-900 rounded-lg shadow-lg text-center">
+          <h3 className="text-xl sm:text-2xl font-bold">🏆 {winnerTitle} 🏆</h3>
+          <p className="text-lg sm:text-xl">
+            {standings
+              .filter((row) => row.rank === 1)
+              .map((row) => getName(row.player))
+              .join(" / ")}
+          </p>
+        </div>
+      )}
+
+      <section className="mb-8">
+        <h3 className="text-lg sm:text-xl font-semibold text-teal-300 mb-3 border-b-2 border-gray-700 pb-2">
+          Standings
+        </h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-gray-400 uppercase">
+              <tr>
+                <th className="py-1 pr-2">#</th>
+                <th className="py-1 pr-2">Player</th>
+                <th className="py-1 px-1 text-center">P</th>
+                <th className="py-1 px-1 text-center">W</th>
+                <th className="py-1 px-1 text-center">D</th>
+                <th className="py-1 px-1 text-center">L</th>
+                <th className="py-1 px-1 text-center">Pts</th>
+                {tiebreakColumns.map((tiebreaker) => (
+                  <th
+                    key={tiebreaker}
+                    className="py-1 px-1 text-center"
+                    title={TIEBREAKERS[tiebreaker]}
+                  >
+                    {TIEBREAKER_COLUMNS[tiebreaker]}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {standings.map((row, index) => (
+                <tr
+                  key={row.player}
+                  className={`border-t border-gray-700 ${
+                    index < qualifierCount ? "bg-teal-900/40" : ""
+                  }`}
+                >
+                  <td className="py-1 pr-2 text-gray-400">{row.rank}</td>
+                  <td className="py-1 pr-2 truncate max-w-[10rem]">
+                    {getName(row.player)}
+                  </td>
+                  <td className="py-1 px-1 text-center">{row.played}</td>
+                  <td className="py-1 px-1 text-center">{row.wins}</td>
+                  <td className="py-1 px-1 text-center">{row.draws}</td>
+                  <td className="py-1 px-1 text-center">{row.losses}</td>
+                  <td className="py-1 px-1 text-center font-bold text-teal-200">
+                    {row.points}
+                  </td>
+                  {tiebreakColumns.map((tiebreaker) => (
+                    <td
+                      key={tiebreaker}
+                      className="py-1 px-1 text-center text-gray-400"
+                    >
+                      {row[tiebreaker]}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {qualifierCount > 0 && (
+          <p className="mt-2 text-xs text-gray-400">
+            Top {qualifierCount} (highlighted) go through to the playoff.
+          </p>
+        )}
+
+        {showSettings && (
+          <details className="mt-4 text-sm text-gray-300">
+            <summary className="cursor-pointer text-teal-200">
+              Points and tiebreakers
+            </summary>
+            <div className="grid grid-cols-3 gap-2 mt-3">
+              {[
+                ["pointsForWin", "Win"],
+                ["pointsForDraw", "Draw"],
+                ["pointsForLoss", "Loss"],
+              ].map(([key, label]) => (
+                <label key={key} className="text-xs text-gray-400">
+                  {label}
+                  <input
+                    type="number"
+                    step="0.5"
+                    value={settings[key]}
+                    onChange={(e) => updatePoints(key, e.target.value)}
+                    className="w-full mt-1 p-1 bg-gray-700 border border-gray-600 rounded outline-none focus:ring-1 focus:ring-teal-500"
+                  />
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-gray-400 mt-3 mb-1">
+              Ties on points are broken in this order:
+            </p>
+            <ol className="space-y-1">
+              {settings.tiebreakers.map((tiebreaker, index) => (
+                <li
+                  key={tiebreaker}
+                  className="flex items-center justify-between bg-gray-700 rounded px-2 py-1"
+                >
+                  <span>
+                    {index + 1}. {TIEBREAKERS[tiebreaker]}
+                  </span>
+                  <span className="space-x-2 text-xs">
+                    <button
+                      type="button"
+                      onClick={() => moveTiebreakerUp(index)}
+                      disabled={index === 0}
+                      className="hover:text-teal-200 disabled:text-gray-500"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => toggleTiebreaker(tiebreaker)}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      Remove
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ol>
+            <div className="flex flex-wrap gap-2 mt-2">
+              {Object.keys(TIEBREAKERS)
+                .filter((key) => !settings.tiebreakers.includes(key))
+                .map((key) => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => toggleTiebreaker(key)}
+                    className="text-xs px-2 py-1 rounded bg-gray-600 hover:bg-gray-500"
+                  >
+                    + {TIEBREAKERS[key]}
+                  </button>
+                ))}
+            </div>
+          </details>
+        )}
+      </section>
+
+      <section className="mb-8">
+        <h3 className="text-lg sm:text-xl font-semibold text-teal-300 mb-3 border-b-2 border-gray-700 pb-2">
+          Results Grid
+        </h3>
+        <div className="overflow-x-auto">
+          <table className="text-xs text-center">
+            <thead>
+              <tr>
+                <th />
+                {players.map((player) => (
+                  <th
+                    key={player}
+                    className="px-1 py-1 text-gray-400 font-medium max-w-[4rem] truncate"
+                    title={getName(player)}
+                  >
+                    {getName(player)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {players.map((rowPlayer) => (
+                <tr key={rowPlayer} className="border-t border-gray-700">
+                  <th className="pr-2 py-1 text-left text-gray-300 font-medium max-w-[8rem] truncate">
+                    {getName(rowPlayer)}
+                  </th>
+                  {players.map((columnPlayer) => (
+                    <td
+                      key={columnPlayer}
+                      className="px-1 py-1 border-l border-gray-700"
+                    >
+                      {getCrossTableCell(rowPlayer, columnPlayer)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {(rounds || []).map((round, roundIndex) => (
+        <div key={`rrR-${roundIndex}`} className="mb-6 sm:mb-8">
+          <h3 className="text-lg sm:text-xl font-semibold text-teal-300 mb-3 border-b-2 border-gray-700 pb-2">
+            Round {roundIndex + 1}
+            {round[0]?.leg === 1 && (
+              <span className="text-sm text-gray-400 ml-2">(return leg)</span>
+            )}
+          </h3>
+          <ul className="space-y-3">
+            {round.map((match) =>
+              match.pair.includes("BYE") ? (
+                <li
+                  key={match.id}
+                  className="p-3 bg-gray-700 rounded-lg text-sm text-gray-400 text-center"
+                >
+                  {getName(match.pair[0])} {restLabel}
+                </li>
+              ) : (
+                <li
+                  key={match.id}
+                  className="p-3 bg-gray-700 rounded-lg shadow hover:bg-gray-600 transition-colors"
+                >
+                  <div className="text-xs font-medium text-teal-200 mb-1">
+                    Match {match.matchIndexInRound + 1}
+                    {match.walkover && (
+                      <span className="ml-1 text-orange-300">W/O</span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => selectResult(match, match.pair[0])}
+                      className={resultButtonClass(
+                        match.winner === match.pair[0]
+                      )}
+                    >
+                      {getName(match.pair[0])}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => selectResult(match, null, true)}
+                      className={resultButtonClass(match.isDraw)}
+                    >
+                      Draw
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => selectResult(match, match.pair[1])}
+                      className={resultButtonClass(
+                        match.winner === match.pair[1]
+                      )}
+                    >
+                      {getName(match.pair[1])}
+                    </button>
+                  </div>
+                  {scoringRule && (
+                    <ScoreEntry
+                      key={`${match.id}-${match.score ?? ""}`}
+                      match={match}
+                      rule={scoringRule}
+                      allowDraw
+                      getName={getName}
+                      onRecord={(winner, isDraw, score) =>
+                        onRecordResult(match.id, winner, isDraw, score)
+                      }
+                    />
+                  )}
+                </li>
+              )
+            )}
+          </ul>
+        </div>
+      ))}
+      {children}
+    </div>
+  );
+}
+
+export default LeagueView;
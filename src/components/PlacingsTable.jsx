@@ -0,0 +1,52 @@
+import React from "react";
+
+// Final placings of a finished bracket with each player's record. The draws
+// column only appears when a group stage produced draws.
+function PlacingsTable({ rows, getName = (player) => player }) {
+  const hasDraws = rows.some((row) => row.draws > 0);
+
+  return (
+    <section className="mt-8">
+      <h3 className="text-lg sm:text-xl font-semibold text-teal-300 mb-3 border-b-2 border-gray-700 pb-2">
+        Final Placings
+      </h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs text-gray-400 uppercase">
+            <tr>
+              <th className="py-1 pr-2">Place</th>
+              <th className="py-1 pr-2">Player</th>
+              <th className="py-1 px-1 text-center">W</th>
+              {hasDraws && <th className="py-1 px-1 text-center">D</th>}
+              <th className="py-1 px-1 text-center">L</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr
+                key={row.player}
+                className={`border-t border-gray-700 ${
+                  row.rank === 1 ? "text-yellow-300 font-bold" : ""
+                }`}
+              >
+                <td className="py-1 pr-2 whitespace-nowrap">
+                  {row.place || "—"}
+                </td>
+                <td className="py-1 pr-2 truncate max-w-[10rem]">
+                  {getName(row.player)}
+                </td>
+                <td className="py-1 px-1 text-center">{row.wins}</td>
+                {hasDraws && (
+                  <td className="py-1 px-1 text-center">{row.draws}</td>
+                )}
+                <td className="py-1 px-1 text-center">{row.losses}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
+
+export default PlacingsTable;
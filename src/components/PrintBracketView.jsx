@@ -0,0 +1,208 @@
+import React, { useMemo } from "react";
+import { isRealPlayer } from "../utils/bracketResults";
+import { layoutBracket, paginateLayout } from "../utils/bracketLayout";
+import { getSlotLabel } from "../utils/matchGraph";
+import { getSlotScores } from "../utils/scoring";
+import { isSeries } from "../utils/series";
+
+// Page grid in millimetres; sized to fit both A4 and Letter landscape
+const COLUMN_WIDTH = 44;
+const COLUMN_GAP = 9;
+const ROW_HEIGHT = 20;
+const CARD_HEIGHT = 14;
+const SLOT_HEIGHT = CARD_HEIGHT / 2;
+const SCORE_BOX_WIDTH = 12;
+const COLUMNS_PER_PAGE = 5;
+const ROWS_PER_PAGE = 8;
+const HEADER_ROWS = 0.5;
+const PAGE_WIDTH = COLUMNS_PER_PAGE * (COLUMN_WIDTH + COLUMN_GAP) - COLUMN_GAP;
+const PAGE_BODY_HEIGHT = ROWS_PER_PAGE * ROW_HEIGHT + CARD_HEIGHT;
+
+const mm = (value) => `${value}mm`;
+
+// Black-and-white tree bracket for printing, split into landscape pages with
+// continuation markers where a line runs on to another page
+function PrintBracketView({
+  title,
+  details = [],
+  sections,
+  finals = [],
+  getName = (player) => player,
+}) {
+  const pages = useMemo(
+    () =>
+      paginateLayout(
+        layoutBracket(
+          sections.map((section) => section.rounds),
+          finals.map((final) => final.match),
+          HEADER_ROWS
+        ),
+        COLUMNS_PER_PAGE,
+        ROWS_PER_PAGE
+      ),
+    [sections, finals]
+  );
+  const finalTitles = new Map(
+    finals.map((final) => [final.match.id, final.title])
+  );
+
+  return (
+    <div className="hidden print:block text-black bg-white">
+      {pages.map((page) => {
+        const getLeft = (column) =>
+          (column - page.firstColumn) * (COLUMN_WIDTH + COLUMN_GAP);
+        const getTop = (row) => (row - page.firstRow) * ROW_HEIGHT;
+        const nodesById = new Map(
+          page.nodes.map((node) => [node.match.id, node])
+        );
+        const incoming = new Map(
+          page.continuations
+            .filter((continuation) => continuation.toPage === page.number)
+            .map((continuation) => [
+              `${continuation.to}:${continuation.slot}`,
+              continuation.fromPage,
+            ])
+        );
+        const outgoing = page.continuations.filter(
+          (continuation) => continuation.fromPage === page.number
+        );
+
+        return (
+          <section
+            key={page.number}
+            className="break-after-page last:break-after-auto"
+            style={{ width: mm(PAGE_WIDTH) }}
+          >
+            <header className="flex justify-between items-baseline border-b border-black mb-[4mm] pb-[1mm] text-[9pt]">
+              <span className="font-bold text-[12pt]">{title}</span>
+              <span>{details.join(" · ")}</span>
+              <span>
+                Page {page.number} of {pages.length}
+              </span>
+            </header>
+
+            <div
+              className="relative"
+              style={{ width: mm(PAGE_WIDTH), height: mm(PAGE_BODY_HEIGHT) }}
+            >
+              <svg
+                className="absolute inset-0"
+                width={mm(PAGE_WIDTH)}
+                height={mm(PAGE_BODY_HEIGHT)}
+                viewBox={`0 0 ${PAGE_WIDTH} ${PAGE_BODY_HEIGHT}`}
+                aria-hidden="true"
+              >
+                {page.links.map(({ from, to, slot }) => {
+                  const feeder = nodesById.get(from);
+                  const target = nodesById.get(to);
+                  const endX = getLeft(target.column);
+                  const elbowX = endX - COLUMN_GAP / 2;
+                  return (
+                    <path
+                      key={`${from}-${to}`}
+                      d={`M ${getLeft(feeder.column) + COLUMN_WIDTH} ${
+                        getTop(feeder.row) + CARD_HEIGHT / 2
+                      } H ${elbowX} V ${
+                        getTop(target.row) +
+                        SLOT_HEIGHT * slot +
+                        SLOT_HEIGHT / 2
+                      } H ${endX}`}
+                      fill="none"
+                      stroke="black"
+                      strokeWidth="0.3"
+                    />
+                  );
+                })}
+                {outgoing.map(({ from, to, toPage }) => {
+                  const feeder = nodesById.get(from);
+                  const startX = getLeft(feeder.column) + COLUMN_WIDTH;
+                  const y = getTop(feeder.row) + CARD_HEIGHT / 2;
+                  return (
+                    <g key={`${from}-${to}`}>
+                      <path
+                        d={`M ${startX} ${y} H ${startX + 3}`}
+                        stroke="black"
+                        strokeWidth="0.3"
+                      />
+                      <text x={startX + 3.5} y={y + 1} fontSize="2.8">
+                        → p. {toPage}
+                      </text>
+                    </g>
+                  );
+                })}
+              </svg>
+
+              {page.nodes.map(({ match, column, row }) => {
+                const isDecided = isRealPlayer(match.winner);
+                return (
+                  <div
+                    key={match.id}
+                    className="absolute"
+                    style={{
+                      left: mm(getLeft(column)),
+                      top: mm(getTop(row)),
+                      width: mm(COLUMN_WIDTH),
+                    }}
+                  >
+                    <div className="absolute -top-[3.5mm] text-[6pt]">
+                      {finalTitles.get(match.id) || match.id}
+                      {isSeries(match) && ` · Bo${match.bestOf}`}
+                    </div>
+                    <div
+                      className="border border-black bg-white"
+                      style={{ height: mm(CARD_HEIGHT) }}
+                    >
+                      {[0, 1].map((slot) => {
+                        const player = match.pair[slot];
+                        const fromPage = incoming.get(`${match.id}:${slot}`);
+                        return (
+                          <div
+                            key={slot}
+                            className={`flex items-stretch text-[8pt] ${
+                              slot === 0 ? "border-b border-black" : ""
+                            }`}
+                            style={{ height: mm(SLOT_HEIGHT) }}
+                          >
+                            <span
+                              className={`flex-1 min-w-0 truncate px-[1mm] leading-[7mm] ${
+                                isDecided && match.winner === player
+                                  ? "font-bold"
+                                  : ""
+                              } ${isRealPlayer(player) ? "" : "italic"}`}
+                            >
+                              {getSlotLabel(match, slot, getName)}
+                              {fromPage && (
+                                <span className="text-[6pt]">
+                                  {" "}
+                                  (p. {fromPage})
+                                </span>
+                              )}
+                            </span>
+                            <span
+                              className="border-l border-black text-center leading-[7mm] text-[7pt] whitespace-nowrap overflow-hidden"
+                              style={{ width: mm(SCORE_BOX_WIDTH) }}
+                            >
+                              {match.score
+                                ? getSlotScores(match.score, slot).join(" ")
+                                : isDecided && match.winner === player
+                                  ? match.walkover
+                                    ? "W/O"
+                                    : "W"
+                                  : ""}
+                            </span>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+export default PrintBracketView;
@@ -0,0 +1,146 @@
+import React from "react";
+import TeamMembersEditor from "./TeamMembersEditor";
+
+const inputClass =
+  "min-w-0 p-1 text-xs bg-gray-700 border border-gray-500 rounded outline-none focus:ring-1 focus:ring-teal-500";
+
+/**
+ * Reads a number from an input, or null when it is left empty
+ * @param {string} value - Input value
+ * @returns {number|null} - Number (decimals kept) or null
+ */
+const toNumberOrNull = (value) => {
+  const number = value.trim() === "" ? NaN : Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Reads a whole number from an input, or null when it is left empty
+ * @param {string} value - Input value
+ * @returns {number|null} - Number or null
+ */
+const toWholeNumberOrNull = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+// Inline editor for the roster: every field of an entry can be changed in
+// place. Matches refer to participants by id, so renaming someone after the
+// draw updates the bracket too. With dimUnchecked (check-in mode) entries
+// not yet checked in are faded; with teamSettings enabled each entry is a
+// team with its own player roster. Entries listed in drawnIds are in the
+// bracket and cannot be removed; they can be withdrawn instead.
+function RosterEditor({
+  participants,
+  dimUnchecked = false,
+  teamSettings = null,
+  drawnIds = [],
+  onChange,
+  onRemove,
+}) {
+  return (
+    <ul className="space-y-2 max-h-72 overflow-y-auto bg-gray-700 p-3 rounded-lg custom-scrollbar">
+      {participants.map((participant) => (
+        <li
+          key={participant.id}
+          className={`p-2 bg-gray-600 hover:bg-gray-500 rounded-md space-y-1 ${
+            dimUnchecked && !participant.checkedIn ? "opacity-60" : ""
+          }`}
+        >
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={participant.name}
+              onChange={(e) =>
+                onChange(participant.id, { name: e.target.value })
+              }
+              aria-label="Name"
+              className={`${inputClass} flex-1 text-sm`}
+            />
+            <label className="flex items-center gap-1 text-xs text-gray-200">
+              <input
+                type="checkbox"
+                checked={participant.checkedIn}
+                onChange={(e) =>
+                  onChange(participant.id, { checkedIn: e.target.checked })
+                }
+              />
+              Checked in
+            </label>
+            <button
+              type="button"
+              onClick={() => onRemove(participant.id)}
+              disabled={drawnIds.includes(participant.id)}
+              title={
+                drawnIds.includes(participant.id)
+                  ? "In the bracket: withdraw instead"
+                  : undefined
+              }
+              className="text-red-400 hover:text-red-300 text-xs font-medium px-2 py-1 rounded hover:bg-red-700 disabled:text-gray-400 disabled:bg-transparent disabled:cursor-not-allowed"
+            >
+              Remove
+            </button>
+          </div>
+          <div className="grid grid-cols-4 gap-1">
+            <input
+              type="text"
+              value={participant.team}
+              onChange={(e) =>
+                onChange(participant.id, { team: e.target.value })
+              }
+              placeholder="Team / club"
+              aria-label={`Team of ${participant.name}`}
+              className={`${inputClass} col-span-2`}
+            />
+            <input
+              type="number"
+              step="any"
+              value={participant.rating ?? ""}
+              onChange={(e) =>
+                onChange(participant.id, {
+                  rating: toNumberOrNull(e.target.value),
+                })
+              }
+              placeholder="Rating"
+              aria-label={`Rating of ${participant.name}`}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="1"
+              max={participants.length}
+              value={participant.seed ?? ""}
+              onChange={(e) =>
+                onChange(participant.id, {
+                  seed: toWholeNumberOrNull(e.target.value),
+                })
+              }
+              placeholder="Seed"
+              aria-label={`Seed for ${participant.name}`}
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={participant.note}
+              onChange={(e) =>
+                onChange(participant.id, { note: e.target.value })
+              }
+              placeholder="Contact / note"
+              aria-label={`Note for ${participant.name}`}
+              className={`${inputClass} col-span-4`}
+            />
+          </div>
+          {teamSettings?.enabled && (
+            <TeamMembersEditor
+              team={participant}
+              settings={teamSettings}
+              onChange={(members) => onChange(participant.id, { members })}
+            />
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default RosterEditor;
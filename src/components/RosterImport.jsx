@@ -0,0 +1,183 @@
+import React, { useMemo, useState } from "react";
+import { parseDelimitedText } from "../utils/csv";
+import {
+  IMPORT_FIELDS,
+  buildImportPreview,
+  guessColumnMapping,
+  mergeImportPreview,
+} from "../utils/rosterImport";
+
+const STATUS_STYLES = {
+  new: "text-green-400",
+  duplicate: "text-yellow-400",
+  invalid: "text-red-400",
+};
+
+const STATUS_LABELS = { new: "Add", duplicate: "Duplicate", invalid: "Error" };
+
+/**
+ * Splits parsed rows into the header and the data rows
+ * @param {Array<Object>} rows - Rows from parseDelimitedText
+ * @param {boolean} hasHeader - Whether the first row names the columns
+ * @returns {Object} - { header, dataRows }; without a header the columns are
+ *   numbered
+ */
+const splitHeader = (rows, hasHeader) => {
+  if (rows.length === 0) return { header: [], dataRows: [] };
+  if (hasHeader) return { header: rows[0].fields, dataRows: rows.slice(1) };
+  return {
+    header: rows[0].fields.map((_, index) => `Column ${index + 1}`),
+    dataRows: rows,
+  };
+};
+
+// Imports a CSV or TSV registration export, uploaded or pasted. Columns are
+// mapped to roster fields, every row is previewed with duplicates and
+// malformed lines flagged, and only new rows are merged into the roster.
+// onImport receives the updated roster and the number of rows added.
+function RosterImport({ participants, onImport }) {
+  const [text, setText] = useState("");
+  const [hasHeader, setHasHeader] = useState(true);
+  // Mapping chosen by hand, with the columns it was chosen for
+  const [mapping, setMapping] = useState(null);
+
+  const { rows, error } = useMemo(() => parseDelimitedText(text), [text]);
+  const { header, dataRows } = splitHeader(rows, hasHeader);
+  // Editing the data keeps a manual mapping; a new header row (or, without
+  // one, a new column count) goes back to the guessed mapping
+  const columnsKey = hasHeader ? JSON.stringify(header) : header.length;
+  const columnMapping =
+    mapping?.columnsKey === columnsKey
+      ? mapping.fields
+      : guessColumnMapping(hasHeader ? header : []);
+  const preview = buildImportPreview(
+    dataRows,
+    columnMapping,
+    header.length,
+    participants
+  );
+  const newCount = preview.filter(({ status }) => status === "new").length;
+
+  const loadFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) setText(await file.text());
+  };
+
+  const importRows = () => {
+    onImport(mergeImportPreview(participants, preview), newCount);
+    setText("");
+  };
+
+  return (
+    <details className="mb-4 text-sm text-gray-300">
+      <summary className="cursor-pointer text-teal-200">
+        Import roster from CSV / TSV
+      </summary>
+      <div className="mt-2 space-y-2">
+        <input
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+          onChange={loadFile}
+          className="block w-full text-xs"
+        />
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={
+            '…or paste rows, e.g.\nName,Team,Seed\n"Smith, John",Riverside,1'
+          }
+          rows="3"
+          aria-label="Roster rows to import"
+          className="w-full p-2 text-xs bg-gray-700 border border-gray-600 rounded-lg outline-none focus:ring-2 focus:ring-teal-500 resize-y font-mono"
+        />
+        <label className="flex items-center gap-2 text-xs">
+          <input
+            type="checkbox"
+            checked={hasHeader}
+            onChange={(e) => setHasHeader(e.target.checked)}
+          />
+          First row is a header
+        </label>
+        {error && <p className="text-xs text-red-400">{error}</p>}
+        {dataRows.length > 0 && (
+          <>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+              {Object.entries(IMPORT_FIELDS).map(([field, { label }]) => (
+                <label key={field} className="text-xs">
+                  {label}
+                  <select
+                    value={columnMapping[field] ?? ""}
+                    onChange={(e) =>
+                      setMapping({
+                        columnsKey,
+                        fields: {
+                          ...columnMapping,
+                          [field]:
+                            e.target.value === ""
+                              ? null
+                              : Number(e.target.value),
+                        },
+                      })
+                    }
+                    className="w-full mt-1 p-1 bg-gray-700 border border-gray-600 rounded outline-none focus:ring-1 focus:ring-teal-500"
+                  >
+                    <option value="">—</option>
+                    {header.map((title, index) => (
+                      <option key={index} value={index}>
+                        {title || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <div className="max-h-48 overflow-auto custom-scrollbar">
+              <table className="w-full text-xs">
+                <thead className="text-gray-400 text-left">
+                  <tr>
+                    <th className="pr-2">Line</th>
+                    <th className="pr-2">Name</th>
+                    <th className="pr-2">Team</th>
+                    <th className="pr-2">Seed</th>
+                    <th className="pr-2">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map(({ line, entry, status, problem }) => (
+                    <tr key={line} className="border-t border-gray-700">
+                      <td className="pr-2 text-gray-400">{line}</td>
+                      <td className="pr-2 truncate max-w-[8rem]">
+                        {entry.name}
+                      </td>
+                      <td className="pr-2 truncate max-w-[6rem]">
+                        {entry.team}
+                      </td>
+                      <td className="pr-2">{entry.seed ?? ""}</td>
+                      <td className={STATUS_STYLES[status]} title={problem}>
+                        {STATUS_LABELS[status]}
+                        {problem && (
+                          <span className="text-gray-400"> · {problem}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <button
+              type="button"
+              onClick={importRows}
+              disabled={newCount === 0}
+              className="w-full bg-teal-600 hover:bg-teal-500 disabled:bg-gray-500 disabled:cursor-not-allowed text-white font-semibold py-2 rounded-lg"
+            >
+              Add {newCount} participant(s)
+            </button>
+          </>
+        )}
+      </div>
+    </details>
+  );
+}
+
+export default RosterImport;
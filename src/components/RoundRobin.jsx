@@ -0,0 +1,128 @@
+import { createRandom, generateDrawSeed, shuffleArray } from "../utils/random";
+
+// Constants for match types and special values
+const MATCH_TYPES = {
+  ROUND_ROBIN: "RR",
+};
+
+const SPECIAL_VALUES = {
+  BYE: "BYE",
+};
+
+/**
+ * Creates a round robin match
+ * @param {number} roundNum - Round number
+ * @param {number} matchIndex - Index of match within the round
+ * @param {Array} pair - Array of two participants
+ * @param {number} leg - 0 for the first meeting, 1 for the return match
+ * @returns {Object} - Match object
+ */
+const createMatch = (roundNum, matchIndex, pair, leg) => ({
+  id: `rrR${roundNum}M${matchIndex}`,
+  // A player paired with the BYE rests this round; it is not a win
+  pair: pair[0] === SPECIAL_VALUES.BYE ? [pair[1], pair[0]] : pair,
+  winner: null,
+  loser: null,
+  isDraw: false,
+  score: null,
+  scheduledTime: null,
+  court: null,
+  type: MATCH_TYPES.ROUND_ROBIN,
+  round: roundNum,
+  matchIndexInRound: matchIndex,
+  leg,
+});
+
+/**
+ * Builds one full cycle of rounds with the circle method
+ * The first entrant stays fixed while the others rotate one place per round,
+ * so everyone meets everyone exactly once.
+ * @param {Array} entrants - Even-length list of entrants (may include BYE)
+ * @returns {Array} - Rounds as arrays of [home, away] pairs
+ */
+const buildCircleSchedule = (entrants) => {
+  const rounds = [];
+  let rotation = [...entrants];
+  for (let roundNum = 0; roundNum < entrants.length - 1; roundNum++) {
+    const pairs = [];
+    for (let i = 0; i < rotation.length / 2; i++) {
+      const home = rotation[i];
+      const away = rotation[rotation.length - 1 - i];
+      // Alternate the fixed entrant's side so home/away stays balanced
+      pairs.push(i === 0 && roundNum % 2 === 1 ? [away, home] : [home, away]);
+    }
+    rounds.push(pairs);
+    rotation = [
+      rotation[0],
+      rotation[rotation.length - 1],
+      ...rotation.slice(1, -1),
+    ];
+  }
+  return rounds;
+};
+
+/**
+ * Generates a round robin schedule
+ * @param {Array<string>} participantsArray - Array of participant names
+ * @param {Object} options - Generation options
+ * @param {boolean} options.doubleRoundRobin - Play everyone twice, with
+ *   home/away swapped in the second cycle
+ * @param {string} options.drawSeed - Optional random seed for the draw
+ * @returns {Object} - Schedule data with rounds, players, drawSeed and error
+ */
+const RoundRobin = (participantsArray, options = {}) => {
+  // Input validation
+  if (!Array.isArray(participantsArray)) {
+    return {
+      rounds: [],
+      champion: null,
+      error: "Invalid input: participants must be an array.",
+    };
+  }
+
+  const players = participantsArray.filter(
+    (p) => p !== null && p !== undefined && p !== ""
+  );
+
+  if (players.length < 2) {
+    return {
+      rounds: [],
+      champion: null,
+      error: "Round robin needs at least 2 participants.",
+    };
+  }
+
+  const drawSeed = options.drawSeed || generateDrawSeed();
+  const entrants = shuffleArray(players, createRandom(drawSeed));
+  // Odd field: whoever is paired with the BYE rests that round
+  if (entrants.length % 2 !== 0) entrants.push(SPECIAL_VALUES.BYE);
+
+  const cycle = buildCircleSchedule(entrants);
+  const legs = options.doubleRoundRobin ? 2 : 1;
+  const rounds = [];
+  for (let leg = 0; leg < legs; leg++) {
+    cycle.forEach((pairs) => {
+      const roundNum = rounds.length;
+      rounds.push(
+        pairs.map((pair, matchIndex) =>
+          createMatch(
+            roundNum,
+            matchIndex,
+            leg === 0 ? pair : [pair[1], pair[0]],
+            leg
+          )
+        )
+      );
+    });
+  }
+
+  return {
+    rounds,
+    players,
+    champion: null,
+    drawSeed,
+    error: null,
+  };
+};
+
+export default RoundRobin;
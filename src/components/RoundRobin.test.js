@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import RoundRobin from "./RoundRobin";
+
+const players = ["p1", "p2", "p3", "p4", "p5"];
+
+describe("RoundRobin", () => {
+  it("draws the same schedule twice from the same draw seed", () => {
+    const first = RoundRobin(players, { drawSeed: "club-night" });
+    const second = RoundRobin(players, { drawSeed: "club-night" });
+    expect(first.error).toBeNull();
+    expect(second).toEqual(first);
+  });
+
+  it("schedules a known draw seed, one player resting each round", () => {
+    const { rounds } = RoundRobin(players, { drawSeed: "club-night" });
+    expect(rounds.map((round) => round.map(({ pair }) => pair))).toEqual([
+      [
+        ["p4", "BYE"],
+        ["p5", "p2"],
+        ["p3", "p1"],
+      ],
+      [
+        ["p2", "p4"],
+        ["p1", "BYE"],
+        ["p5", "p3"],
+      ],
+      [
+        ["p4", "p1"],
+        ["p2", "p3"],
+        ["p5", "BYE"],
+      ],
+      [
+        ["p3", "p4"],
+        ["p1", "p5"],
+        ["p2", "BYE"],
+      ],
+      [
+        ["p4", "p5"],
+        ["p3", "BYE"],
+        ["p1", "p2"],
+      ],
+    ]);
+  });
+
+  it("pairs everyone with everyone exactly once", () => {
+    const { rounds } = RoundRobin(players, { drawSeed: "club-night" });
+    const meetings = rounds
+      .flat()
+      .filter(({ pair }) => !pair.includes("BYE"))
+      .map(({ pair }) => [...pair].sort().join("-"));
+    expect(meetings).toHaveLength(10);
+    expect(new Set(meetings).size).toBe(10);
+  });
+});
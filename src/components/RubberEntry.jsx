@@ -0,0 +1,87 @@
+import React from "react";
+import { getRubberTally } from "../utils/teams";
+
+const selectClass =
+  "min-w-0 flex-1 p-1 bg-gray-800 border border-gray-600 rounded outline-none focus:ring-1 focus:ring-teal-500";
+
+// Expandable list of the rubbers of a team match: the players each team puts
+// out and who won each rubber. onChange receives the rubber index and the
+// changed fields (lineup or winnerSlot).
+function RubberEntry({ match, format, getName, getMembers, onChange }) {
+  const [first, second] = getRubberTally(match);
+
+  return (
+    <details className="mt-2 text-xs">
+      <summary className="cursor-pointer text-teal-200">
+        Rubbers {first}–{second}
+      </summary>
+      <ul className="mt-1 space-y-2">
+        {format.map((rubber, index) => {
+          const result = match.rubbers?.[index] ?? {
+            lineup: [[], []],
+            winnerSlot: null,
+          };
+          const playerCount = rubber.type === "doubles" ? 2 : 1;
+          return (
+            <li key={rubber.label} className="bg-gray-800 rounded p-2">
+              <div className="font-semibold text-gray-300 mb-1">
+                {rubber.label}
+              </div>
+              {[0, 1].map((slot) => (
+                <div key={slot} className="flex items-center gap-1 mb-1">
+                  {Array.from({ length: playerCount }, (_, position) => (
+                    <select
+                      key={position}
+                      value={result.lineup[slot]?.[position] ?? ""}
+                      onChange={(e) => {
+                        const lineup = result.lineup.map((names) => [...names]);
+                        lineup[slot][position] = e.target.value;
+                        onChange(index, { lineup });
+                      }}
+                      aria-label={`${rubber.label} player ${position + 1} for ${getName(match.pair[slot])}`}
+                      className={selectClass}
+                    >
+                      <option value="">{getName(match.pair[slot])}…</option>
+                      {getMembers(match.pair[slot])
+                        .filter(
+                          // A doubles pair needs two different players
+                          (member) =>
+                            !result.lineup[slot]?.some(
+                              (name, other) =>
+                                other !== position && name === member.name
+                            )
+                        )
+                        .map((member) => (
+                          <option key={member.name} value={member.name}>
+                            {member.name}
+                            {member.substitute ? " (sub)" : ""}
+                          </option>
+                        ))}
+                    </select>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() =>
+                      onChange(index, {
+                        winnerSlot: result.winnerSlot === slot ? null : slot,
+                      })
+                    }
+                    className={`px-2 py-1 rounded ${
+                      result.winnerSlot === slot
+                        ? "bg-green-600 font-bold"
+                        : "bg-gray-600 hover:bg-gray-500"
+                    }`}
+                  >
+                    Won
+                  </button>
+                </div>
+              ))}
+            </li>
+          );
+        })}
+      </ul>
+    </details>
+  );
+}
+
+export default RubberEntry;
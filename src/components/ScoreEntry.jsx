@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { readScore } from "../utils/scoring";
+
+// Example scores shown in an empty score box, per scoring rule
+const SCORE_EXAMPLES = {
+  highestTotal: () => "87-80",
+  bestOfGames: (target) => `${Math.floor(target / 2) + 1}-1`,
+  bestOfSets: () => "6-4 3-6 7-5",
+  firstTo: (target) => `${target}-${Math.max(target - 4, 0)}`,
+};
+
+// Score box for a match. The result is derived from the score under the
+// tournament's scoring rule; saving an empty box clears the result.
+// onRecord receives the winner (null for a draw or when cleared), isDraw and
+// the normalised score.
+function ScoreEntry({
+  match,
+  rule,
+  allowDraw = false,
+  getName = (player) => player,
+  onRecord,
+}) {
+  const [text, setText] = useState(match.score ?? "");
+  const [error, setError] = useState("");
+
+  const submitScore = (e) => {
+    e.preventDefault();
+    if (!text.trim()) {
+      setError("");
+      onRecord(null, false, null);
+      return;
+    }
+    const result = readScore(text, rule, allowDraw);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setError("");
+    onRecord(
+      result.isDraw ? null : match.pair[result.winnerSlot],
+      result.isDraw,
+      result.score
+    );
+  };
+
+  return (
+    <form onSubmit={submitScore} className="mt-2">
+      <div className="flex items-center gap-2 text-xs">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={`Score, e.g. ${SCORE_EXAMPLES[rule.type](rule.target)}`}
+          aria-label={`Score of ${getName(match.pair[0])} vs ${getName(match.pair[1])}`}
+          title={`${getName(match.pair[0])}'s score first`}
+          className="flex-1 min-w-0 p-1 bg-gray-800 border border-gray-600 rounded outline-none focus:ring-1 focus:ring-teal-500"
+        />
+        <button
+          type="submit"
+          className="px-2 py-1 rounded bg-teal-600 hover:bg-teal-500 font-semibold"
+        >
+          Save
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+    </form>
+  );
+}
+
+export default ScoreEntry;
@@ -0,0 +1,88 @@
+import React from "react";
+import { getRoundTitle } from "../utils/bracketLayout";
+import { SERIES_LENGTHS } from "../utils/series";
+
+/**
+ * Series length shared by a set of matches
+ * @param {Array} matches - Matches
+ * @returns {string} - The common length, or "" when they differ
+ */
+const getCommonLength = (matches) => {
+  const lengths = new Set(matches.map((match) => match.bestOf ?? 1));
+  return lengths.size === 1 ? String([...lengths][0]) : "";
+};
+
+// Picks the series length (best of N) per round, per bracket section and for
+// the finals. onChange receives the IDs of the matches to change and N.
+function SeriesSettings({ sections, finals = [], onChange }) {
+  const renderSelect = (matches, label) => (
+    <select
+      value={getCommonLength(matches)}
+      onChange={(e) =>
+        onChange(
+          matches.map((match) => match.id),
+          Number(e.target.value)
+        )
+      }
+      aria-label={`Series length for ${label}`}
+      className="p-1 bg-gray-700 border border-gray-600 rounded text-xs outline-none focus:ring-1 focus:ring-teal-500"
+    >
+      <option value="" disabled>
+        Mixed
+      </option>
+      {SERIES_LENGTHS.map((length) => (
+        <option key={length} value={length}>
+          Bo{length}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <details className="mb-6 text-sm text-gray-300">
+      <summary className="cursor-pointer text-teal-200">
+        Series length (best of N)
+      </summary>
+      <p className="text-xs text-gray-400 mt-2">
+        Matches already under way keep their length.
+      </p>
+      {sections.map((section) => (
+        <div key={section.title} className="mt-3">
+          <div className="flex justify-between items-center font-semibold">
+            <span>
+              {section.title}
+              {section.rounds.length > 1 && ": all rounds"}
+            </span>
+            {section.rounds.length > 1 &&
+              renderSelect(section.rounds.flat(), section.title)}
+          </div>
+          <ul className="mt-1 space-y-1">
+            {section.rounds.map((round, roundIndex) => {
+              const title = getRoundTitle(section, roundIndex);
+              return (
+                <li
+                  key={roundIndex}
+                  className="flex justify-between items-center bg-gray-700 rounded px-2 py-1"
+                >
+                  <span>{title}</span>
+                  {renderSelect(round, title)}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      ))}
+      {finals.length > 0 && (
+        <div className="flex justify-between items-center font-semibold mt-3">
+          <span>Grand Final</span>
+          {renderSelect(
+            finals.map((final) => final.match),
+            "the grand final"
+          )}
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default SeriesSettings;
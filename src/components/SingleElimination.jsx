@@ -1,3 +1,17 @@
+import {
+  SOURCE_TYPES,
+  createSource,
+  linkMatches,
+  validateMatchGraph,
+} from "../utils/matchGraph";
+import { propagateResults } from "../utils/bracketResults";
+import {
+  getNextPowerOfTwo,
+  placeParticipants,
+  validateSeeds,
+} from "../utils/seeding";
+import { createRandom, generateDrawSeed, shuffleArray } from "../utils/random";
+
 // Constants for match types and special values
 const MATCH_TYPES = {
   SINGLE_ELIMINATION: "SE",
@@ -9,25 +23,62 @@ const SPECIAL_VALUES = {
 };
 
 /**
- * Fisher-Yates shuffle algorithm for truly random array shuffling
- * @param {Array} array - Array to shuffle
- * @returns {Array} - New shuffled array
+ * Creates an empty single elimination match
+ * @param {number} roundNum - Round number
+ * @param {number} matchIndex - Index of match within the round
+ * @returns {Object} - Match object with TBD slots
  */
-const shuffleArray = (array) => {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
+const createMatch = (roundNum, matchIndex) => ({
+  id: `sR${roundNum}M${matchIndex}`,
+  pair: [null, null],
+  winner: null,
+  score: null,
+  scheduledTime: null,
+  court: null,
+  walkover: false,
+  bestOf: 1,
+  games: [],
+  rubbers: [],
+  type: MATCH_TYPES.SINGLE_ELIMINATION,
+  round: roundNum,
+  matchIndexInRound: matchIndex,
+  sources: [null, null],
+  nextMatchId: null,
+  nextSlot: null,
+  loserNextMatchId: null,
+  loserNextSlot: null,
+});
+
+/**
+ * Creates the third-place match, played by the two semi-final losers
+ * @param {Array} semiFinals - The two semi-final matches
+ * @returns {Object} - Match that decides third and fourth place
+ */
+const createThirdPlaceMatch = (semiFinals) => {
+  const match = {
+    ...createMatch(semiFinals[0].round + 1, 0),
+    id: "tpM0",
+    forPlace: 3,
+  };
+  semiFinals.forEach((semiFinal, slot) =>
+    linkMatches(semiFinal, match, slot, SOURCE_TYPES.LOSER)
+  );
+  return match;
 };
 
 /**
  * Generates a single elimination tournament bracket
  * @param {Array<string>} participantsArray - Array of participant names
- * @returns {Object} - Tournament bracket data with rounds, champion, and error
+ * @param {Object} options - Generation options
+ * @param {Object} options.seeds - Optional map of participant to seed number
+ * @param {string} options.drawSeed - Optional random seed; the same
+ *   participants and draw seed always give the same bracket
+ * @param {boolean} options.thirdPlaceMatch - Add a match between the
+ *   semi-final losers (needs at least two rounds)
+ * @returns {Object} - Tournament bracket data with rounds, thirdPlaceMatch
+ *   (or null), champion, and error
  */
-const SingleElimination = (participantsArray) => {
+const SingleElimination = (participantsArray, options = {}) => {
   // Input validation
   if (!Array.isArray(participantsArray)) {
     return {
@@ -63,110 +114,90 @@ const SingleElimination = (participantsArray) => {
           },
         ],
       ],
+      thirdPlaceMatch: null,
       champion: players[0],
       error: null,
     };
   }
 
-  // Shuffle players for fairness using Fisher-Yates algorithm
-  const shuffledPlayers = shuffleArray(players);
+  const seedError = validateSeeds(players, options.seeds);
+  if (seedError) {
+    return { rounds: [], champion: null, error: seedError };
+  }
 
-  const allRounds = [];
-  let currentEntrants = [...shuffledPlayers];
-  let roundNum = 0;
-  const maxRounds = Math.ceil(Math.log2(players.length)) + 2; // More precise safety limit
-
-  // Generate rounds until only one winner remains
-  while (currentEntrants.length > 1 && roundNum < maxRounds) {
-    const currentRoundMatches = [];
-    const nextRoundEntrants = [];
-    const activeEntrantsThisRound = [...currentEntrants];
-
-    // Handle odd number of entrants (one gets a bye)
-    if (activeEntrantsThisRound.length % 2 !== 0) {
-      const byeRecipient = selectByeRecipient(activeEntrantsThisRound);
-      const byeRecipientIndex = activeEntrantsThisRound.indexOf(byeRecipient);
-
-      if (byeRecipientIndex !== -1) {
-        // Remove bye recipient from active entrants
-        activeEntrantsThisRound.splice(byeRecipientIndex, 1);
-
-        // Create bye match
-        currentRoundMatches.push({
-          id: `sR${roundNum}M${currentRoundMatches.length}`,
-          pair: [byeRecipient, SPECIAL_VALUES.BYE],
-          winner: byeRecipient,
-          type: MATCH_TYPES.SINGLE_ELIMINATION,
-        });
-
-        // Bye recipient advances to next round
-        nextRoundEntrants.push(byeRecipient);
-      }
-    }
+  // Every random choice in the draw comes from the draw seed
+  const drawSeed = options.drawSeed || generateDrawSeed();
+  const random = createRandom(drawSeed);
+
+  // Place players using standard seeding; unseeded players are shuffled
+  const bracketSize = getNextPowerOfTwo(players.length);
+  const firstRoundSlots = placeParticipants(
+    players,
+    options.seeds,
+    bracketSize,
+    (array) => shuffleArray(array, random)
+  );
 
-    // Pair remaining entrants
-    for (let i = 0; i < activeEntrantsThisRound.length; i += 2) {
-      const p1 = activeEntrantsThisRound[i];
-      const p2 = activeEntrantsThisRound[i + 1];
-
-      // Safety check: ensure p2 exists
-      if (p2 === undefined) {
-        // If odd number after bye handling, last player gets a bye
-        nextRoundEntrants.push(p1);
-        continue;
-      }
-
-      currentRoundMatches.push({
-        id: `sR${roundNum}M${currentRoundMatches.length}`,
-        pair: [p1, p2],
-        winner: null, // Winner to be determined
-        type: MATCH_TYPES.SINGLE_ELIMINATION,
+  const allRounds = [];
+  let matchCount = bracketSize / 2;
+  for (let roundNum = 0; matchCount >= 1; roundNum++) {
+    const round = Array.from({ length: matchCount }, (_, matchIndex) =>
+      createMatch(roundNum, matchIndex)
+    );
+    if (roundNum === 0) {
+      round.forEach((match, matchIndex) => {
+        match.pair = firstRoundSlots.slice(matchIndex * 2, matchIndex * 2 + 2);
+        match.sources = match.pair.map((player) =>
+          createSource(
+            player === SPECIAL_VALUES.BYE
+              ? SOURCE_TYPES.BYE
+              : SOURCE_TYPES.PARTICIPANT
+          )
+        );
       });
-
-      // Placeholder for winner (TBD)
-      nextRoundEntrants.push(null);
-    }
-
-    // Add round if it has matches
-    if (currentRoundMatches.length > 0) {
-      allRounds.push(currentRoundMatches);
+    } else {
+      allRounds[roundNum - 1].forEach((match, matchIndex) =>
+        linkMatches(match, round[Math.floor(matchIndex / 2)], matchIndex % 2)
+      );
     }
+    allRounds.push(round);
+    matchCount /= 2;
+  }
 
-    // Filter out undefined values and prepare for next round
-    currentEntrants = nextRoundEntrants.filter((e) => e !== undefined);
-    roundNum++;
+  const thirdPlaceMatch =
+    options.thirdPlaceMatch && allRounds.length >= 2
+      ? createThirdPlaceMatch(allRounds[allRounds.length - 2])
+      : null;
+  // The third-place match follows the semi-finals it is fed by
+  const allMatches = [
+    ...allRounds.flat(),
+    ...(thirdPlaceMatch ? [thirdPlaceMatch] : []),
+  ];
+
+  const graphProblems = validateMatchGraph(allMatches);
+  if (graphProblems.length > 0) {
+    return {
+      rounds: [],
+      champion: null,
+      error: `Could not build bracket: ${graphProblems[0]}`,
+    };
   }
 
+  // Top seeds facing a BYE advance straight away
+  propagateResults(allMatches);
+
   // Determine final champion
   const finalChampion = determineChampion(allRounds, players);
 
   return {
     rounds: allRounds,
+    thirdPlaceMatch,
     champion: finalChampion,
+    drawSeed,
     error: null,
   };
 };
 
-/**
- * Selects a bye recipient from active entrants
- * Prefers actual players over null/TBD values
- * @param {Array} entrants - Array of entrants
- * @returns {*} - Selected bye recipient
- */
-const selectByeRecipient = (entrants) => {
-  // Shuffle to randomize bye selection
-  const shuffled = shuffleArray(entrants);
-
-  // Prefer actual players (non-null values)
-  const actualPlayer = shuffled.find((entrant) => entrant !== null);
-  if (actualPlayer !== undefined) {
-    return actualPlayer;
-  }
-
-  // If all are null/TBD, return first one
-  return entrants[0];
-};
-
 /**
  * Determines the champion from the bracket rounds
  * @param {Array} allRounds - All tournament rounds
@@ -185,7 +216,7 @@ const determineChampion = (allRounds, originalPlayers) => {
     Array.isArray(lastRound) &&
     lastRound.length === 1 &&
     lastRound[0].winner &&
-    lastRound[0].winner !== null
+    lastRound[0].winner !== SPECIAL_VALUES.BYE
   ) {
     return lastRound[0].winner;
   }
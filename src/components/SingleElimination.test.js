@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import SingleElimination from "./SingleElimination";
+
+const players = ["p1", "p2", "p3", "p4", "p5", "p6"];
+
+describe("SingleElimination", () => {
+  it("draws the same bracket twice from the same draw seed", () => {
+    const first = SingleElimination(players, { drawSeed: "club-night" });
+    const second = SingleElimination(players, { drawSeed: "club-night" });
+    expect(first.error).toBeNull();
+    expect(second).toEqual(first);
+  });
+
+  it("draws another bracket from another draw seed", () => {
+    const pairs = (drawSeed) =>
+      SingleElimination(players, { drawSeed }).rounds[0].map(
+        ({ pair }) => pair
+      );
+    expect(pairs("club-night")).not.toEqual(pairs("club-nite"));
+  });
+
+  it("places seeds, byes and unseeded players for a known draw seed", () => {
+    const { rounds, drawSeed } = SingleElimination(players, {
+      drawSeed: "club-night",
+      seeds: { p1: 1, p2: 2 },
+    });
+    expect(drawSeed).toBe("club-night");
+    expect(rounds[0].map(({ pair }) => pair)).toEqual([
+      ["p1", "BYE"],
+      ["p6", "p3"],
+      ["p2", "BYE"],
+      ["p5", "p4"],
+    ]);
+    // Seeds with a bye are already through to the semi-finals
+    expect(rounds[1].map(({ pair }) => pair)).toEqual([
+      ["p1", null],
+      ["p2", null],
+    ]);
+  });
+});
@@ -0,0 +1,241 @@
+import { createRandom, generateDrawSeed, shuffleArray } from "../utils/random";
+import { getSeed, validateSeeds } from "../utils/seeding";
+import {
+  DEFAULT_SWISS_STANDINGS_SETTINGS,
+  computeStandings,
+  isLeagueComplete,
+} from "../utils/standings";
+
+// Constants for match types and special values
+const MATCH_TYPES = {
+  SWISS: "SW",
+};
+
+const SPECIAL_VALUES = {
+  BYE: "BYE",
+};
+
+// Safety limit for the pairing search before rematches are allowed
+const MAX_PAIRING_STEPS = 20000;
+
+/**
+ * Creates a Swiss match
+ * @param {number} roundNum - Round number
+ * @param {number} matchIndex - Index of match within the round
+ * @param {Array} pair - Array of two participants
+ * @returns {Object} - Match object
+ */
+const createMatch = (roundNum, matchIndex, pair) => ({
+  id: `swR${roundNum}M${matchIndex}`,
+  pair,
+  winner: null,
+  loser: null,
+  isDraw: false,
+  score: null,
+  scheduledTime: null,
+  court: null,
+  type: MATCH_TYPES.SWISS,
+  round: roundNum,
+  matchIndexInRound: matchIndex,
+});
+
+/**
+ * Default number of Swiss rounds: enough to separate a single winner
+ * @param {number} playerCount - Number of participants
+ * @returns {number} - ceil(log2(n)), at least 1
+ */
+const getDefaultRoundCount = (playerCount) =>
+  Math.max(1, Math.ceil(Math.log2(playerCount)));
+
+/**
+ * Orders candidate opponents for the top unpaired player
+ * Within the player's score group the Dutch system is preferred (top half
+ * meets bottom half); lower score groups follow in ranking order.
+ * @param {string} player - Player being paired
+ * @param {Array<string>} rest - Other unpaired players in ranking order
+ * @param {Map} points - Current points per player
+ * @returns {Array<string>} - Candidates, most preferred first
+ */
+const getCandidates = (player, rest, points) => {
+  const sameGroup = rest.filter(
+    (other) => points.get(other) === points.get(player)
+  );
+  const lowerGroups = rest.filter(
+    (other) => points.get(other) !== points.get(player)
+  );
+  const preferredIndex = Math.max(0, Math.ceil((sameGroup.length + 1) / 2) - 1);
+  return [
+    ...sameGroup.slice(preferredIndex),
+    ...sameGroup.slice(0, preferredIndex).reverse(),
+    ...lowerGroups,
+  ];
+};
+
+/**
+ * Pairs players top-down, backtracking to avoid rematches
+ * @param {Array<string>} ordered - Unpaired players in ranking order
+ * @param {Map} points - Current points per player
+ * @param {Function} havePlayed - (a, b) => boolean
+ * @param {Object} budget - Remaining search steps ({ steps })
+ * @returns {Array|null} - Pairs, or null if no rematch-free pairing exists
+ */
+const pairWithoutRematches = (ordered, points, havePlayed, budget) => {
+  if (ordered.length === 0) return [];
+  const [player, ...rest] = ordered;
+  for (const opponent of getCandidates(player, rest, points)) {
+    if (--budget.steps < 0) return null;
+    if (havePlayed(player, opponent)) continue;
+    const remainingPairs = pairWithoutRematches(
+      rest.filter((other) => other !== opponent),
+      points,
+      havePlayed,
+      budget
+    );
+    if (remainingPairs) return [[player, opponent], ...remainingPairs];
+  }
+  return null;
+};
+
+/**
+ * Generates the next round of a Swiss tournament
+ * Call it without previousRounds to start the event (round 1 pairs the top
+ * half of the initial ranking against the bottom half), then again with the
+ * recorded rounds to pair each following round.
+ * @param {Array<string>} participantsArray - Participants; after round 1
+ *   pass the returned players, which hold the initial ranking order
+ * @param {Object} options - Generation options
+ * @param {Array} options.previousRounds - Rounds played so far
+ * @param {number} options.totalRounds - Rounds to play (default ceil(log2 n))
+ * @param {Object} options.seeds - Optional seeds for the initial ranking
+ * @param {Object} options.standingsSettings - Points used for score groups
+ * @param {Array<string>} options.withdrawn - Participants who have left;
+ *   they keep their place in the standings but are no longer paired and
+ *   cannot get the bye
+ * @param {string} options.drawSeed - Optional random seed for the draw
+ * @returns {Object} - Rounds so far plus the new one, players, totalRounds,
+ *   drawSeed and error
+ */
+const Swiss = (participantsArray, options = {}) => {
+  // Input validation
+  if (!Array.isArray(participantsArray)) {
+    return {
+      rounds: [],
+      champion: null,
+      error: "Invalid input: participants must be an array.",
+    };
+  }
+
+  const previousRounds = options.previousRounds || [];
+  const drawSeed = options.drawSeed || generateDrawSeed();
+  let players = participantsArray.filter(
+    (p) => p !== null && p !== undefined && p !== ""
+  );
+
+  if (players.length < 2) {
+    return {
+      rounds: previousRounds,
+      champion: null,
+      error: "Swiss needs at least 2 participants.",
+    };
+  }
+
+  const totalRounds =
+    options.totalRounds || getDefaultRoundCount(players.length);
+  if (previousRounds.length >= totalRounds) {
+    return {
+      rounds: previousRounds,
+      champion: null,
+      error: `All ${totalRounds} rounds have already been generated.`,
+    };
+  }
+  if (previousRounds.length > 0 && !isLeagueComplete(previousRounds.flat())) {
+    return {
+      rounds: previousRounds,
+      champion: null,
+      error: "Record every result of the current round first.",
+    };
+  }
+
+  // Initial ranking: seeded players by seed, the rest in random order
+  if (previousRounds.length === 0) {
+    const seedError = validateSeeds(players, options.seeds);
+    if (seedError) {
+      return { rounds: [], champion: null, error: seedError };
+    }
+    const seeded = players
+      .filter((player) => getSeed(options.seeds, player) !== null)
+      .sort((a, b) => getSeed(options.seeds, a) - getSeed(options.seeds, b));
+    const unseeded = shuffleArray(
+      players.filter((player) => getSeed(options.seeds, player) === null),
+      createRandom(drawSeed)
+    );
+    players = [...seeded, ...unseeded];
+  }
+
+  const playedMatches = previousRounds.flat();
+  const standings = computeStandings(
+    playedMatches,
+    players,
+    options.standingsSettings || DEFAULT_SWISS_STANDINGS_SETTINGS
+  );
+  const points = new Map(standings.map((row) => [row.player, row.points]));
+  const byeCounts = new Map(standings.map((row) => [row.player, row.byes]));
+  const initialRank = new Map(players.map((player, index) => [player, index]));
+  const withdrawn = new Set(options.withdrawn || []);
+  const ranked = players
+    .filter((player) => !withdrawn.has(player))
+    .sort(
+      (a, b) =>
+        points.get(b) - points.get(a) || initialRank.get(a) - initialRank.get(b)
+    );
+  if (ranked.length < 2) {
+    return {
+      rounds: previousRounds,
+      champion: null,
+      error: "Swiss needs at least 2 participants who have not withdrawn.",
+    };
+  }
+
+  // Odd field: the lowest-ranked player without a bye sits out
+  let byePlayer = null;
+  if (ranked.length % 2 !== 0) {
+    byePlayer =
+      [...ranked].reverse().find((player) => byeCounts.get(player) === 0) ??
+      ranked[ranked.length - 1];
+  }
+  const toPair = ranked.filter((player) => player !== byePlayer);
+
+  const previousPairings = new Set(
+    playedMatches.map((match) => [...match.pair].sort().join("\u0000"))
+  );
+  const havePlayed = (a, b) =>
+    previousPairings.has([a, b].sort().join("\u0000"));
+
+  // Fall back to allowing rematches when none can be avoided
+  const pairs =
+    pairWithoutRematches(toPair, points, havePlayed, {
+      steps: MAX_PAIRING_STEPS,
+    }) ??
+    pairWithoutRematches(toPair, points, () => false, { steps: Infinity });
+
+  const roundNum = previousRounds.length;
+  const round = pairs.map((pair, matchIndex) =>
+    createMatch(roundNum, matchIndex, pair)
+  );
+  if (byePlayer) {
+    round.push(
+      createMatch(roundNum, round.length, [byePlayer, SPECIAL_VALUES.BYE])
+    );
+  }
+
+  return {
+    rounds: [...previousRounds, round],
+    players,
+    totalRounds,
+    champion: null,
+    drawSeed,
+    error: null,
+  };
+};
+
+export default Swiss;
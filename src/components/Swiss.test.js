@@ -0,0 +1,136 @@
+import { describe, expect, it } from "vitest";
+import Swiss from "./Swiss";
+import { applyLeagueResult, isPlayableMatch } from "../utils/bracketResults";
+import { computeStandings } from "../utils/standings";
+
+const createPlayers = (count) =>
+  Array.from({ length: count }, (_, index) => `p${index + 1}`);
+
+// The first-listed player of every game wins
+const playRound = (rounds) =>
+  rounds
+    .at(-1)
+    .filter(isPlayableMatch)
+    .reduce(
+      (updated, match) => applyLeagueResult(updated, match.id, match.pair[0]),
+      rounds
+    );
+
+/**
+ * Pairs and plays rounds one after another
+ * @param {Array<string>} players - Participants
+ * @param {number} roundCount - Rounds to pair
+ * @param {Object} options - Further Swiss options
+ * @returns {Object} - Result of the last pairing, its round left unplayed
+ */
+const runSwiss = (players, roundCount, options = {}) => {
+  let result = Swiss(players, { drawSeed: "club-night", ...options });
+  for (let round = 1; round < roundCount; round++) {
+    result = Swiss(result.players, {
+      drawSeed: "club-night",
+      ...options,
+      totalRounds: result.totalRounds,
+      previousRounds: playRound(result.rounds),
+    });
+    expect(result.error).toBeNull();
+  }
+  return result;
+};
+
+const meetingKey = ({ pair }) => [...pair].sort().join("-");
+
+describe("Swiss", () => {
+  it("defaults to ceil(log2 n) rounds", () => {
+    expect(
+      [2, 4, 5, 8, 9, 16, 17].map(
+        (count) => Swiss(createPlayers(count), { drawSeed: "x" }).totalRounds
+      )
+    ).toEqual([1, 2, 3, 3, 4, 4, 5]);
+  });
+
+  it("pairs the same first round twice from the same draw seed", () => {
+    expect(Swiss(createPlayers(8), { drawSeed: "club-night" })).toEqual(
+      Swiss(createPlayers(8), { drawSeed: "club-night" })
+    );
+  });
+
+  it("pairs the top half against the bottom half in round 1", () => {
+    const { rounds, players } = Swiss(createPlayers(8), {
+      drawSeed: "club-night",
+    });
+    expect(rounds[0].map(({ pair }) => pair)).toEqual([
+      [players[0], players[4]],
+      [players[1], players[5]],
+      [players[2], players[6]],
+      [players[3], players[7]],
+    ]);
+  });
+
+  it("pairs players within their score group", () => {
+    const { rounds } = runSwiss(createPlayers(8), 2);
+    const winners = new Set(rounds[0].map(({ pair }) => pair[0]));
+    rounds[1].forEach(({ pair }) =>
+      expect(winners.has(pair[0])).toBe(winners.has(pair[1]))
+    );
+  });
+
+  it("avoids rematches across rounds", () => {
+    const { rounds } = runSwiss(createPlayers(8), 3);
+    const meetings = rounds.flat().map(meetingKey);
+    expect(new Set(meetings).size).toBe(meetings.length);
+  });
+
+  it("allows a rematch once none can be avoided", () => {
+    const { rounds } = runSwiss(createPlayers(4), 4, { totalRounds: 4 });
+    expect(rounds).toHaveLength(4);
+    const earlier = new Set(rounds.slice(0, 3).flat().map(meetingKey));
+    rounds[3].forEach((match) =>
+      expect(earlier.has(meetingKey(match))).toBe(true)
+    );
+  });
+
+  it("gives the bye to the lowest-ranked player who has not had one", () => {
+    const { rounds } = runSwiss(createPlayers(5), 5, { totalRounds: 5 });
+    const byePlayers = rounds.map(
+      (round) => round.find(({ pair }) => pair.includes("BYE")).pair[0]
+    );
+    expect(byePlayers[0]).toBe(
+      Swiss(createPlayers(5), { drawSeed: "club-night" }).players[4]
+    );
+    expect(new Set(byePlayers).size).toBe(5);
+  });
+
+  it("no longer pairs withdrawn players or gives them the bye", () => {
+    const first = Swiss(createPlayers(7), { drawSeed: "club-night" });
+    const options = {
+      drawSeed: "club-night",
+      previousRounds: playRound(first.rounds),
+    };
+    // Without the withdrawal this player would sit out round 2
+    const [byePlayer] = Swiss(first.players, options).rounds[1].find(
+      ({ pair }) => pair.includes("BYE")
+    ).pair;
+
+    const { rounds, players } = Swiss(first.players, {
+      ...options,
+      withdrawn: [byePlayer],
+    });
+    expect(rounds[1]).toHaveLength(3);
+    rounds[1].forEach(({ pair }) => {
+      expect(pair).not.toContain(byePlayer);
+      expect(pair).not.toContain("BYE");
+    });
+    expect(
+      computeStandings(rounds.flat(), players).map(({ player }) => player)
+    ).toContain(byePlayer);
+  });
+
+  it("refuses the next round until every result is in", () => {
+    const { rounds, players } = Swiss(createPlayers(4), {
+      drawSeed: "club-night",
+    });
+    expect(
+      Swiss(players, { drawSeed: "club-night", previousRounds: rounds }).error
+    ).toBe("Record every result of the current round first.");
+  });
+});
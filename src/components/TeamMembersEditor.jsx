@@ -0,0 +1,81 @@
+import React from "react";
+import { getTeamMembers } from "../utils/teams";
+
+const inputClass =
+  "min-w-0 p-1 text-xs bg-gray-700 border border-gray-500 rounded outline-none focus:ring-1 focus:ring-teal-500";
+
+// Player roster of a team entry, with the team size and substitute limits
+// shown against the current counts. onChange receives the new member list.
+function TeamMembersEditor({ team, settings, onChange }) {
+  const members = team.members || [];
+  const { starters, substitutes } = getTeamMembers(team);
+
+  const updateMember = (index, changes) =>
+    onChange(
+      members.map((member, memberIndex) =>
+        memberIndex === index ? { ...member, ...changes } : member
+      )
+    );
+
+  return (
+    <details className="text-xs text-gray-200">
+      <summary className="cursor-pointer">
+        Players {starters.length}/{settings.teamSize} · Subs{" "}
+        {substitutes.length}/{settings.substitutes}
+      </summary>
+      <ul className="mt-1 space-y-1">
+        {members.map((member, index) => (
+          <li key={index} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={member.name}
+              onChange={(e) => updateMember(index, { name: e.target.value })}
+              placeholder="Player name"
+              aria-label={`Player ${index + 1} of ${team.name}`}
+              className={`${inputClass} flex-1`}
+            />
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={member.substitute}
+                onChange={(e) =>
+                  updateMember(index, { substitute: e.target.checked })
+                }
+              />
+              Sub
+            </label>
+            <button
+              type="button"
+              onClick={() =>
+                onChange(
+                  members.filter((_, memberIndex) => memberIndex !== index)
+                )
+              }
+              aria-label={`Remove player ${index + 1} of ${team.name}`}
+              className="text-red-400 hover:text-red-300 px-1"
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        onClick={() =>
+          onChange([
+            ...members,
+            {
+              name: "",
+              substitute: starters.length >= settings.teamSize,
+            },
+          ])
+        }
+        className="mt-1 px-2 py-1 rounded bg-gray-700 hover:bg-gray-500"
+      >
+        + Add player
+      </button>
+    </details>
+  );
+}
+
+export default TeamMembersEditor;
@@ -7,14 +7,255 @@ import React, {
 } from "react";
 import SingleElimination from "./SingleElimination";
 import DoubleElimination from "./DoubleElimination";
+import RoundRobin from "./RoundRobin";
+import Swiss from "./Swiss";
+import GroupStage from "./GroupStage";
+import LeagueView from "./LeagueView";
+import BracketTreeView from "./BracketTreeView";
+import PrintBracketView from "./PrintBracketView";
+import ScoreEntry from "./ScoreEntry";
+import SeriesSettings from "./SeriesSettings";
+import WithdrawalSettings from "./WithdrawalSettings";
+import CourtSchedule from "./CourtSchedule";
+import PlacingsTable from "./PlacingsTable";
+import RubberEntry from "./RubberEntry";
+import RosterEditor from "./RosterEditor";
+import RosterImport from "./RosterImport";
+import AuditLog from "./AuditLog";
+import LateEntry from "./LateEntry";
+import {
+  applyEliminationResult,
+  applyLeagueResult,
+  getEliminationType,
+  getThirdPlaceRounds,
+  getWithdrawnPlayers,
+  isPlayableMatch,
+  isRealPlayer,
+  resolveLeagueWalkovers,
+  updateBracketMatches,
+  WITHDRAWAL_REASONS,
+} from "../utils/bracketResults";
+import {
+  getOpenByeSlots,
+  isBracketLocked,
+  placeLateEntrant,
+} from "../utils/bracketLock";
+import { fillPlayoffQualifiers } from "../utils/groupStage";
+import {
+  createAuditEntry,
+  createHistory,
+  pushHistory,
+  redoHistory,
+  undoHistory,
+} from "../utils/history";
+import { getSlotLabel, getSourceLabel } from "../utils/matchGraph";
+import { buildMatchesCsv, buildPlacingsCsv } from "../utils/csv";
+import { computePlacings, listMatches } from "../utils/placings";
+import {
+  addParticipantsByName,
+  createNameLookup,
+  getSeedMap,
+  validateRoster,
+  validateRosterSeeds,
+} from "../utils/participants";
+import { getSeed } from "../utils/seeding";
+import {
+  DEFAULT_SCHEDULE_SETTINGS,
+  findScheduleConflicts,
+  isSchedulable,
+  scheduleMatches,
+} from "../utils/scheduling";
+import {
+  DEFAULT_SCORING_RULE,
+  SCORING_RULES,
+  getSlotScores,
+  usesTarget,
+} from "../utils/scoring";
+import {
+  addSeriesGame,
+  describeSeries,
+  getMatchScoringRule,
+  isSeries,
+} from "../utils/series";
+import {
+  DEFAULT_TEAM_SETTINGS,
+  createRubberFormat,
+  getRubberTally,
+  updateRubber,
+  validateTeams,
+} from "../utils/teams";
+import {
+  parseTournamentFile,
+  serializeTournament,
+} from "../utils/tournamentFile";
+import {
+  DEFAULT_STANDINGS_SETTINGS,
+  DEFAULT_SWISS_STANDINGS_SETTINGS,
+  computeStandings,
+  isLeagueComplete,
+} from "../utils/standings";
+
+const TOURNAMENT_TYPE_LABELS = {
+  single: "Single Elimination",
+  double: "Double Elimination",
+  roundrobin: "Round Robin",
+  swiss: "Swiss",
+  groups: "Groups + Playoff",
+};
+
+const LEAGUE_TYPES = ["roundrobin", "swiss"];
+
+/**
+ * Re-derives the walkovers of withdrawn participants in any format: pending
+ * league and group games are walked over, and knockout matches (including
+ * a group playoff, whose qualifiers may change) are re-derived
+ * @param {Object} bracket - Bracket state with its withdrawals
+ * @returns {Object} - Updated bracket state
+ */
+const resolveWithdrawals = (bracket) => {
+  const withdrawn = getWithdrawnPlayers(bracket);
+  if (LEAGUE_TYPES.includes(bracket.type)) {
+    return {
+      ...bracket,
+      rounds: resolveLeagueWalkovers(bracket.rounds, withdrawn),
+    };
+  }
+  if (bracket.type === "groups") {
+    const updatedBracket = {
+      ...bracket,
+      groups: bracket.groups.map((group) => ({
+        ...group,
+        rounds: resolveLeagueWalkovers(group.rounds, withdrawn),
+      })),
+    };
+    return { ...updatedBracket, ...fillPlayoffQualifiers(updatedBracket) };
+  }
+  return applyEliminationResult(bracket, null, null);
+};
+
+/**
+ * Series length, walkover and score of a match for text exports, e.g.
+ * " (Bo3 2-1)"
+ * @param {Object} match - Match object
+ * @returns {string} - Details in brackets, or "" without any
+ */
+const formatScore = (match) => {
+  const details = [
+    isSeries(match) && `Bo${match.bestOf}`,
+    match.walkover && "walkover",
+    match.score,
+  ]
+    .filter(Boolean)
+    .join(" ");
+  return details ? ` (${details})` : "";
+};
+
+/**
+ * Start time and court of a match for text exports, e.g. " [09:30 · Court 2]"
+ * @param {Object} match - Match object
+ * @returns {string} - Time and court in brackets, or "" when unscheduled
+ */
+const formatCourtSlot = (match) =>
+  match.scheduledTime && match.court
+    ? ` [${match.scheduledTime} · Court ${match.court}]`
+    : "";
+
+/**
+ * Audit log entry for recording a result, e.g. "sR0M1 (Ann vs Bo): Ann won
+ * 21-15 (was Bo won 21-19)"
+ * @param {Object} match - Match before the result
+ * @param {string|null} winner - New winner, or null to clear the result
+ * @param {boolean} isDraw - Whether the match is drawn
+ * @param {string|null} score - New score
+ * @param {Function} getName - Display name of a participant id
+ * @returns {Object|null} - { action, details }, or null when nothing changes
+ */
+const describeResult = (match, winner, isDraw, score, getName) => {
+  const describeOutcome = (outcomeWinner, outcomeDraw, outcomeScore) =>
+    `${outcomeDraw ? "draw" : `${getName(outcomeWinner)} won`}${
+      outcomeScore ? ` ${outcomeScore}` : ""
+    }`;
+  const hadResult = isRealPlayer(match.winner) || Boolean(match.isDraw);
+  if (!hadResult && !winner && !isDraw) return null;
+  const players = `${match.id} (${getName(match.pair[0])} vs ${getName(
+    match.pair[1]
+  )})`;
+  const outcome =
+    winner || isDraw ? describeOutcome(winner, isDraw, score) : "cleared";
+  return hadResult
+    ? {
+        action: "resultChanged",
+        details: `${players}: ${outcome} (was ${describeOutcome(
+          match.winner,
+          match.isDraw,
+          match.score
+        )})`,
+      }
+    : { action: "resultEntered", details: `${players}: ${outcome}` };
+};
+
+/**
+ * Plain-text schedule and standings of a league
+ * @param {Array} rounds - League rounds
+ * @param {Array<string>} players - Participant ids
+ * @param {Object} settings - Points and tiebreaker settings
+ * @param {Function} getName - Display name of a participant id
+ * @param {string} restLabel - Text for a round without an opponent
+ * @returns {string} - Schedule text
+ */
+const describeLeague = (
+  rounds,
+  players,
+  settings,
+  getName,
+  restLabel = "rests"
+) => {
+  let text = "";
+  rounds.forEach((round, roundIndex) => {
+    text += `Round ${roundIndex + 1}\n---------------------\n`;
+    round.forEach((match) => {
+      if (match.pair.includes("BYE")) {
+        text += `  ${getName(match.pair[0])} ${restLabel}\n\n`;
+        return;
+      }
+      text += `  Match ${match.matchIndexInRound + 1} (ID: ${
+        match.id
+      })${formatCourtSlot(match)}: ${getName(match.pair[0])} vs ${getName(match.pair[1])}\n`;
+      if (match.isDraw) text += `    Result: Draw${formatScore(match)}\n`;
+      else
+        text += `    Winner: ${
+          match.winner ? getName(match.winner) : "TBD"
+        }${formatScore(match)}\n`;
+      text += "\n";
+    });
+  });
+  text +=
+    "====================================\nSTANDINGS\n====================================\n";
+  computeStandings(rounds.flat(), players, settings).forEach((row) => {
+    text += `${row.rank}. ${getName(row.player)} - ${row.points} pts (W${row.wins} D${
+      row.draws
+    } L${row.losses})\n`;
+  });
+  return text;
+};
 
 const DEFAULT_BRACKET_STATE = {
   type: "single",
   rounds: [],
+  thirdPlaceMatch: null,
   upperBracketRounds: [],
   lowerBracketRounds: [],
   grandFinalMatch: null,
   champion: null,
+  drawSeed: null,
+  players: [],
+  standingsSettings: null,
+  totalRounds: null,
+  groups: [],
+  playoffType: null,
+  qualifiersPerGroup: null,
+  withdrawals: {},
+  teamMatch: null,
 };
 
 const createEmptyBracketState = (type = "single") => ({
@@ -22,14 +263,83 @@ const createEmptyBracketState = (type = "single") => ({
   type,
 });
 
+// Settings and bracket kept when a tournament is saved
+const DEFAULT_SAVED_STATE = {
+  participants: [],
+  checkInOnly: false,
+  drawSeedInput: "",
+  doubleRoundRobin: false,
+  swissRoundsInput: "",
+  groupCountInput: "2",
+  qualifiersPerGroupInput: "2",
+  playoffType: "single",
+  thirdPlaceMatchEnabled: false,
+  teamSettings: DEFAULT_TEAM_SETTINGS,
+  scheduleSettings: DEFAULT_SCHEDULE_SETTINGS,
+  auditLog: [],
+  discardedBracket: null,
+  bracketView: "tree",
+  scoringRule: DEFAULT_SCORING_RULE,
+  tournamentType: "single",
+  bracketData: DEFAULT_BRACKET_STATE,
+};
+
 // Main App Component
-function TournamentBracketApp() {
-  const [participants, setParticipants] = useState([]);
+// initialState restores a saved tournament; onStateChange receives the state
+// to save after every change. tournamentInfo (name and timestamps) goes into
+// JSON exports, and onImport receives a validated imported tournament.
+function TournamentBracketApp({
+  initialState = null,
+  onStateChange,
+  tournamentInfo = null,
+  onImport,
+}) {
+  // Saved state is merged over the defaults so fields added later get values
+  const [restoredState] = useState(() => ({
+    ...DEFAULT_SAVED_STATE,
+    ...initialState,
+    bracketData: {
+      ...DEFAULT_BRACKET_STATE,
+      ...initialState?.bracketData,
+    },
+  }));
+  const [participants, setParticipants] = useState(restoredState.participants);
+  const [checkInOnly, setCheckInOnly] = useState(restoredState.checkInOnly);
+  const [drawSeedInput, setDrawSeedInput] = useState(
+    restoredState.drawSeedInput
+  );
+  const [doubleRoundRobin, setDoubleRoundRobin] = useState(
+    restoredState.doubleRoundRobin
+  );
+  const [swissRoundsInput, setSwissRoundsInput] = useState(
+    restoredState.swissRoundsInput
+  );
+  const [groupCountInput, setGroupCountInput] = useState(
+    restoredState.groupCountInput
+  );
+  const [qualifiersPerGroupInput, setQualifiersPerGroupInput] = useState(
+    restoredState.qualifiersPerGroupInput
+  );
+  const [playoffType, setPlayoffType] = useState(restoredState.playoffType);
+  const [thirdPlaceMatchEnabled, setThirdPlaceMatchEnabled] = useState(
+    restoredState.thirdPlaceMatchEnabled
+  );
+  const [teamSettings, setTeamSettings] = useState(restoredState.teamSettings);
+  const [scheduleSettings, setScheduleSettings] = useState(
+    restoredState.scheduleSettings
+  );
+  const [bracketView, setBracketView] = useState(restoredState.bracketView);
+  const [scoringRule, setScoringRule] = useState(restoredState.scoringRule);
   const [inputValue, setInputValue] = useState("");
-  const [tournamentType, setTournamentType] = useState("single");
-  const [bracketData, setBracketData] = useState(() =>
-    createEmptyBracketState()
+  const [tournamentType, setTournamentType] = useState(
+    restoredState.tournamentType
   );
+  const [bracketData, setBracketData] = useState(restoredState.bracketData);
+  const [auditLog, setAuditLog] = useState(restoredState.auditLog);
+  const [discardedBracket, setDiscardedBracket] = useState(
+    restoredState.discardedBracket
+  );
+  const [history, setHistory] = useState(createHistory);
   const [error, setError] = useState("");
   const [successMessage, setSuccessMessage] = useState("");
   const successTimeoutRef = useRef(null);
@@ -49,6 +359,51 @@ function TournamentBracketApp() {
     successTimeoutRef.current = setTimeout(() => setSuccessMessage(""), 3000);
   }, []);
 
+  const currentState = useMemo(
+    () => ({
+      participants,
+      checkInOnly,
+      drawSeedInput,
+      doubleRoundRobin,
+      swissRoundsInput,
+      groupCountInput,
+      qualifiersPerGroupInput,
+      playoffType,
+      thirdPlaceMatchEnabled,
+      teamSettings,
+      scheduleSettings,
+      bracketView,
+      scoringRule,
+      tournamentType,
+      bracketData,
+      auditLog,
+      discardedBracket,
+    }),
+    [
+      auditLog,
+      bracketData,
+      bracketView,
+      checkInOnly,
+      discardedBracket,
+      doubleRoundRobin,
+      drawSeedInput,
+      groupCountInput,
+      participants,
+      playoffType,
+      qualifiersPerGroupInput,
+      scheduleSettings,
+      scoringRule,
+      swissRoundsInput,
+      teamSettings,
+      thirdPlaceMatchEnabled,
+      tournamentType,
+    ]
+  );
+
+  useEffect(() => {
+    onStateChange?.(currentState);
+  }, [currentState, onStateChange]);
+
   useEffect(() => {
     return () => {
       if (successTimeoutRef.current) {
@@ -57,20 +412,149 @@ function TournamentBracketApp() {
     };
   }, []);
 
+  // Matches hold participant ids; names are looked up for display
+  const getName = useMemo(() => createNameLookup(participants), [participants]);
+  const seeds = useMemo(() => getSeedMap(participants), [participants]);
+  const getMembers = useCallback(
+    (id) =>
+      participants.find((participant) => participant.id === id)?.members || [],
+    [participants]
+  );
+  // In check-in mode only checked-in participants are drawn
+  const entrants = useMemo(
+    () =>
+      checkInOnly
+        ? participants.filter(({ checkedIn }) => checkedIn)
+        : participants,
+    [checkInOnly, participants]
+  );
+
+  // Every change to the roster or bracket goes through here: the state
+  // before it becomes an undo step and the change goes into the audit log.
+  // Changes sharing a merge key in a row (typing into one field) are one
+  // step and one log entry.
+  const commitChange = useCallback(
+    (action, details, mergeKey = null) => {
+      const merging = mergeKey !== null && mergeKey === history.lastKey;
+      setHistory(
+        pushHistory(
+          history,
+          { participants, bracketData, tournamentType, label: details },
+          mergeKey
+        )
+      );
+      setAuditLog((log) => [
+        ...(merging ? log.slice(0, -1) : log),
+        createAuditEntry(action, details),
+      ]);
+    },
+    [bracketData, history, participants, tournamentType]
+  );
+
+  const restoreStep = useCallback(
+    (step, action) => {
+      if (!step) return;
+      setHistory(step.history);
+      setParticipants(step.snapshot.participants);
+      setBracketData(step.snapshot.bracketData);
+      setTournamentType(step.snapshot.tournamentType);
+      setAuditLog((log) => [
+        ...log,
+        createAuditEntry(action, step.snapshot.label),
+      ]);
+      showSuccess(
+        `${action === "undo" ? "Undone" : "Redone"}: ${step.snapshot.label}`
+      );
+    },
+    [showSuccess]
+  );
+  const undo = useCallback(
+    () =>
+      restoreStep(
+        undoHistory(history, { participants, bracketData, tournamentType }),
+        "undo"
+      ),
+    [bracketData, history, participants, restoreStep, tournamentType]
+  );
+  const redo = useCallback(
+    () =>
+      restoreStep(
+        redoHistory(history, { participants, bracketData, tournamentType }),
+        "redo"
+      ),
+    [bracketData, history, participants, restoreStep, tournamentType]
+  );
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (
+        e.target.matches?.(
+          "textarea, input:not([type=checkbox]):not([type=radio])"
+        )
+      )
+        return;
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [redo, undo]);
+
+  const isLocked = useMemo(() => isBracketLocked(bracketData), [bracketData]);
+
+  // Participants drawn into the bracket, in draw order
+  const bracketPlayers = useMemo(() => {
+    if (bracketData.type === "groups") {
+      return bracketData.groups.flatMap((group) => group.players);
+    }
+    const players = listMatches(bracketData)
+      .flatMap(({ match }) => match.pair)
+      .filter((player) => isRealPlayer(player) && player !== "WINNER!");
+    return [...new Set(players)];
+  }, [bracketData]);
+
+  // Once results are in, throwing the bracket away needs confirmation and
+  // keeps a snapshot that can be restored (also after a reload)
+  const confirmDiscard = useCallback(
+    (reason) => {
+      if (!isLocked) return true;
+      if (
+        !window.confirm(
+          `Results have already been recorded. ${reason} replaces the current bracket; a snapshot is kept so it can be restored. Continue?`
+        )
+      )
+        return false;
+      setDiscardedBracket({
+        savedAt: new Date().toISOString(),
+        reason,
+        tournamentType,
+        participants,
+        bracketData,
+      });
+      return true;
+    },
+    [bracketData, isLocked, participants, tournamentType]
+  );
+
   const participantCount = participants.length;
   const hasParticipants = participantCount > 0;
   const hasExactlyOneParticipant = participantCount === 1;
   const hasMultipleParticipants = participantCount > 1;
 
+  const eliminationType = getEliminationType(bracketData);
+
   const hasSingleBracketData = useMemo(() => {
-    if (bracketData.type !== "single") return false;
+    if (getEliminationType(bracketData) !== "single") return false;
     const hasRounds =
       Array.isArray(bracketData.rounds) && bracketData.rounds.length > 0;
     return hasRounds || Boolean(bracketData.champion);
   }, [bracketData]);
 
   const hasDoubleBracketData = useMemo(() => {
-    if (bracketData.type !== "double") return false;
+    if (getEliminationType(bracketData) !== "double") return false;
     const hasUpper =
       Array.isArray(bracketData.upperBracketRounds) &&
       bracketData.upperBracketRounds.length > 0;
@@ -85,7 +569,20 @@ function TournamentBracketApp() {
     );
   }, [bracketData]);
 
-  const shouldRenderBracket = hasSingleBracketData || hasDoubleBracketData;
+  const isLeagueBracket = LEAGUE_TYPES.includes(bracketData.type);
+  const hasLeagueData =
+    isLeagueBracket &&
+    Array.isArray(bracketData.rounds) &&
+    bracketData.rounds.length > 0;
+
+  const hasGroupData =
+    bracketData.type === "groups" && bracketData.groups.length > 0;
+
+  const shouldRenderBracket =
+    hasSingleBracketData ||
+    hasDoubleBracketData ||
+    hasLeagueData ||
+    hasGroupData;
 
   const addParticipantsFromInput = () => {
     if (inputValue.trim() === "") {
@@ -100,30 +597,26 @@ function TournamentBracketApp() {
       setError("No valid participant names entered.");
       return;
     }
-    let addedCount = 0;
-    let duplicateCount = 0;
-
-    setParticipants((currentParticipants) => {
-      const existingNames = new Set(currentParticipants);
-      const updatedParticipants = [...currentParticipants];
-
-      namesArray.forEach((name) => {
-        if (!existingNames.has(name)) {
-          updatedParticipants.push(name);
-          existingNames.add(name);
-          addedCount++;
-        } else {
-          duplicateCount++;
-        }
-      });
-
-      return updatedParticipants;
-    });
+    const {
+      participants: updatedParticipants,
+      added,
+      duplicates,
+    } = addParticipantsByName(participants, namesArray);
+    if (added > 0) {
+      commitChange(
+        "participantAdded",
+        updatedParticipants
+          .slice(participants.length)
+          .map(({ name }) => name)
+          .join(", ")
+      );
+    }
+    setParticipants(updatedParticipants);
     setInputValue("");
     setError("");
     showSuccess(
-      `${addedCount} participant(s) added. ${
-        duplicateCount > 0 ? duplicateCount + " duplicate(s) ignored." : ""
+      `${added} participant(s) added. ${
+        duplicates > 0 ? duplicates + " duplicate(s) ignored." : ""
       }`
     );
   };
@@ -131,17 +624,90 @@ function TournamentBracketApp() {
   const handleInputChange = (e) => setInputValue(e.target.value);
   const handleTournamentTypeChange = (e) => {
     const nextType = e.target.value;
+    if (!confirmDiscard("Changing the format")) return;
+    if (shouldRenderBracket) {
+      commitChange(
+        "bracketCleared",
+        `Format changed to ${TOURNAMENT_TYPE_LABELS[nextType]}`
+      );
+    }
     setTournamentType(nextType);
     resetBracketData(nextType);
   };
-  const removeParticipant = (nameToRemove) => {
+  const importParticipants = (updatedParticipants, addedCount) => {
+    const knownIds = new Set(participants.map(({ id }) => id));
+    commitChange(
+      "participantAdded",
+      `Imported ${updatedParticipants
+        .filter(({ id }) => !knownIds.has(id))
+        .map(({ name }) => name)
+        .join(", ")}`
+    );
+    setParticipants(updatedParticipants);
+    setError("");
+    showSuccess(`${addedCount} participant(s) imported.`);
+  };
+  const updateParticipant = (id, changes) => {
+    const participant = participants.find((entry) => entry.id === id);
+    const fields = Object.keys(changes);
+    if ("seed" in changes) {
+      commitChange(
+        "seedChanged",
+        `${participant.name}: ${participant.seed ?? "unseeded"} → ${
+          changes.seed ?? "unseeded"
+        }`,
+        `seed:${id}`
+      );
+    } else if ("checkedIn" in changes) {
+      commitChange(
+        "participantEdited",
+        `${participant.name} ${changes.checkedIn ? "checked in" : "no longer checked in"}`
+      );
+    } else {
+      const mergeKey = `${fields.join()}:${id}`;
+      // Typing a name is one step, logged with the name before the first key
+      const previousName =
+        mergeKey === history.lastKey
+          ? history.past.at(-1).participants.find((entry) => entry.id === id)
+              .name
+          : participant.name;
+      commitChange(
+        "participantEdited",
+        "name" in changes
+          ? `${previousName} renamed to ${changes.name}`
+          : `${participant.name}: ${fields.join(", ")} edited`,
+        mergeKey
+      );
+    }
     setParticipants((currentParticipants) =>
-      currentParticipants.filter((name) => name !== nameToRemove)
+      currentParticipants.map((participant) =>
+        participant.id === id ? { ...participant, ...changes } : participant
+      )
     );
-    showSuccess(`${nameToRemove} removed.`);
+  };
+  const removeParticipant = (id) => {
+    // Matches would be left naming someone who is no longer on the roster
+    if (bracketPlayers.includes(id)) {
+      setError(
+        `${getName(id)} is in the bracket. Withdraw them instead of removing them.`
+      );
+      return;
+    }
+    commitChange("participantRemoved", getName(id));
+    setParticipants((currentParticipants) =>
+      currentParticipants.filter((participant) => participant.id !== id)
+    );
+    showSuccess(`${getName(id)} removed.`);
   };
   const clearParticipants = () => {
+    if (!confirmDiscard("Clearing all participants")) return;
     const hadParticipants = hasParticipants;
+    if (hadParticipants || shouldRenderBracket) {
+      commitChange(
+        "participantRemoved",
+        `All ${participantCount} participants cleared`
+      );
+    }
     setParticipants([]);
     resetBracketData();
     setError("");
@@ -151,76 +717,543 @@ function TournamentBracketApp() {
   const generateNewBracket = useCallback(() => {
     if (!hasParticipants) {
       setError("Please add at least 1 participant.");
-      resetBracketData();
+      if (!isLocked) resetBracketData();
       return;
     }
+    if (entrants.length === 0) {
+      setError("No participants are checked in.");
+      return;
+    }
+    const rosterProblem =
+      validateRoster(participants) ||
+      validateRosterSeeds(entrants) ||
+      (teamSettings.enabled ? validateTeams(entrants, teamSettings) : null);
+    if (rosterProblem) {
+      setError(rosterProblem);
+      return;
+    }
+    if (!confirmDiscard("Generating a new draw")) return;
 
     setError("");
     let result;
+    const playerIds = entrants.map(({ id }) => id);
+    const commitGeneration = () =>
+      commitChange(
+        "generate",
+        `${TOURNAMENT_TYPE_LABELS[tournamentType]} with ${entrants.length} entrants${
+          shouldRenderBracket ? ", replacing the previous bracket" : ""
+        }`
+      );
+    // Knockout ties between teams can be split into rubbers
+    const rubberFormat = teamSettings.enabled
+      ? createRubberFormat(teamSettings)
+      : [];
+    const teamMatch = rubberFormat.length > 0 ? rubberFormat : null;
+    const generationOptions = {
+      seeds,
+      drawSeed: drawSeedInput.trim() || undefined,
+    };
 
     if (tournamentType === "single") {
-      result = SingleElimination(participants);
+      result = SingleElimination(playerIds, {
+        ...generationOptions,
+        thirdPlaceMatch: thirdPlaceMatchEnabled,
+      });
       if (result.error) {
         setError(result.error);
         resetBracketData("single");
         return;
       }
 
+      commitGeneration();
+
       setBracketData({
         ...createEmptyBracketState("single"),
+        teamMatch,
         rounds: result.rounds || [],
+        thirdPlaceMatch: result.thirdPlaceMatch || null,
         champion: result.champion || null,
+        drawSeed: result.drawSeed || null,
       });
       showSuccess("Single elimination tournament generated!");
       return;
     }
 
-    result = DoubleElimination(participants);
+    if (tournamentType === "roundrobin") {
+      result = RoundRobin(playerIds, {
+        ...generationOptions,
+        doubleRoundRobin,
+      });
+      if (result.error) {
+        setError(result.error);
+        resetBracketData("roundrobin");
+        return;
+      }
+
+      commitGeneration();
+
+      setBracketData({
+        ...createEmptyBracketState("roundrobin"),
+        rounds: result.rounds,
+        players: result.players,
+        drawSeed: result.drawSeed,
+        standingsSettings: DEFAULT_STANDINGS_SETTINGS,
+      });
+      showSuccess("Round robin schedule generated!");
+      return;
+    }
+
+    if (tournamentType === "swiss") {
+      const requestedRounds = parseInt(swissRoundsInput, 10);
+      result = Swiss(playerIds, {
+        ...generationOptions,
+        totalRounds: requestedRounds > 0 ? requestedRounds : undefined,
+        standingsSettings: DEFAULT_SWISS_STANDINGS_SETTINGS,
+      });
+      if (result.error) {
+        setError(result.error);
+        resetBracketData("swiss");
+        return;
+      }
+
+      commitGeneration();
+
+      setBracketData({
+        ...createEmptyBracketState("swiss"),
+        rounds: result.rounds,
+        players: result.players,
+        totalRounds: result.totalRounds,
+        drawSeed: result.drawSeed,
+        standingsSettings: DEFAULT_SWISS_STANDINGS_SETTINGS,
+      });
+      showSuccess(`Swiss round 1 of ${result.totalRounds} paired!`);
+      return;
+    }
+
+    if (tournamentType === "groups") {
+      result = GroupStage(playerIds, {
+        ...generationOptions,
+        groupCount: parseInt(groupCountInput, 10),
+        qualifiersPerGroup: parseInt(qualifiersPerGroupInput, 10),
+        playoffType,
+        thirdPlaceMatch: thirdPlaceMatchEnabled,
+        doubleRoundRobin,
+        standingsSettings: DEFAULT_STANDINGS_SETTINGS,
+      });
+      if (result.error) {
+        setError(result.error);
+        resetBracketData("groups");
+        return;
+      }
+
+      commitGeneration();
+
+      setBracketData({
+        ...createEmptyBracketState("groups"),
+        teamMatch,
+        groups: result.groups,
+        playoffType: result.playoffType,
+        qualifiersPerGroup: result.qualifiersPerGroup,
+        rounds: result.rounds,
+        thirdPlaceMatch: result.thirdPlaceMatch,
+        upperBracketRounds: result.upperBracketRounds,
+        lowerBracketRounds: result.lowerBracketRounds,
+        grandFinalMatch: result.grandFinalMatch,
+        champion: result.champion || null,
+        drawSeed: result.drawSeed,
+        standingsSettings: DEFAULT_STANDINGS_SETTINGS,
+      });
+      showSuccess(`${result.groups.length} groups drawn!`);
+      return;
+    }
+
+    result = DoubleElimination(playerIds, generationOptions);
     if (result.error) {
       setError(result.error);
       resetBracketData("double");
       return;
     }
 
+    commitGeneration();
+
     setBracketData({
       ...createEmptyBracketState("double"),
+      teamMatch,
       upperBracketRounds: result.upperBracketRounds || [],
       lowerBracketRounds: result.lowerBracketRounds || [],
       grandFinalMatch: result.grandFinalMatch || null,
       champion: result.champion || null,
+      drawSeed: result.drawSeed || null,
     });
     showSuccess("Double elimination tournament generated!");
   }, [
+    commitChange,
+    confirmDiscard,
+    doubleRoundRobin,
+    drawSeedInput,
+    entrants,
+    groupCountInput,
     hasParticipants,
+    isLocked,
     participants,
+    playoffType,
+    qualifiersPerGroupInput,
     resetBracketData,
+    seeds,
+    shouldRenderBracket,
     showSuccess,
+    swissRoundsInput,
+    teamSettings,
+    thirdPlaceMatchEnabled,
     tournamentType,
   ]);
 
-  const getPlayerDisplay = (player, isWinner = false) => {
-    if (player === null || player === undefined)
+  const generateNextSwissRound = () => {
+    const result = Swiss(bracketData.players, {
+      previousRounds: bracketData.rounds,
+      totalRounds: bracketData.totalRounds,
+      standingsSettings: bracketData.standingsSettings,
+      withdrawn: getWithdrawnPlayers(bracketData),
+      drawSeed: bracketData.drawSeed,
+    });
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setError("");
+    commitChange(
+      "roundPaired",
+      `Swiss round ${result.rounds.length} of ${result.totalRounds}`
+    );
+    setBracketData((currentBracket) => ({
+      ...currentBracket,
+      rounds: result.rounds,
+    }));
+    showSuccess(
+      `Swiss round ${result.rounds.length} of ${result.totalRounds} paired!`
+    );
+  };
+
+  // The current bracket takes the snapshot's place when it has results too
+  const restoreDiscardedBracket = () => {
+    const snapshot = discardedBracket;
+    commitChange(
+      "bracketRestored",
+      `${TOURNAMENT_TYPE_LABELS[snapshot.bracketData.type]} bracket kept at ${new Date(
+        snapshot.savedAt
+      ).toLocaleString()}`
+    );
+    setDiscardedBracket(
+      isLocked
+        ? {
+            savedAt: new Date().toISOString(),
+            reason: "Restoring a snapshot",
+            tournamentType,
+            participants,
+            bracketData,
+          }
+        : null
+    );
+    setParticipants(snapshot.participants);
+    setTournamentType(snapshot.tournamentType);
+    setBracketData(snapshot.bracketData);
+    setError("");
+    showSuccess("Bracket restored.");
+  };
+
+  const addLateEntrant = (player, matchId, slot) => {
+    const team = participants.find(({ id }) => id === player);
+    const teamProblem = bracketData.teamMatch
+      ? validateTeams([team], teamSettings)
+      : null;
+    if (teamProblem) {
+      setError(teamProblem);
+      return;
+    }
+    setError("");
+    commitChange(
+      "participantAdded",
+      `${getName(player)} entered late in ${matchId}`
+    );
+    setBracketData((currentBracket) =>
+      placeLateEntrant(currentBracket, matchId, slot, player)
+    );
+    showSuccess(`${getName(player)} added to ${matchId}.`);
+  };
+
+  const updateStandingsSettings = useCallback(
+    (standingsSettings) => {
+      commitChange("settingsChanged", "Points and tiebreakers");
+      setBracketData((currentBracket) => {
+        const updatedBracket = { ...currentBracket, standingsSettings };
+        // Tiebreakers can change who qualifies from a finished group
+        if (currentBracket.type !== "groups") return updatedBracket;
+        return { ...updatedBracket, ...fillPlayoffQualifiers(updatedBracket) };
+      });
+    },
+    [commitChange]
+  );
+
+  const setMatchResult = useCallback((matchId, winner, score = null) => {
+    setBracketData((currentBracket) => {
+      const allMatches =
+        getEliminationType(currentBracket) === "single"
+          ? [
+              ...currentBracket.rounds.flat(),
+              ...getThirdPlaceRounds(currentBracket).flat(),
+            ]
+          : [
+              ...currentBracket.upperBracketRounds.flat(),
+              ...currentBracket.lowerBracketRounds.flat(),
+              ...(currentBracket.grandFinalMatch || []),
+            ];
+      const match = allMatches.find((roundMatch) => roundMatch.id === matchId);
+      if (!isPlayableMatch(match)) return currentBracket;
+      return applyEliminationResult(currentBracket, matchId, winner, score);
+    });
+  }, []);
+
+  /**
+   * Logs a result about to be recorded as an undoable change
+   * @param {string} matchId - Match being decided
+   * @param {string|null} winner - New winner, or null to clear
+   * @param {boolean} isDraw - Whether the match is drawn
+   * @param {string|null} score - New score
+   */
+  const commitResult = useCallback(
+    (matchId, winner, isDraw, score) => {
+      const entry = listMatches(bracketData).find(
+        ({ match }) => match.id === matchId
+      );
+      const change =
+        entry &&
+        isPlayableMatch(entry.match) &&
+        describeResult(entry.match, winner, isDraw, score, getName);
+      if (change) commitChange(change.action, change.details);
+    },
+    [bracketData, commitChange, getName]
+  );
+
+  const recordMatchResult = useCallback(
+    (matchId, winner, score = null) => {
+      commitResult(matchId, winner, false, score);
+      setMatchResult(matchId, winner, score);
+    },
+    [commitResult, setMatchResult]
+  );
+
+  // A withdrawn player's remaining matches become walkovers; reinstating
+  // them (reason null) turns those walkovers back into pending matches
+  const setWithdrawal = (player, reason) => {
+    commitChange(
+      reason ? "participantWithdrawn" : "participantReinstated",
+      reason
+        ? `${getName(player)}: ${WITHDRAWAL_REASONS[reason]}`
+        : getName(player)
+    );
+    setBracketData((currentBracket) => {
+      const { [player]: _previous, ...withdrawals } =
+        currentBracket.withdrawals || {};
+      return resolveWithdrawals({
+        ...currentBracket,
+        withdrawals: reason
+          ? { ...withdrawals, [player]: reason }
+          : withdrawals,
+      });
+    });
+    showSuccess(
+      reason
+        ? `${getName(player)} marked as ${WITHDRAWAL_REASONS[reason].toLowerCase()}.`
+        : `${getName(player)} reinstated.`
+    );
+  };
+
+  // Clicking the recorded winner again undoes the result
+  const selectMatchWinner = (match, player) =>
+    recordMatchResult(match.id, match.winner === player ? null : player);
+
+  const updateMatches = (matchIds, changes) =>
+    setBracketData((currentBracket) => ({
+      ...currentBracket,
+      ...updateBracketMatches(currentBracket, matchIds, changes),
+    }));
+
+  // Only matches that have not started take a new series length
+  const setSeriesLength = (matchIds, bestOf) => {
+    const requested = new Set(matchIds);
+    const changedIds = listMatches(bracketData)
+      .map(({ match }) => match)
+      .filter(
+        (match) =>
+          requested.has(match.id) &&
+          !isRealPlayer(match.winner) &&
+          !match.games?.length &&
+          match.bestOf !== bestOf
+      )
+      .map((match) => match.id);
+    if (changedIds.length === 0) {
+      setError(
+        `No match changed: the selected matches have started or are already best of ${bestOf}.`
+      );
+      return;
+    }
+    setError("");
+    commitChange("matchUpdated", `Best of ${bestOf}: ${changedIds.join(", ")}`);
+    updateMatches(changedIds, { bestOf });
+  };
+
+  const recordSeriesGame = (match, slot) => {
+    const { games, winner, score } = addSeriesGame(match, slot);
+    if (winner) {
+      recordMatchResult(match.id, winner, score);
+      return;
+    }
+    commitChange(
+      "matchUpdated",
+      `${match.id}: game ${games.length} to ${getName(match.pair[slot])}`
+    );
+    updateMatches([match.id], { games });
+  };
+
+  // The tie goes to the first team with a majority of the rubbers; changing
+  // a rubber can also take that result back
+  const recordRubber = (match, index, changes) => {
+    const { rubbers, winner, score } = updateRubber(
+      match,
+      bracketData.teamMatch,
+      index,
+      changes
+    );
+    const decidesTie = winner || isRealPlayer(match.winner);
+    if (decidesTie && winner !== match.winner) {
+      commitResult(match.id, winner, false, score);
+    } else {
+      commitChange(
+        "matchUpdated",
+        `${match.id}: ${bracketData.teamMatch[index].label} updated`
+      );
+    }
+    updateMatches([match.id], { rubbers });
+    if (winner) setMatchResult(match.id, winner, score);
+    else if (isRealPlayer(match.winner)) setMatchResult(match.id, null);
+  };
+
+  const undoSeriesGame = (match) => {
+    commitChange("matchUpdated", `${match.id}: last game taken back`);
+    updateMatches([match.id], { games: match.games.slice(0, -1) });
+  };
+
+  const autoSchedule = () => {
+    const assignments = scheduleMatches(bracketData, scheduleSettings);
+    commitChange(
+      "matchUpdated",
+      `${assignments.size} matches scheduled on ${scheduleSettings.courts} courts`
+    );
+    updateMatches([...assignments.keys()], (match) =>
+      assignments.get(match.id)
+    );
+    showSuccess(
+      `${assignments.size} matches scheduled on ${scheduleSettings.courts} courts.`
+    );
+  };
+
+  const clearSchedule = () => {
+    commitChange("matchUpdated", "Court times cleared");
+    updateMatches(
+      listMatches(bracketData).map(({ match }) => match.id),
+      { scheduledTime: null, court: null }
+    );
+  };
+
+  const moveMatch = (matchId, court, scheduledTime) => {
+    commitChange(
+      "matchUpdated",
+      court
+        ? `${matchId} moved to Court ${court} at ${scheduledTime}`
+        : `${matchId} unscheduled`
+    );
+    updateMatches([matchId], { court, scheduledTime });
+  };
+
+  const selectLeagueResult = useCallback(
+    (matchId, winner, isDraw, score) => {
+      commitResult(matchId, winner, isDraw, score);
+      setBracketData((currentBracket) => ({
+        ...currentBracket,
+        rounds: resolveLeagueWalkovers(
+          applyLeagueResult(
+            currentBracket.rounds,
+            matchId,
+            winner,
+            isDraw,
+            score
+          ),
+          getWithdrawnPlayers(currentBracket)
+        ),
+      }));
+    },
+    [commitResult]
+  );
+
+  const selectGroupResult = useCallback(
+    (groupName, matchId, winner, isDraw, score) => {
+      commitResult(matchId, winner, isDraw, score);
+      setBracketData((currentBracket) => {
+        const updatedBracket = {
+          ...currentBracket,
+          groups: currentBracket.groups.map((group) =>
+            group.name === groupName
+              ? {
+                  ...group,
+                  rounds: resolveLeagueWalkovers(
+                    applyLeagueResult(
+                      group.rounds,
+                      matchId,
+                      winner,
+                      isDraw,
+                      score
+                    ),
+                    getWithdrawnPlayers(currentBracket)
+                  ),
+                }
+              : group
+          ),
+        };
+        return { ...updatedBracket, ...fillPlayoffQualifiers(updatedBracket) };
+      });
+    },
+    [commitResult]
+  );
+
+  const getPlayerDisplay = (player, isWinner = false, source = null) => {
+    if (player === null || player === undefined) {
+      // Show where a pending slot is filled from, e.g. "Loser of ubR1M0"
+      const sourceLabel = getSourceLabel(source);
+      if (sourceLabel) {
+        return (
+          <span className="text-yellow-400 italic text-xs sm:text-sm">
+            {sourceLabel}
+          </span>
+        );
+      }
       return <span className="text-gray-500">TBD</span>;
+    }
     if (player === "BYE")
       return <span className="italic text-gray-400">BYE</span>;
-    // Make "Loser of..." and "Winner of..." placeholders more distinct
-    if (
-      String(player).startsWith("Loser of UB") ||
-      String(player).startsWith("Winner of UB") ||
-      String(player).startsWith("Loser of LB") ||
-      String(player).startsWith("Winner of LB")
-    ) {
-      return (
-        <span className="text-yellow-400 italic text-xs sm:text-sm">
-          {player}
-        </span>
-      );
-    }
+    const withdrawal = bracketData.withdrawals?.[player];
     return (
       <span
-        className={`${isWinner ? "font-bold text-green-400" : ""} truncate`}
+        className={`${isWinner ? "font-bold text-green-400" : ""} ${
+          withdrawal ? "line-through text-gray-400" : ""
+        } truncate`}
+        title={withdrawal ? WITHDRAWAL_REASONS[withdrawal] : undefined}
       >
-        {player}
+        {getSeed(seeds, player) && (
+          <span className="text-xs text-gray-400 mr-1">
+            ({getSeed(seeds, player)})
+          </span>
+        )}
+        {getName(player)}
       </span>
     );
   };
@@ -233,9 +1266,13 @@ function TournamentBracketApp() {
       lowerBracketRounds,
       grandFinalMatch,
       champion,
+      drawSeed,
+      groups,
     } = bracketData;
     let hasData = false;
-    if (type === "single") hasData = (rounds && rounds.length > 0) || champion;
+    if (type === "groups") hasData = groups.length > 0;
+    else if (type === "single" || LEAGUE_TYPES.includes(type))
+      hasData = (rounds && rounds.length > 0) || champion;
     else
       hasData =
         (upperBracketRounds && upperBracketRounds.length > 0) ||
@@ -250,11 +1287,43 @@ function TournamentBracketApp() {
     setError("");
     let scheduleText = "";
 
-    if (type === "single") {
+    if (type === "groups") {
       scheduleText =
-        "Single Elimination Tournament Schedule\n====================================\n\n";
+        "Group Stage Tournament Schedule\n====================================\n\n";
+      if (drawSeed) scheduleText += `Draw seed: ${drawSeed}\n\n`;
+      groups.forEach((group) => {
+        scheduleText += `--- GROUP ${group.name} ---\n`;
+        scheduleText += describeLeague(
+          group.rounds,
+          group.players,
+          bracketData.standingsSettings,
+          getName
+        );
+        scheduleText += "\n";
+      });
+      scheduleText += `--- PLAYOFF (${TOURNAMENT_TYPE_LABELS[
+        bracketData.playoffType
+      ].toUpperCase()}) ---\n\n`;
+    }
+
+    if (LEAGUE_TYPES.includes(type)) {
+      scheduleText = `${TOURNAMENT_TYPE_LABELS[type]} Tournament Schedule\n====================================\n\n`;
+      if (drawSeed) scheduleText += `Draw seed: ${drawSeed}\n\n`;
+      scheduleText += describeLeague(
+        rounds,
+        bracketData.players,
+        bracketData.standingsSettings,
+        getName,
+        type === "swiss" ? "has a BYE" : "rests"
+      );
+    } else if (getEliminationType(bracketData) === "single") {
+      if (type === "single") {
+        scheduleText =
+          "Single Elimination Tournament Schedule\n====================================\n\n";
+        if (drawSeed) scheduleText += `Draw seed: ${drawSeed}\n\n`;
+      }
       if (champion && hasExactlyOneParticipant) {
-        scheduleText += `CHAMPION (Auto-Win): ${champion}\n\n`;
+        scheduleText += `CHAMPION (Auto-Win): ${getName(champion)}\n\n`;
       }
       (rounds || []).forEach((round, roundIndex) => {
         if (!Array.isArray(round)) return;
@@ -265,12 +1334,14 @@ function TournamentBracketApp() {
             match.pair[1] === "WINNER!" ? "WINNER!" : match.pair[1] || "TBD";
           scheduleText += `  Match ${matchIdx + 1} (ID: ${
             match.id
-          }): ${p1} vs ${p2}\n`;
+          })${formatCourtSlot(match)}: ${getSlotLabel(match, 0, getName)} vs ${getSlotLabel(match, 1, getName)}\n`;
           if (match.winner && match.winner !== "BYE" && match.winner !== null) {
             if (match.pair[1] === "BYE")
-              scheduleText += `    Winner: ${match.winner} (advances due to BYE)\n`;
+              scheduleText += `    Winner: ${getName(match.winner)} (advances due to BYE)\n`;
             else if (match.pair[1] === "WINNER!")
-              scheduleText += `    Winner: ${match.winner} (Champion)\n`;
+              scheduleText += `    Winner: ${getName(match.winner)} (Champion)\n`;
+            else
+              scheduleText += `    Winner: ${getName(match.winner)}${formatScore(match)}\n`;
           } else if (
             !match.winner &&
             p1 !== "BYE" &&
@@ -284,15 +1355,26 @@ function TournamentBracketApp() {
           scheduleText += "\n";
         });
       });
+      if (bracketData.thirdPlaceMatch) {
+        const match = bracketData.thirdPlaceMatch;
+        scheduleText += `--- THIRD PLACE MATCH ---\nMatch (ID: ${
+          match.id
+        })${formatCourtSlot(match)}: ${getSlotLabel(match, 0, getName)} vs ${getSlotLabel(match, 1, getName)}\n  Winner: ${
+          isRealPlayer(match.winner) ? getName(match.winner) : "TBD"
+        }${formatScore(match)}\n\n`;
+      }
       if (champion && hasMultipleParticipants) {
-        scheduleText += `====================================\nCHAMPION: ${champion}\n====================================\n`;
+        scheduleText += `====================================\nCHAMPION: ${getName(champion)}\n====================================\n`;
       }
     } else {
       // Double Elimination
-      scheduleText =
-        "Double Elimination Tournament Schedule\n====================================\n\n";
+      if (type === "double") {
+        scheduleText =
+          "Double Elimination Tournament Schedule\n====================================\n\n";
+        if (drawSeed) scheduleText += `Draw seed: ${drawSeed}\n\n`;
+      }
       if (champion && hasExactlyOneParticipant) {
-        scheduleText += `CHAMPION (Auto-Win): ${champion}\n\n`;
+        scheduleText += `CHAMPION (Auto-Win): ${getName(champion)}\n\n`;
       }
       if (upperBracketRounds && upperBracketRounds.length > 0) {
         scheduleText += "--- UPPER BRACKET ---\n";
@@ -307,7 +1389,9 @@ function TournamentBracketApp() {
               match.pair[1] === "WINNER!" ? "WINNER!" : match.pair[1] || "TBD";
             scheduleText += `  Match ${match.matchIndexInRound + 1} (ID: ${
               match.id
-            }): ${p1} vs ${p2}\n`;
+            })${formatCourtSlot(match)}: ${getSlotLabel(match, 0, getName)} vs ${getSlotLabel(match, 1, getName)}\n`;
+            if (match.loserNextMatchId)
+              scheduleText += `    Loser drops to: ${match.loserNextMatchId}\n`;
             if (
               match.winner &&
               match.winner !== "BYE" &&
@@ -315,9 +1399,11 @@ function TournamentBracketApp() {
               !String(match.winner).startsWith("Winner of")
             ) {
               if (match.pair.includes("BYE"))
-                scheduleText += `    Winner: ${match.winner} (advances due to BYE)\n`;
+                scheduleText += `    Winner: ${getName(match.winner)} (advances due to BYE)\n`;
               else if (match.pair[1] === "WINNER!")
-                scheduleText += `    Winner: ${match.winner} (Champion of UB)\n`;
+                scheduleText += `    Winner: ${getName(match.winner)} (Champion of UB)\n`;
+              else
+                scheduleText += `    Winner: ${getName(match.winner)}${formatScore(match)}\n`;
             } else if (
               !match.winner &&
               p1 !== "BYE" &&
@@ -344,7 +1430,9 @@ function TournamentBracketApp() {
             const p2 = match.pair[1] || "TBD";
             scheduleText += `  Match ${match.matchIndexInRound + 1} (ID: ${
               match.id
-            }): ${p1} vs ${p2}\n`;
+            })${formatCourtSlot(match)}: ${getSlotLabel(match, 0, getName)} vs ${getSlotLabel(match, 1, getName)}\n`;
+            if (match.loserNextMatchId)
+              scheduleText += `    Loser drops to: ${match.loserNextMatchId}\n`;
             if (
               match.winner &&
               match.winner !== "BYE" &&
@@ -352,7 +1440,9 @@ function TournamentBracketApp() {
               !String(match.winner).startsWith("Winner of")
             ) {
               if (match.pair.includes("BYE"))
-                scheduleText += `    Winner: ${match.winner} (advances due to BYE)\n`;
+                scheduleText += `    Winner: ${getName(match.winner)} (advances due to BYE)\n`;
+              else
+                scheduleText += `    Winner: ${getName(match.winner)}${formatScore(match)}\n`;
             } else if (
               !match.winner &&
               p1 !== "BYE" &&
@@ -368,26 +1458,204 @@ function TournamentBracketApp() {
       }
       if (grandFinalMatch && grandFinalMatch.length > 0) {
         scheduleText += "\n--- GRAND FINAL ---\n";
-        const gf = grandFinalMatch[0];
-        scheduleText += `Match ${gf.matchIndexInRound + 1} (ID: ${gf.id}): ${
-          gf.pair[0]
-        } vs ${gf.pair[1]}\n  Winner: TBD\n\n`;
+        grandFinalMatch.forEach((gf) => {
+          const label = gf.id === "gfM1" ? "Bracket Reset" : "Match 1";
+          scheduleText += `${label} (ID: ${gf.id})${formatCourtSlot(gf)}: ${getSlotLabel(gf, 0, getName)} vs ${getSlotLabel(gf, 1, getName)}\n  Winner: ${
+            gf.winner ? getName(gf.winner) : "TBD"
+          }${formatScore(gf)}\n\n`;
+        });
       }
       if (champion && hasMultipleParticipants) {
-        // Overall DE champion (usually TBD unless auto-advanced)
-        scheduleText += `====================================\nOVERALL CHAMPION: ${champion}\n====================================\n`;
+        scheduleText += `====================================\nOVERALL CHAMPION: ${getName(champion)}\n====================================\n`;
       }
     }
 
-    const blob = new Blob([scheduleText], { type: "text/plain;charset=utf-8" });
+    downloadFile(
+      scheduleText,
+      type === "roundrobin"
+        ? "round_robin_schedule.txt"
+        : type === "swiss"
+          ? "swiss_schedule.txt"
+          : type === "groups"
+            ? "group_stage_schedule.txt"
+            : `${type}_elim_schedule.txt`,
+      "text/plain;charset=utf-8"
+    );
+    showSuccess("Schedule exported successfully!");
+  };
+
+  const downloadFile = (text, fileName, mimeType) => {
+    const blob = new Blob([text], { type: mimeType });
     const link = document.createElement("a");
     link.href = URL.createObjectURL(blob);
-    link.download = `${type}_elim_schedule.txt`;
+    link.download = fileName;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
     URL.revokeObjectURL(link.href);
-    showSuccess("Schedule exported successfully!");
+  };
+
+  const exportTournamentJson = () => {
+    const name = tournamentInfo?.name || "tournament";
+    const now = new Date().toISOString();
+    downloadFile(
+      serializeTournament({
+        name,
+        createdAt: tournamentInfo?.createdAt || now,
+        updatedAt: tournamentInfo?.updatedAt || now,
+        state: currentState,
+      }),
+      `${name.replace(/[^\w-]+/g, "_")}.json`,
+      "application/json"
+    );
+    showSuccess("Tournament exported as JSON!");
+  };
+
+  const importTournamentJson = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (!file) return;
+    const { tournament, error: importError } = parseTournamentFile(
+      await file.text()
+    );
+    if (importError) {
+      setError(importError);
+      return;
+    }
+    setError("");
+    onImport(tournament);
+  };
+
+  const exportCsv = (kind) => {
+    const name = (tournamentInfo?.name || "tournament").replace(
+      /[^\w-]+/g,
+      "_"
+    );
+    downloadFile(
+      kind === "placings"
+        ? buildPlacingsCsv(bracketData, getName)
+        : buildMatchesCsv(bracketData, getName),
+      `${name}_${kind}.csv`,
+      "text/csv;charset=utf-8"
+    );
+    showSuccess(
+      `${kind === "placings" ? "Placings" : "Matches"} exported as CSV!`
+    );
+  };
+
+  const renderSelectablePlayer = (match, slot) => {
+    const player = match.pair[slot];
+    const isWinner = match.winner === player && player !== "BYE";
+    // Team ties are decided by their rubbers, not by picking a team
+    if (!isPlayableMatch(match) || bracketData.teamMatch)
+      return getPlayerDisplay(player, isWinner, match.sources?.[slot]);
+    return (
+      <button
+        type="button"
+        onClick={() => selectMatchWinner(match, player)}
+        title={isWinner ? "Click to undo this result" : "Mark as winner"}
+        className={`max-w-full px-2 py-1 rounded hover:bg-gray-500 ${
+          isWinner ? "ring-1 ring-green-400" : ""
+        }`}
+      >
+        {getPlayerDisplay(player, isWinner)}
+      </button>
+    );
+  };
+
+  const renderScoreEntry = (match) =>
+    isPlayableMatch(match) &&
+    !bracketData.teamMatch && (
+      <ScoreEntry
+        key={`${match.id}-${match.score ?? ""}`}
+        match={match}
+        rule={getMatchScoringRule(match, scoringRule)}
+        getName={getName}
+        onRecord={(winner, _isDraw, score) =>
+          recordMatchResult(match.id, winner, score)
+        }
+      />
+    );
+
+  // Team ties split into rubbers are decided rubber by rubber
+  const renderRubberEntry = (match) =>
+    bracketData.teamMatch &&
+    isPlayableMatch(match) && (
+      <RubberEntry
+        match={match}
+        format={bracketData.teamMatch}
+        getName={getName}
+        getMembers={getMembers}
+        onChange={(index, changes) => recordRubber(match, index, changes)}
+      />
+    );
+
+  // Game-by-game entry for a series; the series closes once it is clinched
+  const renderSeriesEntry = (match) =>
+    isSeries(match) &&
+    isPlayableMatch(match) &&
+    !isRealPlayer(match.winner) && (
+      <div className="flex items-center gap-2 mt-2 text-xs">
+        <span className="text-gray-400">Game to:</span>
+        {[0, 1].map((slot) => (
+          <button
+            key={slot}
+            type="button"
+            onClick={() => recordSeriesGame(match, slot)}
+            className="flex-1 min-w-0 truncate px-2 py-1 rounded bg-gray-600 hover:bg-gray-500"
+          >
+            {getName(match.pair[slot])}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => undoSeriesGame(match)}
+          disabled={!match.games?.length}
+          className="px-2 py-1 rounded bg-gray-600 hover:bg-gray-500 disabled:text-gray-500 disabled:hover:bg-gray-600"
+        >
+          Undo
+        </button>
+      </div>
+    );
+
+  const renderWalkoverNote = (match) =>
+    match.walkover && (
+      <p className="text-xs text-orange-300 mt-1 text-center">
+        {getPlayerDisplay(match.winner)} advances by walkover
+        {` (${getName(match.loser)}: ${
+          WITHDRAWAL_REASONS[bracketData.withdrawals?.[match.loser]] ??
+          "withdrawn"
+        })`}
+      </p>
+    );
+
+  // Tree slots show the player and, once scored, their side of the score;
+  // a walkover is marked W/O next to the player who advanced
+  const renderTreeSlot = (match, slot) => (
+    <>
+      <span className="flex-1 min-w-0 truncate">
+        {renderSelectablePlayer(match, slot)}
+      </span>
+      {match.score && (
+        <span className="ml-1 text-xs text-gray-300 tabular-nums">
+          {getSlotScores(match.score, slot).join(" ")}
+        </span>
+      )}
+      {match.walkover && match.winner === match.pair[slot] && (
+        <span className="ml-1 text-xs text-orange-300">W/O</span>
+      )}
+    </>
+  );
+
+  const renderMatchRoutes = (match) => {
+    if (!match.nextMatchId && !match.loserNextMatchId) return null;
+    return (
+      <p className="text-[11px] text-gray-400 mt-1 text-center">
+        {match.nextMatchId && <>Winner → {match.nextMatchId}</>}
+        {match.nextMatchId && match.loserNextMatchId && " · "}
+        {match.loserNextMatchId && <>Loser → {match.loserNextMatchId}</>}
+      </p>
+    );
   };
 
   const renderSingleElimination = () => {
@@ -428,26 +1696,19 @@ function TournamentBracketApp() {
                 >
                   <div className="text-xs font-medium text-teal-200 mb-1">
                     Match {matchIdx + 1}
+                    {isSeries(match) && ` · ${describeSeries(match)}`}
                   </div>
                   <div className="flex flex-col sm:flex-row justify-between items-center space-y-1 sm:space-y-0">
                     <div className="flex-1 text-center sm:text-left">
-                      {getPlayerDisplay(
-                        match.pair[0],
-                        match.winner === match.pair[0] &&
-                          match.pair[0] !== "BYE"
-                      )}
+                      {renderSelectablePlayer(match, 0)}
                     </div>
                     <span className="mx-2 text-xs text-gray-400 font-semibold">
                       {match.pair[1] === "WINNER!" ? "is the" : "VS"}
                     </span>
                     <div className="flex-1 text-center sm:text-right">
-                      {getPlayerDisplay(
-                        match.pair[1] === "WINNER!"
-                          ? "CHAMPION!"
-                          : match.pair[1],
-                        match.winner === match.pair[1] &&
-                          match.pair[1] !== "BYE"
-                      )}
+                      {match.pair[1] === "WINNER!"
+                        ? getPlayerDisplay("CHAMPION!")
+                        : renderSelectablePlayer(match, 1)}
                     </div>
                   </div>
                   {match.pair[1] === "BYE" &&
@@ -458,6 +1719,7 @@ function TournamentBracketApp() {
                         {getPlayerDisplay(match.winner)} advances (BYE)
                       </p>
                     )}
+                  {renderWalkoverNote(match)}
                   {!match.winner &&
                     match.pair[0] !== "BYE" &&
                     match.pair[1] !== "BYE" &&
@@ -465,9 +1727,13 @@ function TournamentBracketApp() {
                     match.pair[1] !== null &&
                     match.pair[1] !== "WINNER!" && (
                       <p className="text-xs text-yellow-400 mt-1 text-center">
-                        Winner TBD
+                        Winner TBD - click a player or enter the score
                       </p>
                     )}
+                  {renderSeriesEntry(match)}
+                  {renderRubberEntry(match)}
+                  {renderScoreEntry(match)}
+                  {renderMatchRoutes(match)}
                 </li>
               )
             )}
@@ -477,18 +1743,107 @@ function TournamentBracketApp() {
     });
   };
 
+  // Sections and finals of the elimination bracket for the tree layouts
+  const treeSections = useMemo(() => {
+    if (getEliminationType(bracketData) === "single") {
+      return {
+        sections: [
+          { title: "Bracket", rounds: bracketData.rounds },
+          ...getThirdPlaceRounds(bracketData).map((round) => ({
+            title: "Third Place",
+            rounds: [round],
+            roundTitles: ["Third Place"],
+            titleClassName: "text-amber-500",
+          })),
+        ],
+        finals: [],
+      };
+    }
+    return {
+      sections: [
+        {
+          title: "Upper Bracket",
+          prefix: "UB ",
+          rounds: bracketData.upperBracketRounds,
+          titleClassName: "text-sky-400",
+        },
+        {
+          title: "Lower Bracket",
+          prefix: "LB ",
+          rounds: bracketData.lowerBracketRounds,
+          titleClassName: "text-orange-400",
+        },
+      ],
+      finals: (bracketData.grandFinalMatch || []).map((match) => ({
+        match,
+        title: match.id === "gfM1" ? "Bracket Reset" : "Grand Final",
+      })),
+    };
+  }, [bracketData]);
+
+  const finalPlacings = useMemo(
+    () =>
+      bracketData.champion && !LEAGUE_TYPES.includes(bracketData.type)
+        ? computePlacings(bracketData, getName)
+        : [],
+    [bracketData, getName]
+  );
+
+  const scheduleEntries = useMemo(
+    () => listMatches(bracketData).filter(({ match }) => isSchedulable(match)),
+    [bracketData]
+  );
+  const scheduleConflicts = useMemo(
+    () => findScheduleConflicts(bracketData, scheduleSettings, getName),
+    [bracketData, getName, scheduleSettings]
+  );
+
+  const openByeSlots = useMemo(
+    () => getOpenByeSlots(bracketData),
+    [bracketData]
+  );
+  // In check-in mode only checked-in participants can be added, as in a draw
+  const lateEntrants = entrants
+    .map(({ id }) => id)
+    .filter((id) => !bracketPlayers.includes(id));
+
+  const hasPrintableBracket =
+    (hasSingleBracketData || hasDoubleBracketData) && hasMultipleParticipants;
+
+  // Tree card label: series length and tally, or the rubbers a team match
+  // stands at
+  const describeMatch = (match) => {
+    if (!bracketData.teamMatch) return describeSeries(match);
+    const [first, second] = getRubberTally(match);
+    return first + second > 0 ? `Rubbers ${first}–${second}` : null;
+  };
+
+  const renderTreeView = () => (
+    <BracketTreeView
+      sections={treeSections.sections}
+      finals={treeSections.finals}
+      renderSlot={renderTreeSlot}
+      getMatchLabel={describeMatch}
+    />
+  );
+
   const renderDoubleEliminationSection = (rounds, titlePrefix) => {
     if (!rounds || rounds.length === 0) return null;
     return rounds.map((round, roundIndex) => {
       if (!Array.isArray(round) || round.length === 0) return null;
       const isFinalBracketRound =
         roundIndex === rounds.length - 1 && round.length === 1;
-      let roundTitle = `${titlePrefix} Round ${
-        round.length > 0 ? round[0].round + 1 : roundIndex + 1
-      }`; // Use round number from match data if available
+      let roundTitle =
+        titlePrefix === "Third Place"
+          ? "Third Place Match"
+          : `${titlePrefix} Round ${
+              round.length > 0 ? round[0].round + 1 : roundIndex + 1
+            }`; // Use round number from match data if available
 
-      if (isFinalBracketRound && titlePrefix !== "Grand Final") {
-        // Grand Final is always "Grand Final Round 1"
+      if (titlePrefix === "Grand Final" && round[0].id === "gfM1") {
+        // Second grand final after the LB champion won the first one
+        roundTitle = "Grand Final - Bracket Reset";
+      } else if (isFinalBracketRound && titlePrefix !== "Grand Final") {
         const match = round[0];
         if (
           match.winner &&
@@ -496,13 +1851,12 @@ function TournamentBracketApp() {
           match.winner !== null &&
           !String(match.winner).startsWith("Winner of")
         ) {
-          roundTitle = `${titlePrefix} Winner: ${getPlayerDisplay(
-            match.winner
-          )}`;
+          roundTitle = `${titlePrefix} Winner: ${getName(match.winner)}`;
         } else if (
           !match.winner &&
           !match.pair.includes("BYE") &&
-          !match.pair.includes(null)
+          !match.pair.includes(null) &&
+          titlePrefix !== "Third Place"
         ) {
           roundTitle += ` Final`; // e.g. Upper Bracket Final
         }
@@ -528,24 +1882,17 @@ function TournamentBracketApp() {
                 >
                   <div className="text-xs font-medium text-teal-200 mb-1">
                     Match {match.matchIndexInRound + 1}
+                    {isSeries(match) && ` · ${describeSeries(match)}`}
                   </div>
                   <div className="flex flex-col sm:flex-row justify-between items-center space-y-1 sm:space-y-0">
                     <div className="flex-1 text-center sm:text-left">
-                      {getPlayerDisplay(
-                        match.pair[0],
-                        match.winner === match.pair[0] &&
-                          match.pair[0] !== "BYE"
-                      )}
+                      {renderSelectablePlayer(match, 0)}
                     </div>
                     <span className="mx-2 text-xs text-gray-400 font-semibold">
                       VS
                     </span>
                     <div className="flex-1 text-center sm:text-right">
-                      {getPlayerDisplay(
-                        match.pair[1],
-                        match.winner === match.pair[1] &&
-                          match.pair[1] !== "BYE"
-                      )}
+                      {renderSelectablePlayer(match, 1)}
                     </div>
                   </div>
                   {match.pair.includes("BYE") &&
@@ -556,6 +1903,7 @@ function TournamentBracketApp() {
                         {getPlayerDisplay(match.winner)} advances (BYE)
                       </p>
                     )}
+                  {renderWalkoverNote(match)}
                   {!match.winner &&
                     !match.pair.includes("BYE") &&
                     !match.pair.includes(null) && (
@@ -563,6 +1911,10 @@ function TournamentBracketApp() {
                         Winner TBD
                       </p>
                     )}
+                  {renderSeriesEntry(match)}
+                  {renderRubberEntry(match)}
+                  {renderScoreEntry(match)}
+                  {renderMatchRoutes(match)}
                 </li>
               )
             )}
@@ -573,8 +1925,8 @@ function TournamentBracketApp() {
   };
 
   return (
-    <div className="min-h-screen  text-white font-inter p-4 sm:p-6 md:p-8 flex flex-col items-center">
-      <div className="w-full max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl mb-8 p-4 sm:p-6 bg-neutral-bg rounded-xl shadow-2xl">
+    <div className="min-h-screen  text-white font-inter p-4 sm:p-6 md:p-8 flex flex-col items-center print:block print:min-h-0 print:p-0">
+      <div className="w-full max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl mb-8 p-4 sm:p-6 bg-neutral-bg rounded-xl shadow-2xl print:hidden">
         <h1 className="text-2xl font-medium text-neutral-text-main text-center mb-6 text-black">
           Tournament Brackets Generator
         </h1>
@@ -594,7 +1946,185 @@ function TournamentBracketApp() {
           >
             <option value="single">Single Elimination</option>
             <option value="double">Double Elimination</option>
+            <option value="roundrobin">Round Robin</option>
+            <option value="swiss">Swiss</option>
+            <option value="groups">Groups + Playoff</option>
           </select>
+          {tournamentType === "groups" && (
+            <div className="grid grid-cols-3 gap-2 mt-2 text-sm text-black">
+              <label>
+                Groups:
+                <input
+                  type="number"
+                  min="1"
+                  value={groupCountInput}
+                  onChange={(e) => setGroupCountInput(e.target.value)}
+                  className="w-full mt-1 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white outline-none focus:ring-2 focus:ring-teal-500"
+                />
+              </label>
+              <label>
+                Advance per group:
+                <input
+                  type="number"
+                  min="1"
+                  value={qualifiersPerGroupInput}
+                  onChange={(e) => setQualifiersPerGroupInput(e.target.value)}
+                  className="w-full mt-1 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white outline-none focus:ring-2 focus:ring-teal-500"
+                />
+              </label>
+              <label>
+                Playoff:
+                <select
+                  value={playoffType}
+                  onChange={(e) => setPlayoffType(e.target.value)}
+                  className="w-full mt-1 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white outline-none focus:ring-2 focus:ring-teal-500"
+                >
+                  <option value="single">Single Elim</option>
+                  <option value="double">Double Elim</option>
+                </select>
+              </label>
+            </div>
+          )}
+          {tournamentType === "swiss" && (
+            <label className="block mt-2 text-sm text-black">
+              Number of rounds:
+              <input
+                type="number"
+                min="1"
+                value={swissRoundsInput}
+                onChange={(e) => setSwissRoundsInput(e.target.value)}
+                placeholder={`Default: ${Math.max(
+                  1,
+                  Math.ceil(Math.log2(Math.max(participantCount, 2)))
+                )}`}
+                className="w-full mt-1 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white outline-none focus:ring-2 focus:ring-teal-500"
+              />
+            </label>
+          )}
+          {(tournamentType === "single" ||
+            (tournamentType === "groups" && playoffType === "single")) && (
+            <label className="flex items-center gap-2 mt-2 text-sm text-black">
+              <input
+                type="checkbox"
+                checked={thirdPlaceMatchEnabled}
+                onChange={(e) => setThirdPlaceMatchEnabled(e.target.checked)}
+              />
+              Third-place match between the semi-final losers
+            </label>
+          )}
+          {(tournamentType === "roundrobin" || tournamentType === "groups") && (
+            <label className="flex items-center gap-2 mt-2 text-sm text-black">
+              <input
+                type="checkbox"
+                checked={doubleRoundRobin}
+                onChange={(e) => setDoubleRoundRobin(e.target.checked)}
+              />
+              Double round robin (everyone plays twice)
+            </label>
+          )}
+        </div>
+
+        <div className="mb-4">
+          <label
+            htmlFor="drawSeedInput"
+            className="block text-sm font-medium text-black mb-1"
+          >
+            Draw seed (optional):
+          </label>
+          <input
+            id="drawSeedInput"
+            type="text"
+            value={drawSeedInput}
+            onChange={(e) => setDrawSeedInput(e.target.value)}
+            placeholder="Leave blank for a new random draw"
+            className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-teal-500 outline-none"
+          />
+        </div>
+
+        <div className="mb-4 grid grid-cols-3 gap-2 text-sm text-black">
+          <label
+            className={usesTarget(scoringRule) ? "col-span-2" : "col-span-3"}
+          >
+            Scoring:
+            <select
+              value={scoringRule.type}
+              onChange={(e) =>
+                setScoringRule({ ...scoringRule, type: e.target.value })
+              }
+              className="w-full mt-1 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white outline-none focus:ring-2 focus:ring-teal-500"
+            >
+              {Object.entries(SCORING_RULES).map(([type, label]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {usesTarget(scoringRule) && (
+            <label>
+              {scoringRule.type === "firstTo" ? "X" : "N"}:
+              <input
+                type="number"
+                min="1"
+                value={scoringRule.target}
+                onChange={(e) =>
+                  setScoringRule({
+                    ...scoringRule,
+                    target: Math.max(1, parseInt(e.target.value, 10) || 1),
+                  })
+                }
+                className="w-full mt-1 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white outline-none focus:ring-2 focus:ring-teal-500"
+              />
+            </label>
+          )}
+          <p className="col-span-3 text-xs text-gray-500">
+            Entered scores decide the winner. Changing the rule keeps scores
+            already recorded.
+          </p>
+        </div>
+
+        <div className="mb-4 text-sm text-black">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={teamSettings.enabled}
+              onChange={(e) =>
+                setTeamSettings({ ...teamSettings, enabled: e.target.checked })
+              }
+            />
+            Team entries (each participant is a team with players)
+          </label>
+          {teamSettings.enabled && (
+            <div className="grid grid-cols-4 gap-2 mt-2">
+              {[
+                ["teamSize", "Players", 1],
+                ["substitutes", "Subs", 0],
+                ["singles", "Singles", 0],
+                ["doubles", "Doubles", 0],
+              ].map(([key, label, min]) => (
+                <label key={key}>
+                  {label}:
+                  <input
+                    type="number"
+                    min={min}
+                    value={teamSettings[key]}
+                    onChange={(e) =>
+                      setTeamSettings({
+                        ...teamSettings,
+                        [key]: Math.max(min, parseInt(e.target.value, 10) || 0),
+                      })
+                    }
+                    className="w-full mt-1 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white outline-none focus:ring-2 focus:ring-teal-500"
+                  />
+                </label>
+              ))}
+              <p className="col-span-4 text-xs text-gray-500">
+                With singles or doubles rubbers, each knockout tie is decided by
+                the team winning most rubbers (use an odd total). Leave both at
+                0 to record ties as a single result.
+              </p>
+            </div>
+          )}
         </div>
 
         <div className="mb-4">
@@ -619,6 +2149,10 @@ function TournamentBracketApp() {
         >
           Add Participants
         </button>
+        <RosterImport
+          participants={participants}
+          onImport={importParticipants}
+        />
 
         {error && (
           <p className="text-red-400 text-sm mb-3 text-center p-2 bg-red-900 bg-opacity-30 rounded-md">
@@ -634,28 +2168,63 @@ function TournamentBracketApp() {
         {hasParticipants && (
           <div className="mb-6">
             <h2 className="text-lg sm:text-xl font-semibold text-teal-300 mb-2">
-              Participants ({participantCount}):
+              {teamSettings.enabled ? "Teams" : "Participants"} (
+              {participantCount}):
             </h2>
-            <ul className="space-y-2 max-h-40 sm:max-h-48 overflow-y-auto bg-gray-700 p-3 rounded-lg custom-scrollbar">
-              {participants.map((name, index) => (
-                <li
-                  key={index}
-                  className="flex justify-between items-center p-2 bg-gray-600 hover:bg-gray-500 rounded-md"
-                >
-                  <span className="truncate pr-2">{name}</span>
-                  <button
-                    onClick={() => removeParticipant(name)}
-                    className="text-red-400 hover:text-red-300 text-xs font-medium px-2 py-1 rounded hover:bg-red-700"
-                  >
-                    {" "}
-                    Remove{" "}
-                  </button>
-                </li>
-              ))}
-            </ul>
+            <p className="text-xs text-gray-500 mb-2">
+              Optional seeds (1 = top seed) use standard bracket placement;
+              unseeded players are drawn randomly.
+            </p>
+            <div className="flex items-center justify-between mb-2 text-xs text-gray-300">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={checkInOnly}
+                  onChange={(e) => setCheckInOnly(e.target.checked)}
+                />
+                Check-in mode: draw only checked-in players
+              </label>
+              <span className="text-gray-400">
+                {participants.filter(({ checkedIn }) => checkedIn).length} of{" "}
+                {participantCount} checked in
+              </span>
+            </div>
+            <RosterEditor
+              participants={participants}
+              dimUnchecked={checkInOnly}
+              teamSettings={teamSettings}
+              drawnIds={bracketPlayers}
+              onChange={updateParticipant}
+              onRemove={removeParticipant}
+            />
           </div>
         )}
 
+        {discardedBracket && (
+          <div className="flex flex-wrap items-center gap-2 mb-3 p-2 rounded-lg bg-gray-700 text-sm text-gray-200">
+            <span className="flex-1">
+              Snapshot of the{" "}
+              {TOURNAMENT_TYPE_LABELS[discardedBracket.bracketData.type]}{" "}
+              bracket kept at{" "}
+              {new Date(discardedBracket.savedAt).toLocaleString()} (
+              {discardedBracket.reason.toLowerCase()}).
+            </span>
+            <button
+              type="button"
+              onClick={restoreDiscardedBracket}
+              className="px-3 py-1 rounded-lg bg-teal-600 hover:bg-teal-500 text-white text-xs"
+            >
+              Restore
+            </button>
+            <button
+              type="button"
+              onClick={() => setDiscardedBracket(null)}
+              className="px-3 py-1 rounded-lg bg-gray-600 hover:bg-gray-500 text-white text-xs"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
           <button
             onClick={generateNewBracket}
@@ -671,26 +2240,112 @@ function TournamentBracketApp() {
             Clear All
           </button>
         </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-3">
+          <button
+            onClick={exportTournamentJson}
+            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md text-sm"
+          >
+            Export Tournament (JSON)
+          </button>
+          {onImport && (
+            <label className="w-full bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg shadow-md text-sm text-center cursor-pointer">
+              Import Tournament
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={importTournamentJson}
+                className="hidden"
+              />
+            </label>
+          )}
+        </div>
+        <AuditLog
+          entries={auditLog}
+          canUndo={history.past.length > 0}
+          canRedo={history.future.length > 0}
+          onUndo={undo}
+          onRedo={redo}
+        />
       </div>
 
       {/* Tournament Schedule Display Area */}
       {shouldRenderBracket && (
-        <div className="w-full max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl p-4 sm:p-6 bg-gray-800 rounded-xl shadow-2xl mt-8">
+        <div
+          className={`w-full max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl p-4 sm:p-6 bg-gray-800 rounded-xl shadow-2xl mt-8 ${
+            hasPrintableBracket ? "print:hidden" : ""
+          }`}
+        >
           {" "}
           {/* Added mt-8 for spacing */}
           <div className="flex flex-col sm:flex-row justify-between items-center mb-6">
             <h2 className="text-xl sm:text-2xl font-bold text-teal-400 mb-2 sm:mb-0">
-              {bracketData.type === "single"
-                ? "Single Elimination Schedule"
-                : "Double Elimination Schedule"}
+              {TOURNAMENT_TYPE_LABELS[bracketData.type]} Schedule
+              {isLocked && (
+                <span
+                  title="Results are recorded: regenerating, changing the format or clearing asks first"
+                  className="ml-2 align-middle text-sm font-normal text-gray-400"
+                >
+                  🔒 Locked
+                </span>
+              )}
             </h2>
-            <button
-              onClick={exportSchedule}
-              className="w-full sm:w-auto bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md text-sm"
-            >
-              Export Schedule
-            </button>
+            <div className="flex flex-wrap gap-2 w-full sm:w-auto">
+              <button
+                onClick={exportSchedule}
+                className="flex-1 sm:flex-none bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md text-sm"
+              >
+                Export Schedule
+              </button>
+              <button
+                onClick={() => exportCsv("matches")}
+                className="flex-1 sm:flex-none bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-3 rounded-lg shadow-md text-sm"
+              >
+                Matches CSV
+              </button>
+              <button
+                onClick={() => exportCsv("placings")}
+                className="flex-1 sm:flex-none bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-3 rounded-lg shadow-md text-sm"
+              >
+                Placings CSV
+              </button>
+              {hasPrintableBracket && (
+                <button
+                  onClick={() => window.print()}
+                  title="Prints a black-and-white bracket (use Save as PDF for a file)"
+                  className="flex-1 sm:flex-none bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-3 rounded-lg shadow-md text-sm"
+                >
+                  Print
+                </button>
+              )}
+              {tournamentInfo?.id && (
+                <a
+                  href={`?board=${encodeURIComponent(tournamentInfo.id)}`}
+                  target="_blank"
+                  rel="noopener"
+                  title="Opens a venue screen with matches on court, up next and recent results"
+                  className="flex-1 sm:flex-none bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-3 rounded-lg shadow-md text-sm text-center"
+                >
+                  Call board
+                </a>
+              )}
+            </div>
           </div>
+          {bracketData.drawSeed && (
+            <p className="-mt-4 mb-6 text-xs text-gray-400 text-center sm:text-left">
+              Draw seed:{" "}
+              <code className="text-teal-200">{bracketData.drawSeed}</code>{" "}
+              <button
+                type="button"
+                onClick={() => setDrawSeedInput(bracketData.drawSeed)}
+                className="ml-1 underline hover:text-teal-200"
+              >
+                Reuse
+              </button>
+              <span className="block sm:inline sm:ml-2">
+                Same participants + same seed = same draw.
+              </span>
+            </p>
+          )}
           {bracketData.champion && participantCount === 1 && (
             <div className="mb-6 sm:mb-8 p-4 bg-yellow-500 text-gray-900 rounded-lg shadow-lg text-center">
               <h3 className="text-xl sm:text-2xl font-bold">🏆 CHAMPION 🏆</h3>
@@ -699,52 +2354,214 @@ function TournamentBracketApp() {
               </p>
             </div>
           )}
-          {bracketData.type === "single" &&
+          {hasGroupData && (
+            <>
+              {bracketData.groups.map((group, index) => (
+                <section key={group.name} className="mb-10">
+                  <h2 className="text-2xl font-bold text-center text-sky-400 mb-4">
+                    GROUP {group.name}
+                  </h2>
+                  <LeagueView
+                    rounds={group.rounds}
+                    players={group.players}
+                    settings={bracketData.standingsSettings}
+                    isComplete={isLeagueComplete(group.rounds.flat())}
+                    winnerTitle={`GROUP ${group.name} WINNER`}
+                    qualifierCount={bracketData.qualifiersPerGroup}
+                    showSettings={index === 0}
+                    scoringRule={scoringRule}
+                    getName={getName}
+                    onRecordResult={(matchId, winner, isDraw, score) =>
+                      selectGroupResult(
+                        group.name,
+                        matchId,
+                        winner,
+                        isDraw,
+                        score
+                      )
+                    }
+                    onSettingsChange={updateStandingsSettings}
+                  />
+                </section>
+              ))}
+              <h2 className="text-2xl font-bold text-center text-teal-400 mb-2">
+                PLAYOFF
+              </h2>
+              <p className="text-xs text-gray-400 text-center mb-6">
+                Slots fill in as each group finishes. Group winners are kept
+                apart in the early rounds.
+              </p>
+            </>
+          )}
+          {(hasSingleBracketData || hasDoubleBracketData) &&
+            hasMultipleParticipants &&
+            !bracketData.teamMatch && (
+              <SeriesSettings
+                sections={treeSections.sections}
+                finals={treeSections.finals}
+                onChange={setSeriesLength}
+              />
+            )}
+          {scheduleEntries.length > 0 && (
+            <CourtSchedule
+              entries={scheduleEntries}
+              settings={scheduleSettings}
+              conflicts={scheduleConflicts}
+              getName={getName}
+              onSettingsChange={(changes) =>
+                setScheduleSettings({ ...scheduleSettings, ...changes })
+              }
+              onAutoSchedule={autoSchedule}
+              onClear={clearSchedule}
+              onMove={moveMatch}
+            />
+          )}
+          {(hasSingleBracketData ||
+            hasDoubleBracketData ||
+            hasGroupData ||
+            hasLeagueData) &&
+            hasMultipleParticipants && (
+              <WithdrawalSettings
+                players={bracketPlayers}
+                withdrawals={bracketData.withdrawals}
+                getName={getName}
+                onChange={setWithdrawal}
+              />
+            )}
+          {openByeSlots.length > 0 && lateEntrants.length > 0 && (
+            <LateEntry
+              candidates={lateEntrants}
+              slots={openByeSlots}
+              getName={getName}
+              onAdd={addLateEntrant}
+            />
+          )}
+          {(hasSingleBracketData || hasDoubleBracketData) &&
+            hasMultipleParticipants && (
+              <div className="flex justify-center gap-2 mb-6 text-sm">
+                {[
+                  ["tree", "Tree"],
+                  ["schedule", "Schedule"],
+                ].map(([view, label]) => (
+                  <button
+                    key={view}
+                    type="button"
+                    onClick={() => setBracketView(view)}
+                    aria-pressed={bracketView === view}
+                    className={`px-3 py-1 rounded-lg ${
+                      bracketView === view
+                        ? "bg-teal-500 text-white"
+                        : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+          {bracketView === "tree" &&
+            (hasSingleBracketData || hasDoubleBracketData) &&
+            hasMultipleParticipants &&
+            renderTreeView()}
+          {bracketView === "schedule" &&
+            eliminationType === "single" &&
             hasMultipleParticipants &&
             renderSingleElimination()}
-          {bracketData.type === "double" && hasMultipleParticipants && (
-            <>
-              {bracketData.upperBracketRounds &&
-                bracketData.upperBracketRounds.length > 0 && (
-                  <section className="mb-8">
-                    <h2 className="text-2xl font-bold text-center text-sky-400 mb-4">
-                      UPPER BRACKET
-                    </h2>
-                    {renderDoubleEliminationSection(
-                      bracketData.upperBracketRounds,
-                      "Upper Bracket"
-                    )}
-                  </section>
-                )}
-              {bracketData.lowerBracketRounds &&
-                bracketData.lowerBracketRounds.length > 0 && (
-                  <section className="mb-8">
-                    <h2 className="text-2xl font-bold text-center text-orange-400 mb-4">
-                      LOWER BRACKET
-                    </h2>
-                    {renderDoubleEliminationSection(
-                      bracketData.lowerBracketRounds,
-                      "Lower Bracket"
-                    )}
-                  </section>
+          {bracketView === "schedule" &&
+            eliminationType === "single" &&
+            bracketData.thirdPlaceMatch &&
+            hasMultipleParticipants && (
+              <section className="mb-8">
+                <h2 className="text-2xl font-bold text-center text-amber-500 mb-4">
+                  THIRD PLACE
+                </h2>
+                {renderDoubleEliminationSection(
+                  getThirdPlaceRounds(bracketData),
+                  "Third Place"
                 )}
-              {bracketData.grandFinalMatch &&
-                bracketData.grandFinalMatch.length > 0 && (
-                  <section>
-                    <h2 className="text-2xl font-bold text-center text-red-400 mb-4">
-                      GRAND FINAL
-                    </h2>
-                    {renderDoubleEliminationSection(
-                      bracketData.grandFinalMatch,
-                      "Grand Final"
-                    )}
-                  </section>
+              </section>
+            )}
+          {isLeagueBracket && (
+            <LeagueView
+              rounds={bracketData.rounds}
+              players={bracketData.players}
+              settings={bracketData.standingsSettings}
+              isComplete={
+                isLeagueComplete(bracketData.rounds.flat()) &&
+                (bracketData.type !== "swiss" ||
+                  bracketData.rounds.length >= bracketData.totalRounds)
+              }
+              winnerTitle={
+                bracketData.type === "swiss" ? "SWISS WINNER" : "LEAGUE WINNER"
+              }
+              restLabel={
+                bracketData.type === "swiss"
+                  ? "has a BYE this round"
+                  : "rests this round"
+              }
+              scoringRule={scoringRule}
+              getName={getName}
+              onRecordResult={selectLeagueResult}
+              onSettingsChange={updateStandingsSettings}
+            >
+              {bracketData.type === "swiss" &&
+                bracketData.rounds.length < bracketData.totalRounds && (
+                  <button
+                    onClick={generateNextSwissRound}
+                    disabled={!isLeagueComplete(bracketData.rounds.flat())}
+                    className="w-full bg-green-500 hover:bg-green-600 disabled:bg-gray-500 disabled:cursor-not-allowed text-white font-semibold py-3 px-4 rounded-lg shadow-md"
+                  >
+                    Pair Round {bracketData.rounds.length + 1} of{" "}
+                    {bracketData.totalRounds}
+                  </button>
                 )}
-            </>
+            </LeagueView>
           )}
+          {bracketView === "schedule" &&
+            eliminationType === "double" &&
+            hasMultipleParticipants && (
+              <>
+                {bracketData.upperBracketRounds &&
+                  bracketData.upperBracketRounds.length > 0 && (
+                    <section className="mb-8">
+                      <h2 className="text-2xl font-bold text-center text-sky-400 mb-4">
+                        UPPER BRACKET
+                      </h2>
+                      {renderDoubleEliminationSection(
+                        bracketData.upperBracketRounds,
+                        "Upper Bracket"
+                      )}
+                    </section>
+                  )}
+                {bracketData.lowerBracketRounds &&
+                  bracketData.lowerBracketRounds.length > 0 && (
+                    <section className="mb-8">
+                      <h2 className="text-2xl font-bold text-center text-orange-400 mb-4">
+                        LOWER BRACKET
+                      </h2>
+                      {renderDoubleEliminationSection(
+                        bracketData.lowerBracketRounds,
+                        "Lower Bracket"
+                      )}
+                    </section>
+                  )}
+                {bracketData.grandFinalMatch &&
+                  bracketData.grandFinalMatch.length > 0 && (
+                    <section>
+                      <h2 className="text-2xl font-bold text-center text-red-400 mb-4">
+                        GRAND FINAL
+                      </h2>
+                      {renderDoubleEliminationSection(
+                        bracketData.grandFinalMatch.map((match) => [match]),
+                        "Grand Final"
+                      )}
+                    </section>
+                  )}
+              </>
+            )}
           {bracketData.champion &&
             hasMultipleParticipants &&
-            bracketData.type === "single" && (
+            eliminationType === "single" && (
               <div className="mt-8 p-4 bg-yellow-500 text-gray-900 rounded-lg shadow-lg text-center">
                 <h3 className="text-xl sm:text-2xl font-bold">
                   🏆 CHAMPION 🏆
@@ -752,11 +2569,17 @@ function TournamentBracketApp() {
                 <p className="text-lg sm:text-xl">
                   {getPlayerDisplay(bracketData.champion)}
                 </p>
+                {isRealPlayer(bracketData.thirdPlaceMatch?.winner) && (
+                  <p className="text-sm mt-1">
+                    🥉 Third place:{" "}
+                    {getName(bracketData.thirdPlaceMatch.winner)}
+                  </p>
+                )}
               </div>
             )}
           {bracketData.champion &&
             hasMultipleParticipants &&
-            bracketData.type === "double" && (
+            eliminationType === "double" && (
               <div className="mt-8 p-4 bg-yellow-500 text-gray-900 rounded-lg shadow-lg text-center">
                 <h3 className="text-xl sm:text-2xl font-bold">
                   🏆 OVERALL CHAMPION 🏆
@@ -766,10 +2589,13 @@ function TournamentBracketApp() {
                 </p>
               </div>
             )}
-          {((bracketData.type === "single" &&
+          {hasMultipleParticipants && finalPlacings.length > 0 && (
+            <PlacingsTable rows={finalPlacings} getName={getName} />
+          )}
+          {((eliminationType === "single" &&
             Array.isArray(bracketData.rounds) &&
             bracketData.rounds.length > 0) ||
-            (bracketData.type === "double" &&
+            (eliminationType === "double" &&
               ((Array.isArray(bracketData.upperBracketRounds) &&
                 bracketData.upperBracketRounds.length > 0) ||
                 (Array.isArray(bracketData.lowerBracketRounds) &&
@@ -777,12 +2603,28 @@ function TournamentBracketApp() {
             !bracketData.champion &&
             hasMultipleParticipants && (
               <p className="mt-6 text-sm text-gray-400 text-center">
-                Note: Winners are automatically advanced for BYE matches.
-                Interactive winner selection is not yet implemented.
+                Note: Winners are automatically advanced for BYE matches. Click
+                a player to record the winner (click again to undo), or enter
+                the score in the Schedule view to have it decide the winner.
               </p>
             )}
         </div>
       )}
+      {hasPrintableBracket && (
+        <PrintBracketView
+          title={tournamentInfo?.name || "Tournament"}
+          details={[
+            bracketData.type === "groups"
+              ? `${TOURNAMENT_TYPE_LABELS[bracketData.playoffType]} playoff`
+              : TOURNAMENT_TYPE_LABELS[bracketData.type],
+            bracketData.drawSeed && `Draw seed ${bracketData.drawSeed}`,
+            new Date().toLocaleDateString(),
+          ].filter(Boolean)}
+          sections={treeSections.sections}
+          finals={treeSections.finals}
+          getName={getName}
+        />
+      )}
     </div>
   );
 }
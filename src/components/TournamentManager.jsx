@@ -0,0 +1,268 @@
+import React, { useCallback, useRef, useState } from "react";
+import TournamentBracketApp from "./TournamentBracketApp";
+import {
+  createTournamentRecord,
+  loadTournaments,
+  saveTournaments,
+} from "../utils/storage";
+
+/**
+ * Reads saved tournaments, creating a first one when there are none
+ * @returns {Object} - Manager state
+ */
+const loadInitialStore = () => {
+  const { tournaments, unreadable, activeId, errors } = loadTournaments();
+  const available =
+    tournaments.length > 0
+      ? tournaments
+      : [createTournamentRecord("Tournament 1")];
+  return {
+    tournaments: available,
+    unreadable,
+    activeId: available.some((tournament) => tournament.id === activeId)
+      ? activeId
+      : available[0].id,
+    errors,
+  };
+};
+
+const buttonClass =
+  "px-3 py-2 rounded-lg text-sm font-semibold shadow-md disabled:bg-gray-500 disabled:cursor-not-allowed";
+
+// Saved tournaments: pick, create, rename, duplicate, archive and delete
+// events. The open tournament is saved automatically after every change.
+function TournamentManager() {
+  const [store, setStore] = useState(loadInitialStore);
+  const [showArchived, setShowArchived] = useState(false);
+  // Latest store, including updates React has not rendered yet, so several
+  // updates in a row each build on the one before
+  const latestStore = useRef(store);
+
+  // Saving happens here rather than in a state updater, which React may
+  // call twice or throw away
+  const updateStore = useCallback((update) => {
+    const current = latestStore.current;
+    const next = update(current);
+    if (next === current) return;
+    const saveError = saveTournaments(
+      next.tournaments,
+      next.activeId,
+      next.unreadable
+    );
+    latestStore.current = { ...next, errors: saveError ? [saveError] : [] };
+    setStore(latestStore.current);
+  }, []);
+
+  const { tournaments, activeId, errors } = store;
+  const activeTournament = tournaments.find(
+    (tournament) => tournament.id === activeId
+  );
+  const visibleTournaments = tournaments.filter(
+    (tournament) =>
+      showArchived || !tournament.archived || tournament.id === activeId
+  );
+
+  const updateTournament = useCallback(
+    (id, changes) =>
+      updateStore((current) => ({
+        ...current,
+        tournaments: current.tournaments.map((tournament) =>
+          tournament.id === id
+            ? {
+                ...tournament,
+                ...changes,
+                updatedAt: new Date().toISOString(),
+              }
+            : tournament
+        ),
+      })),
+    [updateStore]
+  );
+
+  const saveActiveState = useCallback(
+    (state) =>
+      updateStore((current) => {
+        const tournament = current.tournaments.find(
+          (record) => record.id === activeId
+        );
+        // Nothing to save when the state is unchanged (e.g. just opened)
+        if (
+          !tournament ||
+          JSON.stringify(tournament.state) === JSON.stringify(state)
+        )
+          return current;
+        return {
+          ...current,
+          tournaments: current.tournaments.map((record) =>
+            record.id === activeId
+              ? { ...record, state, updatedAt: new Date().toISOString() }
+              : record
+          ),
+        };
+      }),
+    [activeId, updateStore]
+  );
+
+  const openTournament = (id) =>
+    updateStore((current) => ({ ...current, activeId: id }));
+
+  const addTournament = (tournament) =>
+    updateStore((current) => ({
+      ...current,
+      tournaments: [...current.tournaments, tournament],
+      activeId: tournament.id,
+    }));
+
+  const createTournament = () =>
+    addTournament(
+      createTournamentRecord(`Tournament ${tournaments.length + 1}`)
+    );
+
+  const duplicateTournament = () =>
+    addTournament(
+      createTournamentRecord(
+        `${activeTournament.name} (copy)`,
+        structuredClone(activeTournament.state)
+      )
+    );
+
+  const toggleArchived = () => {
+    const archived = !activeTournament.archived;
+    updateTournament(activeId, { archived });
+    // Archiving moves on to another open tournament when there is one
+    const nextOpen = tournaments.find(
+      (tournament) => !tournament.archived && tournament.id !== activeId
+    );
+    if (archived && nextOpen && !showArchived) openTournament(nextOpen.id);
+  };
+
+  // Imported tournaments keep their name and timestamps but get a new id
+  const importTournament = ({ name, createdAt, updatedAt, state }) =>
+    addTournament({
+      ...createTournamentRecord(name, state),
+      ...(createdAt && { createdAt }),
+      ...(updatedAt && { updatedAt }),
+    });
+
+  const deleteTournament = () => {
+    if (
+      !window.confirm(
+        `Delete "${activeTournament.name}"? This cannot be undone.`
+      )
+    )
+      return;
+    updateStore((current) => {
+      const remaining = current.tournaments.filter(
+        (tournament) => tournament.id !== current.activeId
+      );
+      if (remaining.length === 0) {
+        remaining.push(createTournamentRecord("Tournament 1"));
+      }
+      const nextActive =
+        remaining.find((tournament) => !tournament.archived) || remaining[0];
+      return { ...current, tournaments: remaining, activeId: nextActive.id };
+    });
+  };
+
+  return (
+    <>
+      <div className="w-full flex justify-center px-4 pt-4 sm:pt-6 md:pt-8 print:hidden">
+        <div className="w-full max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl p-4 bg-neutral-bg rounded-xl shadow-2xl">
+          <div className="flex flex-col sm:flex-row gap-2 sm:items-end">
+            <label className="flex-1 text-sm text-black">
+              Tournament:
+              <select
+                value={activeId}
+                onChange={(e) => openTournament(e.target.value)}
+                className="w-full mt-1 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white outline-none focus:ring-2 focus:ring-teal-500"
+              >
+                {visibleTournaments.map((tournament) => (
+                  <option key={tournament.id} value={tournament.id}>
+                    {tournament.name || "Untitled"}
+                    {tournament.archived ? " (archived)" : ""}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={createTournament}
+              className={`${buttonClass} bg-teal-500 hover:bg-teal-600 text-white`}
+            >
+              New
+            </button>
+          </div>
+
+          {activeTournament && (
+            <>
+              <label className="block mt-3 text-sm text-black">
+                Name:
+                <input
+                  type="text"
+                  value={activeTournament.name}
+                  onChange={(e) =>
+                    updateTournament(activeId, { name: e.target.value })
+                  }
+                  className="w-full mt-1 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white outline-none focus:ring-2 focus:ring-teal-500"
+                />
+              </label>
+              <div className="grid grid-cols-3 gap-2 mt-3">
+                <button
+                  onClick={duplicateTournament}
+                  className={`${buttonClass} bg-blue-500 hover:bg-blue-600 text-white`}
+                >
+                  Duplicate
+                </button>
+                <button
+                  onClick={toggleArchived}
+                  className={`${buttonClass} bg-gray-600 hover:bg-gray-500 text-white`}
+                >
+                  {activeTournament.archived ? "Restore" : "Archive"}
+                </button>
+                <button
+                  onClick={deleteTournament}
+                  className={`${buttonClass} bg-red-500 hover:bg-red-600 text-white`}
+                >
+                  Delete
+                </button>
+              </div>
+              <div className="flex justify-between items-center mt-3 text-xs text-gray-500">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={showArchived}
+                    onChange={(e) => setShowArchived(e.target.checked)}
+                  />
+                  Show archived
+                </label>
+                <span>
+                  Saved {new Date(activeTournament.updatedAt).toLocaleString()}
+                </span>
+              </div>
+            </>
+          )}
+
+          {errors.map((message) => (
+            <p
+              key={message}
+              className="text-red-400 text-sm mt-3 text-center p-2 bg-red-900 bg-opacity-30 rounded-md"
+            >
+              {message}
+            </p>
+          ))}
+        </div>
+      </div>
+
+      {activeTournament && (
+        <TournamentBracketApp
+          key={activeTournament.id}
+          initialState={activeTournament.state}
+          onStateChange={saveActiveState}
+          tournamentInfo={activeTournament}
+          onImport={importTournament}
+        />
+      )}
+    </>
+  );
+}
+
+export default TournamentManager;
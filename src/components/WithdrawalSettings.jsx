@@ -0,0 +1,46 @@
+import React from "react";
+import { WITHDRAWAL_REASONS } from "../utils/bracketResults";
+
+// Marks players as no-shows or disqualified after the draw. Their pending
+// matches become walkovers for the opponent; results already played stand.
+// onChange receives the player and the reason, or null to reinstate them.
+function WithdrawalSettings({ players, withdrawals = {}, getName, onChange }) {
+  const withdrawnCount = players.filter((player) => withdrawals[player]).length;
+
+  return (
+    <details className="mb-6 text-sm text-gray-300">
+      <summary className="cursor-pointer text-teal-200">
+        No-shows &amp; disqualifications
+        {withdrawnCount > 0 && ` (${withdrawnCount})`}
+      </summary>
+      <p className="text-xs text-gray-400 mt-2">
+        Pending matches of a withdrawn player are walkovers for the opponent.
+      </p>
+      <ul className="mt-2 space-y-1 max-h-60 overflow-y-auto custom-scrollbar">
+        {players.map((player) => (
+          <li
+            key={player}
+            className="flex justify-between items-center bg-gray-700 rounded px-2 py-1"
+          >
+            <span className="truncate pr-2">{getName(player)}</span>
+            <select
+              value={withdrawals[player] ?? ""}
+              onChange={(e) => onChange(player, e.target.value || null)}
+              aria-label={`Status of ${getName(player)}`}
+              className="p-1 bg-gray-700 border border-gray-600 rounded text-xs outline-none focus:ring-1 focus:ring-teal-500"
+            >
+              <option value="">Playing</option>
+              {Object.entries(WITHDRAWAL_REASONS).map(([reason, label]) => (
+                <option key={reason} value={reason}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+export default WithdrawalSettings;
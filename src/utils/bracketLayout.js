@@ -0,0 +1,163 @@
+import { SOURCE_TYPES } from "./matchGraph";
+
+// Empty rows kept between stacked bracket sections
+const SECTION_GAP_ROWS = 1;
+
+/**
+ * Title of a round column, e.g. "UB Round 2" or "LB Final"
+ * @param {Object} section - Bracket section: rounds, optional prefix ("" for
+ *   a single bracket) and optional roundTitles overriding the defaults
+ * @param {number} roundIndex - Index of the round
+ * @returns {string} - Column title
+ */
+export const getRoundTitle = (
+  { rounds, prefix = "", roundTitles = [] },
+  roundIndex
+) => {
+  if (roundTitles[roundIndex]) return roundTitles[roundIndex];
+  const isFinal =
+    roundIndex === rounds.length - 1 && rounds[roundIndex].length === 1;
+  return `${prefix}${isFinal ? "Final" : `Round ${roundIndex + 1}`}`;
+};
+
+/**
+ * Vertical centre of the matches feeding a match through their winners
+ * @param {Object} match - Match being placed
+ * @param {Map} nodes - Already placed matches by ID
+ * @returns {number|null} - Average row of the feeders, or null without any
+ */
+const getFeederRow = (match, nodes) => {
+  const feederRows = (match.sources || [])
+    .filter(
+      (source) =>
+        source?.type === SOURCE_TYPES.WINNER && nodes.has(source.matchId)
+    )
+    .map((source) => nodes.get(source.matchId).row);
+  if (feederRows.length === 0) return null;
+  return feederRows.reduce((total, row) => total + row, 0) / feederRows.length;
+};
+
+/**
+ * Places matches on a grid of columns (rounds) and rows for a tree view
+ * Sections (e.g. upper and lower bracket) are stacked top to bottom, each
+ * match sitting midway between the matches that feed it. Finals are placed
+ * in the columns after the widest section, between their feeders, so the
+ * sections join there.
+ * @param {Array<Array>} sections - Rounds of each section
+ * @param {Array} finals - Matches played after every section, in order
+ * @param {number} headerRows - Rows reserved above each section for titles
+ * @returns {Object} - nodes ({ match, column, row } in play order),
+ *   links ({ from, to, slot }), sectionTops, columns and rows
+ */
+export const layoutBracket = (sections, finals = [], headerRows = 0) => {
+  const nodes = new Map();
+  const sectionTops = [];
+  let top = 0;
+  let columns = 0;
+
+  sections.forEach((rounds) => {
+    sectionTops.push(top);
+    const firstRow = top + headerRows;
+    let bottom = firstRow;
+    rounds.forEach((round, column) => {
+      let nextFreeRow = firstRow;
+      round.forEach((match) => {
+        const row = Math.max(
+          nextFreeRow,
+          getFeederRow(match, nodes) ?? firstRow
+        );
+        nodes.set(match.id, { match, column, row });
+        nextFreeRow = row + 1;
+        bottom = Math.max(bottom, nextFreeRow);
+      });
+    });
+    columns = Math.max(columns, rounds.length);
+    top = bottom + SECTION_GAP_ROWS;
+  });
+
+  finals.forEach((match, index) => {
+    nodes.set(match.id, {
+      match,
+      column: columns + index,
+      row: getFeederRow(match, nodes) ?? headerRows,
+    });
+  });
+
+  const links = [];
+  nodes.forEach(({ match }) => {
+    (match.sources || []).forEach((source, slot) => {
+      if (source?.type === SOURCE_TYPES.WINNER && nodes.has(source.matchId)) {
+        links.push({ from: source.matchId, to: match.id, slot });
+      }
+    });
+  });
+
+  return {
+    nodes: [...nodes.values()],
+    links,
+    sectionTops,
+    columns: columns + finals.length,
+    rows: Math.max(0, top - SECTION_GAP_ROWS),
+  };
+};
+
+/**
+ * Splits a tree layout into pages of a fixed number of columns and rows
+ * Links between matches on different pages are returned separately so they
+ * can be drawn as continuation markers.
+ * @param {Object} layout - Result of layoutBracket
+ * @param {number} columnsPerPage - Columns that fit on a page
+ * @param {number} rowsPerPage - Rows that fit on a page
+ * @returns {Array<Object>} - Pages ({ number, firstColumn, firstRow, nodes,
+ *   links, continuations }); continuations hold { from, to, slot,
+ *   fromPage, toPage } for links that leave or enter the page
+ */
+export const paginateLayout = (layout, columnsPerPage, rowsPerPage) => {
+  const getBand = (node) => [
+    Math.floor(node.column / columnsPerPage),
+    Math.floor(node.row / rowsPerPage),
+  ];
+  const pagesByKey = new Map();
+  layout.nodes.forEach((node) => {
+    const [columnBand, rowBand] = getBand(node);
+    const key = `${columnBand}:${rowBand}`;
+    if (!pagesByKey.has(key)) {
+      pagesByKey.set(key, {
+        firstColumn: columnBand * columnsPerPage,
+        firstRow: rowBand * rowsPerPage,
+        nodes: [],
+        links: [],
+        continuations: [],
+      });
+    }
+    pagesByKey.get(key).nodes.push(node);
+  });
+
+  // Left to right, then top to bottom, so a tree reads in page order
+  const pages = [...pagesByKey.values()].sort(
+    (a, b) => a.firstColumn - b.firstColumn || a.firstRow - b.firstRow
+  );
+  const pageOfMatch = new Map();
+  pages.forEach((page, index) => {
+    page.number = index + 1;
+    page.nodes.forEach((node) => pageOfMatch.set(node.match.id, page));
+  });
+
+  layout.links.forEach((link) => {
+    const fromPage = pageOfMatch.get(link.from);
+    const toPage = pageOfMatch.get(link.to);
+    if (fromPage === toPage) {
+      fromPage.links.push(link);
+      return;
+    }
+    const continuation = {
+      ...link,
+      fromPage: fromPage.number,
+      toPage: toPage.number,
+    };
+    fromPage.continuations.push(continuation);
+    toPage.continuations.push(continuation);
+  });
+
+  return pages;
+};
@@ -0,0 +1,107 @@
+import {
+  applyEliminationResult,
+  isPlayableMatch,
+  isRealPlayer,
+  updateBracketMatches,
+} from "./bracketResults";
+import { SOURCE_TYPES, createSource } from "./matchGraph";
+import { listMatches } from "./placings";
+
+// Stands in for the entrant while checking where a late entry fits
+const TRIAL_ENTRANT = "\u0000late-entrant";
+
+/**
+ * Results entered on a bracket (derived BYE advances are not results)
+ * @param {Object} bracket - Bracket state
+ * @returns {Map} - Match ID to winner, or "draw", of each decided match
+ */
+const getRecordedResults = (bracket) =>
+  new Map(
+    listMatches(bracket)
+      .map(({ match }) => match)
+      .filter(
+        (match) =>
+          isPlayableMatch(match) &&
+          !match.pair.includes("WINNER!") &&
+          (isRealPlayer(match.winner) || match.isDraw)
+      )
+      .map((match) => [match.id, match.isDraw ? "draw" : match.winner])
+  );
+
+/**
+ * Checks whether a bracket is under way: once any result is in, throwing
+ * the bracket away needs confirmation
+ * @param {Object} bracket - Bracket state
+ * @returns {boolean} - True when at least one result has been recorded
+ */
+export const isBracketLocked = (bracket) =>
+  getRecordedResults(bracket).size > 0;
+
+/**
+ * Puts a participant into a BYE slot of the first round and re-derives the
+ * bracket, so the opponent no longer advances automatically
+ * @param {Object} bracket - Single or double elimination bracket state
+ * @param {string} matchId - First-round match holding the BYE
+ * @param {number} slot - Slot (0 or 1) of the BYE
+ * @param {string} player - Participant id of the late entrant
+ * @returns {Object} - Updated bracket state
+ */
+export const placeLateEntrant = (bracket, matchId, slot, player) =>
+  applyEliminationResult(
+    {
+      ...bracket,
+      ...updateBracketMatches(bracket, [matchId], (match) => ({
+        pair: match.pair.map((entry, index) =>
+          index === slot ? player : entry
+        ),
+        sources: match.sources.map((source, index) =>
+          index === slot ? createSource(SOURCE_TYPES.PARTICIPANT) : source
+        ),
+        winner: null,
+        loser: null,
+        score: null,
+        walkover: false,
+        games: [],
+        rubbers: [],
+      })),
+    },
+    null,
+    null
+  );
+
+/**
+ * First-round BYE slots a late entrant can still take
+ * A slot is open while filling it changes no recorded result: the player
+ * who got the BYE has not played on yet, and in a double elimination bracket
+ * nobody has played a match the BYE dropped into the lower bracket.
+ * @param {Object} bracket - Bracket state
+ * @returns {Array<Object>} - { matchId, slot, opponent } per open slot;
+ *   empty for league and group formats
+ */
+export const getOpenByeSlots = (bracket) => {
+  if (!["single", "double"].includes(bracket.type)) return [];
+  const [firstRound = []] =
+    bracket.type === "single" ? bracket.rounds : bracket.upperBracketRounds;
+  const recorded = [...getRecordedResults(bracket)];
+
+  return firstRound
+    .flatMap((match) =>
+      [0, 1]
+        .filter(
+          (slot) =>
+            match.pair[slot] === "BYE" &&
+            match.sources?.[slot]?.type === SOURCE_TYPES.BYE
+        )
+        .map((slot) => ({
+          matchId: match.id,
+          slot,
+          opponent: match.pair[1 - slot],
+        }))
+    )
+    .filter(({ matchId, slot }) => {
+      const after = getRecordedResults(
+        placeLateEntrant(bracket, matchId, slot, TRIAL_ENTRANT)
+      );
+      return recorded.every(([id, result]) => after.get(id) === result);
+    });
+};
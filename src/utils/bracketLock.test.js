@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import SingleElimination from "../components/SingleElimination";
+import DoubleElimination from "../components/DoubleElimination";
+import { applyEliminationResult } from "./bracketResults";
+import {
+  getOpenByeSlots,
+  isBracketLocked,
+  placeLateEntrant,
+} from "./bracketLock";
+
+const singleBracket = (players) => {
+  const { rounds, thirdPlaceMatch, champion } = SingleElimination(players, {
+    drawSeed: "test",
+  });
+  return { type: "single", rounds, thirdPlaceMatch, champion, withdrawals: {} };
+};
+
+const doubleBracket = (players) => {
+  const { upperBracketRounds, lowerBracketRounds, grandFinalMatch } =
+    DoubleElimination(players, { drawSeed: "test" });
+  return {
+    type: "double",
+    upperBracketRounds,
+    lowerBracketRounds,
+    grandFinalMatch,
+    champion: null,
+    withdrawals: {},
+  };
+};
+
+describe("isBracketLocked", () => {
+  it("ignores BYE advances and locks once a result is entered", () => {
+    const bracket = singleBracket(["p1", "p2", "p3"]);
+    expect(isBracketLocked(bracket)).toBe(false);
+
+    const [match] = bracket.rounds[0].filter(
+      ({ pair }) => !pair.includes("BYE")
+    );
+    const decided = applyEliminationResult(bracket, match.id, match.pair[0]);
+    expect(isBracketLocked(decided)).toBe(true);
+  });
+});
+
+describe("getOpenByeSlots", () => {
+  it("lists the BYE slot of each first-round match", () => {
+    const bracket = singleBracket(["p1", "p2", "p3"]);
+    const slots = getOpenByeSlots(bracket);
+    expect(slots).toHaveLength(1);
+
+    const [{ matchId, slot, opponent }] = slots;
+    const match = bracket.rounds[0].find(({ id }) => id === matchId);
+    expect(match.pair[slot]).toBe("BYE");
+    expect(match.pair[1 - slot]).toBe(opponent);
+  });
+
+  it("closes a slot once the player with the BYE has played on", () => {
+    const bracket = singleBracket(["p1", "p2", "p3"]);
+    const [{ opponent }] = getOpenByeSlots(bracket);
+    const final = bracket.rounds[1][0];
+    const played = applyEliminationResult(
+      applyEliminationResult(
+        bracket,
+        bracket.rounds[0].find(({ pair }) => !pair.includes("BYE")).id,
+        bracket.rounds[0].find(({ pair }) => !pair.includes("BYE")).pair[0]
+      ),
+      final.id,
+      opponent
+    );
+    expect(getOpenByeSlots(played)).toEqual([]);
+  });
+
+  it("closes a slot whose BYE dropped into a played lower-bracket match", () => {
+    // ubR0M0 is p3 v BYE and ubR0M2 is p4 v BYE; their BYEs drop into
+    // lbR0M0 and lbR0M1
+    const bracket = [
+      ["ubR0M1", "p6"],
+      ["ubR0M3", "p1"],
+      ["ubR1M0", "p3"],
+    ].reduce(
+      (state, [matchId, winner]) =>
+        applyEliminationResult(state, matchId, winner),
+      doubleBracket(["p1", "p2", "p3", "p4", "p5", "p6"])
+    );
+    expect(getOpenByeSlots(bracket)).toEqual([
+      { matchId: "ubR0M2", slot: 1, opponent: "p4" },
+    ]);
+
+    // p5 reached lbR1M1 through the BYE of ubR0M2
+    const played = applyEliminationResult(bracket, "lbR1M1", "p5");
+    expect(getOpenByeSlots(played)).toEqual([]);
+  });
+
+  it("is empty for league formats", () => {
+    expect(getOpenByeSlots({ type: "roundrobin", rounds: [] })).toEqual([]);
+  });
+});
+
+describe("placeLateEntrant", () => {
+  it("fills the BYE slot and stops the automatic advance", () => {
+    const bracket = singleBracket(["p1", "p2", "p3"]);
+    const [{ matchId, slot, opponent }] = getOpenByeSlots(bracket);
+    const placed = placeLateEntrant(bracket, matchId, slot, "p4");
+
+    const match = placed.rounds[0].find(({ id }) => id === matchId);
+    expect(match.pair[slot]).toBe("p4");
+    expect(match.winner).toBeNull();
+    expect(placed.rounds[1][0].pair).not.toContain(opponent);
+    expect(getOpenByeSlots(placed)).toEqual([]);
+  });
+});
@@ -0,0 +1,445 @@
+import { SOURCE_TYPES, createSource } from "./matchGraph";
+
+const BYE = "BYE";
+
+// Why a participant left a bracket after the draw
+export const WITHDRAWAL_REASONS = {
+  noShow: "No-show",
+  disqualified: "Disqualified",
+};
+
+/**
+ * Participants who have left a bracket after the draw
+ * @param {Object} bracket - Bracket state
+ * @returns {Array<string>} - Participant ids
+ */
+export const getWithdrawnPlayers = (bracket) =>
+  Object.keys(bracket.withdrawals || {});
+
+/**
+ * Copies rounds of matches so results can be applied without mutating state
+ * @param {Array} rounds - Array of rounds (arrays of matches)
+ * @returns {Array} - Deep enough copy of the rounds
+ */
+export const cloneRounds = (rounds) =>
+  (rounds || []).map((round) =>
+    round.map((match) => ({ ...match, pair: [...match.pair] }))
+  );
+
+/**
+ * Checks whether a slot holds an actual participant
+ * @param {*} player - Slot value
+ * @returns {boolean} - True for real participants
+ */
+export const isRealPlayer = (player) =>
+  player !== null && player !== undefined && player !== BYE;
+
+/**
+ * Checks whether a match is waiting for a result that has to be entered
+ * @param {Object} match - Match object
+ * @returns {boolean} - True when both slots hold real participants
+ */
+export const isPlayableMatch = (match) =>
+  Boolean(match) && isRealPlayer(match.pair[0]) && isRealPlayer(match.pair[1]);
+
+/**
+ * Clears the recorded result of a match: winner, score, walkover and any
+ * series games or team rubbers
+ * @param {Object} match - (Cloned) match, mutated in place
+ */
+export const clearResult = (match) => {
+  match.winner = null;
+  match.score = null;
+  match.walkover = false;
+  match.games = [];
+  match.rubbers = [];
+};
+
+/**
+ * Works out winner and loser of a match from its current slots
+ * BYEs advance the opponent automatically; a recorded winner is kept only
+ * while it is still one of the two participants. Without a recorded result,
+ * a withdrawn participant gives the opponent a walkover (when both have
+ * withdrawn, the first slot advances and is walked over in turn).
+ * @param {Object} match - Match object
+ * @param {Set<string>} withdrawn - Withdrawn participants
+ * @returns {Object} - Object with winner, loser and walkover
+ */
+const resolveOutcome = (match, withdrawn = new Set()) => {
+  const [p1, p2] = match.pair;
+  const undecided = { winner: null, loser: null, walkover: false };
+  if (p1 === BYE && p2 === BYE) {
+    return { winner: BYE, loser: BYE, walkover: false };
+  }
+  if (p1 === BYE || p2 === BYE) {
+    const opponent = p1 === BYE ? p2 : p1;
+    return opponent === null || opponent === undefined
+      ? undecided
+      : { winner: opponent, loser: BYE, walkover: false };
+  }
+  if (p1 === null || p2 === null) return undecided;
+  if (!match.walkover && match.winner === p1) {
+    return { winner: p1, loser: p2, walkover: false };
+  }
+  if (!match.walkover && match.winner === p2) {
+    return { winner: p2, loser: p1, walkover: false };
+  }
+  if (withdrawn.has(p1) || withdrawn.has(p2)) {
+    return withdrawn.has(p1) && !withdrawn.has(p2)
+      ? { winner: p2, loser: p1, walkover: true }
+      : { winner: p1, loser: p2, walkover: true };
+  }
+  return undecided;
+};
+
+/**
+ * Re-derives every linked slot from the recorded results
+ * Matches must be given in play order (feeders before the matches they feed).
+ * A match whose participants changed loses its recorded result, score and
+ * series games, so undoing or changing a result clears everything downstream
+ * that depended on it.
+ * @param {Array} matches - Flat list of (cloned) matches, mutated in place
+ * @param {Array<string>} withdrawn - Participants whose remaining matches
+ *   are walkovers
+ */
+export const propagateResults = (matches, withdrawn = []) => {
+  const withdrawnPlayers = new Set(withdrawn);
+  const matchesById = new Map(matches.map((match) => [match.id, match]));
+  const previousPairs = new Map(
+    matches.map((match) => [match.id, [...match.pair]])
+  );
+  const getLinks = (match) => [
+    [match.nextMatchId, match.nextSlot, "winner"],
+    [match.loserNextMatchId, match.loserNextSlot, "loser"],
+  ];
+
+  // Linked slots are rebuilt from scratch below
+  matches.forEach((match) => {
+    getLinks(match).forEach(([targetId, slot]) => {
+      const target = matchesById.get(targetId);
+      if (target) target.pair[slot] = null;
+    });
+  });
+
+  matches.forEach((match) => {
+    const previousPair = previousPairs.get(match.id);
+    const pairChanged = match.pair.some(
+      (player, slot) => player !== previousPair[slot]
+    );
+    if (pairChanged) clearResult(match);
+
+    const outcome = resolveOutcome(match, withdrawnPlayers);
+    match.winner = outcome.winner;
+    match.loser = outcome.loser;
+    match.walkover = outcome.walkover;
+
+    getLinks(match).forEach(([targetId, slot, outcomeKey]) => {
+      const target = matchesById.get(targetId);
+      if (target) target.pair[slot] = outcome[outcomeKey];
+    });
+  });
+};
+
+/**
+ * Stores a result on a match without touching linked matches
+ * Results can only be recorded once both participants are known.
+ * @param {Array} matches - Flat list of (cloned) matches
+ * @param {string} matchId - ID of the match being decided
+ * @param {string|null} winner - Winning participant, or null to undo
+ * @param {string|null} score - Score the winner was derived from, if any
+ */
+const recordWinner = (matches, matchId, winner, score) => {
+  const target = matches.find((match) => match.id === matchId);
+  if (!target) return;
+  if (winner === null || isPlayableMatch(target)) {
+    target.winner = target.pair.includes(winner) ? winner : null;
+    target.score = target.winner ? score : null;
+    target.walkover = false;
+    target.games = [];
+  }
+};
+
+/**
+ * Records (or clears, with a null winner) the result of a match and advances
+ * participants through the linked matches
+ * @param {Array} roundGroups - Array of round arrays (e.g. [rounds])
+ * @param {string} matchId - ID of the match being decided
+ * @param {string|null} winner - Winning participant, or null to undo
+ * @param {string|null} score - Score of the match (see utils/scoring)
+ * @param {Array<string>} withdrawn - Withdrawn participants
+ * @returns {Array} - Updated copy of roundGroups
+ */
+export const applyMatchResult = (
+  roundGroups,
+  matchId,
+  winner,
+  score = null,
+  withdrawn = []
+) => {
+  const updatedGroups = roundGroups.map(cloneRounds);
+  const matches = updatedGroups.flat(2);
+  recordWinner(matches, matchId, winner, score);
+  propagateResults(matches, withdrawn);
+  return updatedGroups;
+};
+
+/**
+ * Re-derives a double elimination bracket from its recorded results
+ * If the LB champion wins the first grand final both players have one loss,
+ * so a bracket reset match (gfM1) is added and decides the title.
+ * @param {Object} bracket - upperBracketRounds, lowerBracketRounds,
+ *   grandFinalMatch (array holding gfM0 and, after a reset, gfM1) and
+ *   withdrawals
+ * @returns {Object} - Updated copy of the bracket plus champion
+ */
+export const resolveDoubleElimination = (bracket) => {
+  const { upperBracketRounds, lowerBracketRounds, grandFinalMatch } = bracket;
+  const withdrawn = getWithdrawnPlayers(bracket);
+  const [upper, lower, [finals]] = [
+    upperBracketRounds,
+    lowerBracketRounds,
+    [grandFinalMatch || []],
+  ].map(cloneRounds);
+  const [firstFinal, previousReset] = finals;
+  propagateResults([...upper.flat(), ...lower.flat(), firstFinal], withdrawn);
+
+  let resetMatch = null;
+  if (
+    isRealPlayer(firstFinal.winner) &&
+    firstFinal.winner === firstFinal.pair[1]
+  ) {
+    const samePlayers =
+      previousReset &&
+      previousReset.pair.every(
+        (player, slot) => player === firstFinal.pair[slot]
+      );
+    resetMatch = {
+      ...firstFinal,
+      id: "gfM1",
+      round: 1,
+      pair: [...firstFinal.pair],
+      sources: [
+        createSource(SOURCE_TYPES.LOSER, firstFinal.id),
+        createSource(SOURCE_TYPES.WINNER, firstFinal.id),
+      ],
+      winner: samePlayers ? previousReset.winner : null,
+      score: samePlayers ? previousReset.score : null,
+      walkover: samePlayers ? previousReset.walkover : false,
+      games: samePlayers ? previousReset.games : [],
+      rubbers: samePlayers ? previousReset.rubbers : [],
+      scheduledTime: samePlayers ? previousReset.scheduledTime : null,
+      court: samePlayers ? previousReset.court : null,
+      nextMatchId: null,
+      nextSlot: null,
+      loserNextMatchId: null,
+      loserNextSlot: null,
+    };
+    Object.assign(resetMatch, resolveOutcome(resetMatch, new Set(withdrawn)));
+  }
+  // Both players of the first grand final go on to the reset, so the match
+  // graph stays valid when the bracket is exported and imported again
+  Object.assign(firstFinal, {
+    nextMatchId: resetMatch ? resetMatch.id : null,
+    nextSlot: resetMatch ? 1 : null,
+    loserNextMatchId: resetMatch ? resetMatch.id : null,
+    loserNextSlot: resetMatch ? 0 : null,
+  });
+
+  const deciderWinner = resetMatch ? resetMatch.winner : firstFinal.winner;
+  return {
+    upperBracketRounds: upper,
+    lowerBracketRounds: lower,
+    grandFinalMatch: resetMatch ? [firstFinal, resetMatch] : [firstFinal],
+    champion: isRealPlayer(deciderWinner) ? deciderWinner : null,
+  };
+};
+
+/**
+ * Records (or clears) a double elimination result, dropping losers into the
+ * lower bracket and handling the grand final reset
+ * @param {Object} bracket - Current double elimination bracket data
+ * @param {string} matchId - ID of the match being decided
+ * @param {string|null} winner - Winning participant, or null to undo
+ * @param {string|null} score - Score of the match (see utils/scoring)
+ * @returns {Object} - Updated bracket rounds and champion
+ */
+export const applyDoubleEliminationResult = (
+  bracket,
+  matchId,
+  winner,
+  score = null
+) => {
+  const [upper, lower, [finals]] = [
+    bracket.upperBracketRounds,
+    bracket.lowerBracketRounds,
+    [bracket.grandFinalMatch || []],
+  ].map(cloneRounds);
+  recordWinner(
+    [...upper.flat(), ...lower.flat(), ...finals],
+    matchId,
+    winner,
+    score
+  );
+  return resolveDoubleElimination({
+    upperBracketRounds: upper,
+    lowerBracketRounds: lower,
+    grandFinalMatch: finals,
+    withdrawals: bracket.withdrawals,
+  });
+};
+
+/**
+ * Records (or clears) a league result, where a game can also be drawn
+ * League games do not feed other matches, so nothing is propagated.
+ * @param {Array} rounds - League rounds
+ * @param {string} matchId - ID of the match being decided
+ * @param {string|null} winner - Winning participant, or null
+ * @param {boolean} isDraw - True to record a draw
+ * @param {string|null} score - Score of the match (see utils/scoring)
+ * @returns {Array} - Updated copy of the rounds
+ */
+export const applyLeagueResult = (
+  rounds,
+  matchId,
+  winner,
+  isDraw = false,
+  score = null
+) => {
+  const updatedRounds = cloneRounds(rounds);
+  const target = updatedRounds.flat().find((match) => match.id === matchId);
+  if (!isPlayableMatch(target)) return updatedRounds;
+
+  target.isDraw = isDraw;
+  target.walkover = false;
+  target.winner = !isDraw && target.pair.includes(winner) ? winner : null;
+  target.loser = target.winner
+    ? target.pair.find((player) => player !== target.winner)
+    : null;
+  target.score = target.winner || isDraw ? score : null;
+  return updatedRounds;
+};
+
+/**
+ * Turns the pending league games of withdrawn participants into walkovers
+ * Results entered stand; a walkover whose participant has been reinstated
+ * becomes a pending game again.
+ * @param {Array} rounds - League rounds
+ * @param {Array<string>} withdrawn - Withdrawn participants
+ * @returns {Array} - Updated copy of the rounds
+ */
+export const resolveLeagueWalkovers = (rounds, withdrawn = []) => {
+  const withdrawnPlayers = new Set(withdrawn);
+  const updatedRounds = cloneRounds(rounds);
+  updatedRounds
+    .flat()
+    .filter((match) => isPlayableMatch(match) && !match.isDraw)
+    .forEach((match) =>
+      Object.assign(match, resolveOutcome(match, withdrawnPlayers))
+    );
+  return updatedRounds;
+};
+
+/**
+ * Changes fields of some matches without touching results, e.g. series
+ * length, games of a series still in progress or court and time
+ * @param {Object} bracket - Bracket state: rounds and thirdPlaceMatch,
+ *   upper/lower bracket rounds and grandFinalMatch, and any groups
+ * @param {Array<string>} matchIds - IDs of the matches to change
+ * @param {Object|Function} changes - Fields to set on each of them, or a
+ *   function of the match returning them
+ * @returns {Object} - Updated copies of the bracket's round fields and
+ *   groups
+ */
+export const updateBracketMatches = (bracket, matchIds, changes) => {
+  const ids = new Set(matchIds);
+  const updateMatches = (matches) =>
+    matches.map((match) =>
+      ids.has(match.id)
+        ? {
+            ...match,
+            ...(typeof changes === "function" ? changes(match) : changes),
+          }
+        : match
+    );
+  const updateRounds = (rounds) => (rounds || []).map(updateMatches);
+  return {
+    groups: (bracket.groups || []).map((group) => ({
+      ...group,
+      rounds: updateRounds(group.rounds),
+    })),
+    rounds: updateRounds(bracket.rounds),
+    thirdPlaceMatch: bracket.thirdPlaceMatch
+      ? updateMatches([bracket.thirdPlaceMatch])[0]
+      : null,
+    upperBracketRounds: updateRounds(bracket.upperBracketRounds),
+    lowerBracketRounds: updateRounds(bracket.lowerBracketRounds),
+    grandFinalMatch: bracket.grandFinalMatch
+      ? updateMatches(bracket.grandFinalMatch)
+      : bracket.grandFinalMatch,
+  };
+};
+
+/**
+ * Gets the winner of the last match of a bracket
+ * @param {Array} rounds - Array of rounds
+ * @returns {string|null} - Final winner or null while undecided
+ */
+export const getFinalWinner = (rounds) => {
+  const lastRound = rounds && rounds[rounds.length - 1];
+  if (!Array.isArray(lastRound) || lastRound.length !== 1) return null;
+  return isRealPlayer(lastRound[0].winner) ? lastRound[0].winner : null;
+};
+
+/**
+ * Elimination format whose match graph the bracket uses
+ * @param {Object} bracket - Bracket state
+ * @returns {string} - "single" or "double" for knockout brackets (a group
+ *   stage reports its playoff format)
+ */
+export const getEliminationType = (bracket) =>
+  bracket.type === "groups" ? bracket.playoffType : bracket.type;
+
+/**
+ * Third-place match of a single elimination bracket as a round group, for
+ * applying results together with the main rounds
+ * @param {Object} bracket - Bracket state
+ * @returns {Array} - [[thirdPlaceMatch]], or [] without one
+ */
+export const getThirdPlaceRounds = (bracket) =>
+  bracket.thirdPlaceMatch ? [[bracket.thirdPlaceMatch]] : [];
+
+/**
+ * Records (or clears) a result in an elimination bracket or group playoff
+ * and re-derives everything depending on it, walkovers included
+ * @param {Object} bracket - Bracket state
+ * @param {string|null} matchId - Match being decided; null only re-derives
+ * @param {string|null} winner - Winning participant, or null to undo
+ * @param {string|null} score - Score of the match (see utils/scoring)
+ * @returns {Object} - Updated bracket state
+ */
+export const applyEliminationResult = (
+  bracket,
+  matchId,
+  winner,
+  score = null
+) => {
+  if (getEliminationType(bracket) === "double") {
+    return {
+      ...bracket,
+      ...applyDoubleEliminationResult(bracket, matchId, winner, score),
+    };
+  }
+  const [rounds, [[thirdPlaceMatch = null] = []]] = applyMatchResult(
+    [bracket.rounds, getThirdPlaceRounds(bracket)],
+    matchId,
+    winner,
+    score,
+    getWithdrawnPlayers(bracket)
+  );
+  return {
+    ...bracket,
+    rounds,
+    thirdPlaceMatch,
+    champion: getFinalWinner(rounds),
+  };
+};
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import RoundRobin from "../components/RoundRobin";
+import { applyLeagueResult, resolveLeagueWalkovers } from "./bracketResults";
+
+const league = () => RoundRobin(["p1", "p2", "p3", "p4"], { drawSeed: "test" });
+
+const findMatch = (rounds, first, second) =>
+  rounds
+    .flat()
+    .find(
+      ({ pair }) => pair.includes(first) && (!second || pair.includes(second))
+    );
+
+describe("resolveLeagueWalkovers", () => {
+  it("walks over every pending game of a withdrawn participant", () => {
+    const rounds = resolveLeagueWalkovers(league().rounds, ["p1"]);
+    const games = rounds.flat().filter(({ pair }) => pair.includes("p1"));
+    expect(games).toHaveLength(3);
+    games.forEach((match) => {
+      expect(match.walkover).toBe(true);
+      expect(match.loser).toBe("p1");
+      expect(match.winner).not.toBe("p1");
+    });
+    expect(findMatch(rounds, "p2", "p3").winner).toBeNull();
+  });
+
+  it("keeps results entered before the withdrawal", () => {
+    const { rounds } = league();
+    const won = findMatch(rounds, "p1", "p2");
+    const drawn = findMatch(rounds, "p1", "p3");
+    const played = applyLeagueResult(
+      applyLeagueResult(rounds, won.id, "p1"),
+      drawn.id,
+      null,
+      true
+    );
+
+    const updated = resolveLeagueWalkovers(played, ["p1"]);
+    expect(findMatch(updated, "p1", "p2")).toMatchObject({
+      winner: "p1",
+      walkover: false,
+    });
+    expect(findMatch(updated, "p1", "p3")).toMatchObject({
+      isDraw: true,
+      winner: null,
+    });
+    expect(findMatch(updated, "p1", "p4").walkover).toBe(true);
+  });
+
+  it("gives the first slot the game when both participants withdrew", () => {
+    const updated = resolveLeagueWalkovers(league().rounds, ["p1", "p2"]);
+    const match = findMatch(updated, "p1", "p2");
+    expect(match.walkover).toBe(true);
+    expect(match.winner).toBe(match.pair[0]);
+  });
+
+  it("reopens walkovers once the participant is reinstated", () => {
+    const withdrawn = resolveLeagueWalkovers(league().rounds, ["p1"]);
+    const reinstated = resolveLeagueWalkovers(withdrawn, []);
+    reinstated
+      .flat()
+      .filter(({ pair }) => pair.includes("p1"))
+      .forEach((match) => {
+        expect(match.walkover).toBe(false);
+        expect(match.winner).toBeNull();
+      });
+  });
+
+  it("lets an entered result replace a walkover", () => {
+    const withdrawn = resolveLeagueWalkovers(league().rounds, ["p1"]);
+    const match = findMatch(withdrawn, "p1", "p2");
+    const updated = resolveLeagueWalkovers(
+      applyLeagueResult(withdrawn, match.id, "p1"),
+      ["p1"]
+    );
+    expect(findMatch(updated, "p1", "p2")).toMatchObject({
+      winner: "p1",
+      walkover: false,
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { isPlayableMatch, isRealPlayer } from "./bracketResults";
+import { listMatches } from "./placings";
+import { isSchedulable, parseTime } from "./scheduling";
+
+// Sections of the venue call board, in display order
+export const CALL_BOARD_SECTIONS = {
+  inProgress: "Now playing",
+  upNext: "Up next",
+  recent: "Recent results",
+};
+
+/**
+ * Checks whether a match has a result (a winner or a draw)
+ * @param {Object} match - Match object
+ * @returns {boolean} - True once decided
+ */
+const isDecided = (match) => isRealPlayer(match.winner) || match.isDraw;
+
+/**
+ * Checks whether a match is under way: a game or rubber has been entered, or
+ * its scheduled start has passed
+ * @param {Object} match - Undecided match with both players known
+ * @param {number} now - Minutes after midnight
+ * @returns {boolean} - True while being played
+ */
+const hasStarted = (match, now) =>
+  match.games?.length > 0 ||
+  (match.rubbers || []).some((rubber) => [0, 1].includes(rubber?.winnerSlot)) ||
+  (Boolean(match.court && match.scheduledTime) &&
+    parseTime(match.scheduledTime) <= now);
+
+/**
+ * Matches to show on the call board
+ * Matches waiting to be called have both players known (so every feeder is
+ * decided) and neither player is on court; they are listed by scheduled
+ * time, then in play order. Recent results come latest first: by scheduled
+ * time when set, otherwise in reverse play order.
+ * @param {Object} bracketData - Bracket state
+ * @param {number} now - Minutes after midnight
+ * @param {number} recentCount - Most recent results to keep
+ * @returns {Object} - { inProgress, upNext, recent }, each a list of
+ *   { match, bracket } entries
+ */
+export const getCallBoard = (bracketData, now, recentCount = 10) => {
+  const entries = listMatches(bracketData)
+    .map((entry, order) => ({ ...entry, order }))
+    .filter(({ match }) => isSchedulable(match) && isPlayableMatch(match));
+  const byTime = (a, b) =>
+    parseTime(a.match.scheduledTime || "99:99") -
+      parseTime(b.match.scheduledTime || "99:99") || a.order - b.order;
+
+  const waiting = entries.filter(({ match }) => !isDecided(match));
+  const inProgress = waiting
+    .filter(({ match }) => hasStarted(match, now))
+    .sort(byTime);
+  const busy = new Set(inProgress.flatMap(({ match }) => match.pair));
+  const upNext = waiting
+    .filter(
+      ({ match }) =>
+        !hasStarted(match, now) &&
+        !match.pair.some((player) => busy.has(player))
+    )
+    .sort(byTime);
+  const recent = entries
+    .filter(({ match }) => isDecided(match))
+    .sort((a, b) => byTime(b, a))
+    .slice(0, recentCount);
+
+  const strip = (list) =>
+    list.map(({ match, bracket }) => ({ match, bracket }));
+  return {
+    inProgress: strip(inProgress),
+    upNext: strip(upNext),
+    recent: strip(recent),
+  };
+};
+
+/**
+ * Splits the call board into pages for rotating through on screen
+ * @param {Object} board - Call board (see getCallBoard)
+ * @param {number} rowsPerPage - Matches shown at once
+ * @returns {Array<Object>} - { section, entries, part, parts } per page;
+ *   sections without matches are left out
+ */
+export const paginateCallBoard = (board, rowsPerPage) =>
+  Object.keys(CALL_BOARD_SECTIONS).flatMap((section) => {
+    const parts = Math.ceil(board[section].length / rowsPerPage);
+    return Array.from({ length: parts }, (_, part) => ({
+      section,
+      entries: board[section].slice(
+        part * rowsPerPage,
+        (part + 1) * rowsPerPage
+      ),
+      part: part + 1,
+      parts,
+    }));
+  });
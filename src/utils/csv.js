@@ -0,0 +1,176 @@
+import { isRealPlayer } from "./bracketResults";
+import { getSlotLabel } from "./matchGraph";
+import { computePlacings, listMatches } from "./placings";
+
+// Excel only detects UTF-8 in a CSV file with a byte order mark
+const UTF8_BOM = "\uFEFF";
+
+// Spreadsheets run text starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a CSV field when needed (RFC 4180)
+ * Fields with commas, quotes, line breaks or outer spaces are wrapped in
+ * double quotes, with inner quotes doubled. Text that a spreadsheet would
+ * run as a formula, such as a name starting with "=", gets a leading
+ * apostrophe so it is shown as text (CSV injection).
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string} - Field text
+ */
+export const formatCsvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text from a header and rows
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Row values in column order
+ * @returns {string} - CSV text with CRLF line endings and a UTF-8 BOM
+ */
+export const toCsv = (header, rows) =>
+  UTF8_BOM +
+  [header, ...rows]
+    .map((row) => row.map(formatCsvField).join(","))
+    .join("\r\n") +
+  "\r\n";
+
+/**
+ * Picks the delimiter of pasted or uploaded table text from its first line:
+ * a tab for TSV, a semicolon for spreadsheets using decimal commas, otherwise
+ * a comma
+ * @param {string} firstLine - First line of the text
+ * @returns {string} - Delimiter character
+ */
+const detectDelimiter = (firstLine) => {
+  if (firstLine.includes("\t")) return "\t";
+  if (firstLine.includes(";") && !firstLine.includes(",")) return ";";
+  return ",";
+};
+
+/**
+ * Reads CSV or TSV text into rows of fields (RFC 4180 quoting)
+ * Fields are trimmed and blank lines skipped; each row keeps the line it
+ * started on so problems can be reported against the file.
+ * @param {string} text - File contents
+ * @returns {Object} - { rows, error }; rows hold { line, fields }, error
+ *   reports a quote left open
+ */
+export const parseDelimitedText = (text) => {
+  const source = String(text).replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const rows = [];
+  let fields = [];
+  let field = "";
+  let line = 1;
+  let rowLine = 1;
+  let inQuotes = false;
+
+  const endRow = () => {
+    fields.push(field.trim());
+    if (fields.some((value) => value !== "")) {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = "";
+    rowLine = line;
+  };
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === "") {
+      field = "";
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = "";
+    } else if (char === "\n") {
+      line++;
+      endRow();
+    } else if (char !== "\r") {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    return {
+      rows: [],
+      error: `Line ${rowLine} has a quote that is never closed.`,
+    };
+  }
+  endRow();
+  return { rows, error: null };
+};
+
+/**
+ * One row per match: id, bracket, round, series length, both slots, result,
+ * score (W/O for a walkover), time and court. Fields a match does not have stay
+ * empty.
+ * @param {Object} bracketData - Bracket state
+ * @param {Function} getName - Display name of a participant id
+ * @returns {string} - CSV text
+ */
+export const buildMatchesCsv = (bracketData, getName = (player) => player) =>
+  toCsv(
+    [
+      "Match ID",
+      "Bracket",
+      "Round",
+      "Best Of",
+      "Slot A",
+      "Slot B",
+      "Winner",
+      "Loser",
+      "Score",
+      "Scheduled Time",
+      "Court",
+    ],
+    listMatches(bracketData).map(({ match, bracket }) => [
+      match.id,
+      bracket,
+      Number.isInteger(match.round) ? match.round + 1 : "",
+      match.bestOf ?? "",
+      getSlotLabel(match, 0, getName),
+      getSlotLabel(match, 1, getName),
+      match.isDraw
+        ? "Draw"
+        : isRealPlayer(match.winner)
+          ? getName(match.winner)
+          : "",
+      isRealPlayer(match.loser) ? getName(match.loser) : "",
+      match.score ?? (match.walkover ? "W/O" : ""),
+      match.scheduledTime ?? "",
+      match.court ?? "",
+    ])
+  );
+
+/**
+ * Final placings: rank, place, participant and win/draw/loss record
+ * @param {Object} bracketData - Bracket state
+ * @param {Function} getName - Display name of a participant id
+ * @returns {string} - CSV text
+ */
+export const buildPlacingsCsv = (bracketData, getName = (player) => player) =>
+  toCsv(
+    ["Rank", "Place", "Participant", "Wins", "Draws", "Losses"],
+    computePlacings(bracketData, getName).map((row) => [
+      row.rank ?? "",
+      row.place,
+      getName(row.player),
+      row.wins,
+      row.draws,
+      row.losses,
+    ])
+  );
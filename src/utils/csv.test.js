@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import SingleElimination from "../components/SingleElimination";
+import { applyEliminationResult } from "./bracketResults";
+import {
+  buildMatchesCsv,
+  buildPlacingsCsv,
+  formatCsvField,
+  parseDelimitedText,
+} from "./csv";
+
+const names = {
+  p1: "Smith, Ann",
+  p2: '=HYPERLINK("http://example.com")',
+  p3: 'Bo "The Wall"\nJones',
+};
+const getName = (player) => names[player];
+
+// p1 beats p3 in the semi-final and p2 in the final; p2 had a bye
+const decidedBracket = () => {
+  const { rounds } = SingleElimination(["p1", "p2", "p3"], {
+    drawSeed: "club-night",
+    seeds: { p2: 1 },
+  });
+  const bracket = {
+    type: "single",
+    rounds,
+    thirdPlaceMatch: null,
+    champion: null,
+    withdrawals: {},
+  };
+  const semiFinal = rounds[0].find(({ pair }) => !pair.includes("BYE"));
+  return applyEliminationResult(
+    applyEliminationResult(bracket, semiFinal.id, "p1", "21-15"),
+    rounds[1][0].id,
+    "p1",
+    "21-19"
+  );
+};
+
+/**
+ * Splits CSV text back into rows of fields
+ * @param {string} csv - CSV text as exported
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+const readCsv = (csv) =>
+  parseDelimitedText(csv).rows.map(({ fields }) => fields);
+
+describe("formatCsvField", () => {
+  it("leaves plain text and numbers alone", () => {
+    expect(formatCsvField("Ann")).toBe("Ann");
+    expect(formatCsvField(3)).toBe("3");
+    expect(formatCsvField(-3)).toBe("-3");
+    expect(formatCsvField(null)).toBe("");
+    expect(formatCsvField(undefined)).toBe("");
+  });
+
+  it("quotes commas, quotes, line breaks and outer spaces", () => {
+    expect(formatCsvField("Smith, Ann")).toBe('"Smith, Ann"');
+    expect(formatCsvField('Bo "The Wall"')).toBe('"Bo ""The Wall"""');
+    expect(formatCsvField("Line\nbreak")).toBe('"Line\nbreak"');
+    expect(formatCsvField("Line\r\nbreak")).toBe('"Line\r\nbreak"');
+    expect(formatCsvField(" Ann")).toBe('" Ann"');
+  });
+
+  it("keeps spreadsheets from running text as a formula", () => {
+    expect(formatCsvField("=1+1")).toBe('"\'=1+1"');
+    expect(formatCsvField("+44 20")).toBe('"\'+44 20"');
+    expect(formatCsvField("-Ann")).toBe('"\'-Ann"');
+    expect(formatCsvField("@SUM(A1)")).toBe('"\'@SUM(A1)"');
+    expect(formatCsvField("\tAnn")).toBe('"\'\tAnn"');
+    expect(formatCsvField("\rAnn")).toBe('"\'\rAnn"');
+    expect(formatCsvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+  });
+});
+
+describe("buildMatchesCsv", () => {
+  it("writes one row per match with a BOM and CRLF line endings", () => {
+    const csv = buildMatchesCsv(decidedBracket(), getName);
+    expect(csv.startsWith("\uFEFFMatch ID,Bracket,Round,")).toBe(true);
+    expect(csv.endsWith("\r\n")).toBe(true);
+
+    const [header, ...rows] = readCsv(csv);
+    expect(header).toHaveLength(11);
+    expect(rows).toHaveLength(3);
+    const final = rows.at(-1);
+    expect(final.slice(4, 9)).toEqual([
+      '\'=HYPERLINK("http://example.com")',
+      "Smith, Ann",
+      "Smith, Ann",
+      '\'=HYPERLINK("http://example.com")',
+      "21-19",
+    ]);
+    expect(rows.some((row) => row.includes('Bo "The Wall"\nJones'))).toBe(true);
+  });
+});
+
+describe("buildPlacingsCsv", () => {
+  it("lists rank, place, name and record, best first", () => {
+    expect(readCsv(buildPlacingsCsv(decidedBracket(), getName))).toEqual([
+      ["Rank", "Place", "Participant", "Wins", "Draws", "Losses"],
+      ["1", "1st", "Smith, Ann", "2", "0", "0"],
+      ["2", "2nd", '\'=HYPERLINK("http://example.com")', "0", "0", "1"],
+      ["3", "3rd", 'Bo "The Wall"\nJones', "0", "0", "1"],
+    ]);
+  });
+});
@@ -0,0 +1,161 @@
+import {
+  clearResult,
+  cloneRounds,
+  getFinalWinner,
+  getWithdrawnPlayers,
+  propagateResults,
+  resolveDoubleElimination,
+} from "./bracketResults";
+import { SOURCE_TYPES } from "./matchGraph";
+import { getNextPowerOfTwo, getSeedOrder } from "./seeding";
+import { computeStandings, isLeagueComplete } from "./standings";
+
+// Groups are named A, B, C, ...
+export const MAX_GROUPS = 26;
+
+/**
+ * Name of a group by its index
+ * @param {number} index - Group index (0-based)
+ * @returns {string} - Group letter
+ */
+export const getGroupName = (index) => String.fromCharCode(65 + index);
+
+/**
+ * Earliest round in which two bracket slots can meet
+ * @param {number} slotA - First-round slot index
+ * @param {number} slotB - First-round slot index
+ * @returns {number} - Round number (1 = first round)
+ */
+const getMeetingRound = (slotA, slotB) =>
+  Math.floor(Math.log2(slotA ^ slotB)) + 1;
+
+/**
+ * Orders group qualifiers into playoff seeds
+ * Group winners take the top seeds, then the runners-up and so on, so the
+ * winners avoid each other early (A1 v B2). Within each finishing position
+ * the group order is rotated to keep players from the same group apart for
+ * as long as the bracket allows.
+ * @param {Array<string>} groupNames - Group names in order
+ * @param {number} qualifiersPerGroup - Qualifiers from each group
+ * @returns {Array<Object>} - { group, position } for seed 1, 2, ...
+ */
+export const getQualifierSeeds = (groupNames, qualifiersPerGroup) => {
+  const seedOrder = getSeedOrder(
+    getNextPowerOfTwo(groupNames.length * qualifiersPerGroup)
+  );
+  const slotBySeed = new Map(seedOrder.map((seed, slot) => [seed, slot]));
+
+  // Earliest possible meeting of two group mates, then the total over all
+  const scoreSeeds = (qualifiers) => {
+    let earliest = Infinity;
+    let total = 0;
+    qualifiers.forEach((qualifier, index) => {
+      qualifiers.slice(index + 1).forEach((other, offset) => {
+        if (qualifier.group !== other.group) return;
+        const round = getMeetingRound(
+          slotBySeed.get(index + 1),
+          slotBySeed.get(index + offset + 2)
+        );
+        earliest = Math.min(earliest, round);
+        total += round;
+      });
+    });
+    return [earliest, total];
+  };
+
+  let seeds = [];
+  for (let position = 1; position <= qualifiersPerGroup; position++) {
+    let bestSeeds = null;
+    let bestScore = null;
+    groupNames.forEach((_, rotation) => {
+      const candidate = [
+        ...seeds,
+        ...groupNames.map((_, index) => ({
+          group: groupNames[(index + rotation) % groupNames.length],
+          position,
+        })),
+      ];
+      const score = scoreSeeds(candidate);
+      if (
+        !bestScore ||
+        score[0] > bestScore[0] ||
+        (score[0] === bestScore[0] && score[1] > bestScore[1])
+      ) {
+        bestSeeds = candidate;
+        bestScore = score;
+      }
+    });
+    seeds = bestSeeds;
+  }
+  return seeds;
+};
+
+/**
+ * Final finishing order of every group that has played all its games
+ * Participants still tied after every tiebreaker keep the standings order.
+ * @param {Array} groups - Groups ({ name, players, rounds })
+ * @param {Object} standingsSettings - Points and tiebreaker settings
+ * @returns {Map} - Group name to players in finishing order (null while the
+ *   group is still playing)
+ */
+export const getGroupFinishers = (groups, standingsSettings) =>
+  new Map(
+    groups.map((group) => {
+      const matches = group.rounds.flat();
+      return [
+        group.name,
+        isLeagueComplete(matches)
+          ? computeStandings(matches, group.players, standingsSettings).map(
+              (row) => row.player
+            )
+          : null,
+      ];
+    })
+  );
+
+/**
+ * Places group finishers into the playoff bracket
+ * Slots fed by a group that is still playing stay empty, so the playoff
+ * fills in group by group as standings become final. A playoff result is
+ * cleared when one of its participants changes.
+ * @param {Object} bracket - Group stage data: groups, playoffType,
+ *   standingsSettings, withdrawals and the playoff's bracket fields
+ * @returns {Object} - Updated playoff bracket fields (including any
+ *   third-place match) and champion
+ */
+export const fillPlayoffQualifiers = (bracket) => {
+  const finishers = getGroupFinishers(
+    bracket.groups,
+    bracket.standingsSettings
+  );
+  const fillQualifierSlots = (match) => {
+    (match.sources || []).forEach((source, slot) => {
+      if (source?.type !== SOURCE_TYPES.QUALIFIER) return;
+      const player = finishers.get(source.group)?.[source.position - 1] ?? null;
+      if (match.pair[slot] !== player) clearResult(match);
+      match.pair[slot] = player;
+    });
+  };
+
+  if (bracket.playoffType === "double") {
+    const upperBracketRounds = cloneRounds(bracket.upperBracketRounds);
+    upperBracketRounds.flat().forEach(fillQualifierSlots);
+    return resolveDoubleElimination({
+      upperBracketRounds,
+      lowerBracketRounds: bracket.lowerBracketRounds,
+      grandFinalMatch: bracket.grandFinalMatch,
+      withdrawals: bracket.withdrawals,
+    });
+  }
+
+  const rounds = cloneRounds(bracket.rounds);
+  const [[thirdPlaceMatch = null] = []] = cloneRounds(
+    bracket.thirdPlaceMatch ? [[bracket.thirdPlaceMatch]] : []
+  );
+  rounds.flat().forEach(fillQualifierSlots);
+  propagateResults(
+    [...rounds.flat(), ...(thirdPlaceMatch ? [thirdPlaceMatch] : [])],
+    getWithdrawnPlayers(bracket)
+  );
+  return { rounds, thirdPlaceMatch, champion: getFinalWinner(rounds) };
+};
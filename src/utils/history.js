@@ -0,0 +1,105 @@
+// Undo/redo of roster and bracket changes, and the audit log kept with the
+// tournament. Undo steps live in memory only; the audit log is saved.
+
+// Undo steps kept; older ones are dropped
+export const HISTORY_LIMIT = 100;
+
+// Audit log actions and how they read in the log
+export const AUDIT_ACTIONS = {
+  generate: "Bracket generated",
+  bracketCleared: "Bracket cleared",
+  bracketRestored: "Bracket restored",
+  roundPaired: "Round paired",
+  resultEntered: "Result entered",
+  resultChanged: "Result changed",
+  matchUpdated: "Match updated",
+  settingsChanged: "Settings changed",
+  participantAdded: "Participant added",
+  participantRemoved: "Participant removed",
+  participantEdited: "Participant edited",
+  participantWithdrawn: "Participant withdrawn",
+  participantReinstated: "Participant reinstated",
+  seedChanged: "Seed changed",
+  undo: "Undo",
+  redo: "Redo",
+};
+
+/**
+ * Empty undo history
+ * @returns {Object} - { past, future, lastKey }; past and future hold
+ *   snapshots, lastKey the merge key of the latest step
+ */
+export const createHistory = () => ({ past: [], future: [], lastKey: null });
+
+/**
+ * Saves the state before a change as an undo step
+ * Consecutive changes with the same merge key (e.g. typing into one field)
+ * share a step, so one undo takes back all of them.
+ * @param {Object} history - Undo history
+ * @param {Object} snapshot - State before the change, with a label
+ * @param {string|null} mergeKey - Key of changes that share a step
+ * @returns {Object} - Updated history; redo steps are dropped
+ */
+export const pushHistory = (history, snapshot, mergeKey = null) => {
+  if (mergeKey !== null && mergeKey === history.lastKey) {
+    return { ...history, future: [] };
+  }
+  return {
+    past: [...history.past, snapshot].slice(-HISTORY_LIMIT),
+    future: [],
+    lastKey: mergeKey,
+  };
+};
+
+/**
+ * Steps back one change
+ * @param {Object} history - Undo history
+ * @param {Object} current - Current state, kept for redo with the label of
+ *   the change being undone
+ * @returns {Object|null} - { history, snapshot } with the state to restore,
+ *   or null when there is nothing to undo
+ */
+export const undoHistory = (history, current) => {
+  const snapshot = history.past.at(-1);
+  if (!snapshot) return null;
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [{ ...current, label: snapshot.label }, ...history.future],
+      lastKey: null,
+    },
+    snapshot,
+  };
+};
+
+/**
+ * Steps forward again after an undo
+ * @param {Object} history - Undo history
+ * @param {Object} current - Current state, kept for undo
+ * @returns {Object|null} - { history, snapshot } with the state to restore,
+ *   or null when there is nothing to redo
+ */
+export const redoHistory = (history, current) => {
+  const [snapshot, ...future] = history.future;
+  if (!snapshot) return null;
+  return {
+    history: {
+      past: [...history.past, { ...current, label: snapshot.label }],
+      future,
+      lastKey: null,
+    },
+    snapshot,
+  };
+};
+
+/**
+ * Audit log entry stamped with the current time
+ * @param {string} action - Key of AUDIT_ACTIONS
+ * @param {string} details - What changed, in words
+ * @returns {Object} - { at (ISO timestamp), action, details }
+ */
+export const createAuditEntry = (action, details) => ({
+  at: new Date().toISOString(),
+  action,
+  details,
+});
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import {
+  HISTORY_LIMIT,
+  createHistory,
+  pushHistory,
+  redoHistory,
+  undoHistory,
+} from "./history";
+
+const step = (value) => ({ value, label: `set ${value}` });
+
+describe("pushHistory", () => {
+  it("shares one step between changes with the same merge key", () => {
+    let history = createHistory();
+    history = pushHistory(history, step(0), "name:p1");
+    history = pushHistory(history, step(1), "name:p1");
+    history = pushHistory(history, step(2), "name:p1");
+    expect(history.past).toEqual([step(0)]);
+  });
+
+  it("starts a new step when the merge key changes or is missing", () => {
+    let history = createHistory();
+    history = pushHistory(history, step(0), "name:p1");
+    history = pushHistory(history, step(1), "name:p2");
+    history = pushHistory(history, step(2));
+    history = pushHistory(history, step(3));
+    expect(history.past).toEqual([step(0), step(1), step(2), step(3)]);
+  });
+
+  it("keeps at most HISTORY_LIMIT steps", () => {
+    let history = createHistory();
+    for (let value = 0; value < HISTORY_LIMIT + 5; value++) {
+      history = pushHistory(history, step(value));
+    }
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0]).toEqual(step(5));
+  });
+
+  it("drops redo steps", () => {
+    let history = pushHistory(createHistory(), step(0));
+    history = undoHistory(history, step(1)).history;
+    expect(pushHistory(history, step(2)).future).toEqual([]);
+  });
+});
+
+describe("undoHistory and redoHistory", () => {
+  it("step back and forward between snapshots", () => {
+    const history = pushHistory(createHistory(), step(0));
+
+    const undone = undoHistory(history, { value: 1 });
+    expect(undone.snapshot).toEqual(step(0));
+    expect(undone.history.future).toEqual([{ value: 1, label: "set 0" }]);
+
+    const redone = redoHistory(undone.history, { value: 0 });
+    expect(redone.snapshot).toEqual({ value: 1, label: "set 0" });
+    expect(redone.history.past).toEqual([{ value: 0, label: "set 0" }]);
+    expect(redone.history.future).toEqual([]);
+  });
+
+  it("do not merge a change made after an undo into an earlier step", () => {
+    let history = pushHistory(createHistory(), step(0), "name:p1");
+    history = pushHistory(history, step(1), "name:p1");
+    history = undoHistory(history, step(2)).history;
+    history = pushHistory(history, step(3), "name:p1");
+    expect(history.past).toEqual([step(3)]);
+  });
+
+  it("return null when there is nothing to undo or redo", () => {
+    expect(undoHistory(createHistory(), step(0))).toBeNull();
+    expect(redoHistory(createHistory(), step(0))).toBeNull();
+  });
+});
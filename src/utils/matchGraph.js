@@ -0,0 +1,144 @@
+// Kinds of slot sources a match can have
+export const SOURCE_TYPES = {
+  PARTICIPANT: "participant",
+  BYE: "bye",
+  WINNER: "winner",
+  LOSER: "loser",
+  QUALIFIER: "qualifier",
+};
+
+/**
+ * Creates a slot source reference
+ * @param {string} type - One of SOURCE_TYPES
+ * @param {string|null} matchId - Feeding match for winner/loser sources
+ * @returns {Object} - Source reference
+ */
+export const createSource = (type, matchId = null) => ({ type, matchId });
+
+/**
+ * Creates a slot source filled by a group stage finisher, e.g. Group A #1
+ * @param {string} group - Group name
+ * @param {number} position - Finishing position in the group (1-based)
+ * @returns {Object} - Source reference
+ */
+export const createQualifierSource = (group, position) => ({
+  ...createSource(SOURCE_TYPES.QUALIFIER),
+  group,
+  position,
+});
+
+/**
+ * Links the winner or loser of one match to a slot of another, keeping the
+ * forward pointer and the slot's source reference in sync
+ * @param {Object} fromMatch - Match whose outcome is forwarded
+ * @param {Object} toMatch - Match receiving the participant
+ * @param {number} slot - Slot index (0 or 1) in toMatch
+ * @param {string} outcome - SOURCE_TYPES.WINNER or SOURCE_TYPES.LOSER
+ */
+export const linkMatches = (
+  fromMatch,
+  toMatch,
+  slot,
+  outcome = SOURCE_TYPES.WINNER
+) => {
+  if (outcome === SOURCE_TYPES.LOSER) {
+    fromMatch.loserNextMatchId = toMatch.id;
+    fromMatch.loserNextSlot = slot;
+  } else {
+    fromMatch.nextMatchId = toMatch.id;
+    fromMatch.nextSlot = slot;
+  }
+  if (!Array.isArray(toMatch.sources)) toMatch.sources = [null, null];
+  toMatch.sources[slot] = createSource(outcome, fromMatch.id);
+};
+
+/**
+ * Describes a slot source for display, e.g. "Loser of ubR2M1" or
+ * "Group B #2"
+ * @param {Object|null} source - Source reference
+ * @returns {string|null} - Label, or null when the slot is not fed by a match
+ */
+export const getSourceLabel = (source) => {
+  if (source?.type === SOURCE_TYPES.QUALIFIER) {
+    return `Group ${source.group} #${source.position}`;
+  }
+  if (!source || !source.matchId) return null;
+  return `${source.type === SOURCE_TYPES.LOSER ? "Loser" : "Winner"} of ${
+    source.matchId
+  }`;
+};
+
+/**
+ * Text for a slot: the participant if known, otherwise where it comes from
+ * @param {Object} match - Match object
+ * @param {number} slot - Slot index (0 or 1)
+ * @param {Function} getName - Display name of a participant id
+ * @returns {string} - Participant, placeholder label or "TBD"
+ */
+export const getSlotLabel = (match, slot, getName = (player) => player) => {
+  const player = match.pair[slot];
+  if (player !== null && player !== undefined) return getName(player);
+  return getSourceLabel(match.sources?.[slot]) || "TBD";
+};
+
+/**
+ * Checks that a bracket is a consistent graph: every pointer targets an
+ * existing later match, every linked slot names its feeder and no slot is
+ * fed twice
+ * @param {Array} matches - Flat list of matches in play order
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+export const validateMatchGraph = (matches) => {
+  const problems = [];
+  const positions = new Map(matches.map((match, index) => [match.id, index]));
+  const fedSlots = new Set();
+
+  if (positions.size !== matches.length) {
+    problems.push("Duplicate match IDs.");
+  }
+
+  matches.forEach((match, index) => {
+    [
+      [match.nextMatchId, match.nextSlot, SOURCE_TYPES.WINNER],
+      [match.loserNextMatchId, match.loserNextSlot, SOURCE_TYPES.LOSER],
+    ].forEach(([targetId, slot, outcome]) => {
+      if (!targetId) return;
+      if (!positions.has(targetId)) {
+        problems.push(`${match.id} points at unknown match ${targetId}.`);
+        return;
+      }
+      if (positions.get(targetId) <= index) {
+        problems.push(
+          `${match.id} feeds ${targetId}, which is played earlier.`
+        );
+      }
+      const slotKey = `${targetId}:${slot}`;
+      if (fedSlots.has(slotKey)) {
+        problems.push(`Slot ${slot + 1} of ${targetId} is fed twice.`);
+      }
+      fedSlots.add(slotKey);
+      const source = matches[positions.get(targetId)].sources?.[slot];
+      if (!source || source.type !== outcome || source.matchId !== match.id) {
+        problems.push(
+          `Slot ${slot + 1} of ${targetId} does not name ${outcome} of ${
+            match.id
+          } as its source.`
+        );
+      }
+    });
+  });
+
+  matches.forEach((match) => {
+    (match.sources || []).forEach((source, slot) => {
+      if (source?.matchId && !fedSlots.has(`${match.id}:${slot}`)) {
+        problems.push(
+          `Slot ${slot + 1} of ${match.id} expects ${getSourceLabel(
+            source
+          )}, which does not point at it.`
+        );
+      }
+    });
+  });
+
+  return problems;
+};
@@ -0,0 +1,174 @@
+import { validateSeeds } from "./seeding";
+
+// Slot values that are never participant ids
+const SLOT_MARKERS = ["BYE", "WINNER!"];
+
+/**
+ * Creates an id for a new participant, unique within the roster
+ * Ids start with "p", so they can never be mistaken for the BYE or WINNER!
+ * slot markers. They are made from the time and a random part rather than
+ * counted up from the roster: a removed participant's id can still appear
+ * in a kept bracket snapshot, and must not come back for someone else.
+ * @param {Array<Object>} participants - Current roster
+ * @returns {string} - New id
+ */
+const createParticipantId = (participants) => {
+  const taken = new Set(participants.map(({ id }) => id));
+  let id;
+  do {
+    id = `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  } while (taken.has(id));
+  return id;
+};
+
+/**
+ * Creates a roster entry
+ * @param {Array<Object>} participants - Current roster (for a unique id)
+ * @param {Object} fields - Name and any other fields to set
+ * @returns {Object} - { id, name, team, rating, seed, note, checkedIn,
+ *   members }; members lists the players of a team entry
+ */
+export const createParticipant = (participants, fields) => ({
+  id: createParticipantId(participants),
+  name: "",
+  team: "",
+  rating: null,
+  seed: null,
+  note: "",
+  checkedIn: false,
+  members: [],
+  ...fields,
+});
+
+/**
+ * Adds participants by name, skipping names already on the roster
+ * @param {Array<Object>} participants - Current roster
+ * @param {Array<string>} names - Names to add
+ * @returns {Object} - { participants, added, duplicates }
+ */
+export const addParticipantsByName = (participants, names) => {
+  const existingNames = new Set(participants.map(({ name }) => name));
+  const updated = [...participants];
+  let duplicates = 0;
+  names.forEach((name) => {
+    if (existingNames.has(name)) {
+      duplicates++;
+      return;
+    }
+    updated.push(createParticipant(updated, { name }));
+    existingNames.add(name);
+  });
+  return {
+    participants: updated,
+    added: updated.length - participants.length,
+    duplicates,
+  };
+};
+
+/**
+ * Display names by participant id
+ * @param {Array<Object>} participants - Roster
+ * @returns {Function} - Maps an id to its name; slot markers and unknown
+ *   ids are returned unchanged
+ */
+export const createNameLookup = (participants) => {
+  const names = new Map(participants.map(({ id, name }) => [id, name]));
+  return (id) => names.get(id) ?? id;
+};
+
+/**
+ * Seeds of a roster in the form the generators take
+ * @param {Array<Object>} participants - Roster
+ * @returns {Object} - Map of participant id to seed number
+ */
+export const getSeedMap = (participants) =>
+  Object.fromEntries(
+    participants
+      .filter(({ seed }) => Number.isInteger(seed))
+      .map(({ id, seed }) => [id, seed])
+  );
+
+/**
+ * Checks a roster entry before a tournament is generated or imported
+ * @param {Array<Object>} participants - Roster
+ * @returns {string|null} - First problem found, or null when usable
+ */
+export const validateRoster = (participants) => {
+  if (participants.some(({ name }) => !name || !name.trim())) {
+    return "Every participant needs a name.";
+  }
+  const names = participants.map(({ name }) => name.trim());
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) return `${duplicate} is on the roster twice.`;
+  return null;
+};
+
+/**
+ * Checks the seeds of a roster, naming participants in any problem found
+ * (the generators only see ids)
+ * @param {Array<Object>} participants - Roster
+ * @returns {string|null} - Error message, or null when the seeds are usable
+ */
+export const validateRosterSeeds = (participants) =>
+  validateSeeds(
+    participants.map(({ name }) => name),
+    Object.fromEntries(
+      participants
+        .filter(({ seed }) => seed !== null && seed !== undefined)
+        .map(({ name, seed }) => [name, seed])
+    )
+  );
+
+/**
+ * Turns a saved state that used names as participants into one that uses
+ * roster entries, rewriting every player reference in the bracket to ids
+ * @param {Object|null} state - Saved app state with name participants
+ * @returns {Object|null} - State with roster entries and id references
+ */
+export const convertNamesToRoster = (state) => {
+  if (!state || !Array.isArray(state.participants)) return state;
+  const { seeds = {}, ...rest } = state;
+  const participants = [];
+  state.participants.forEach((name) =>
+    participants.push(
+      createParticipant(participants, { name, seed: seeds[name] ?? null })
+    )
+  );
+  const ids = new Map(participants.map(({ id, name }) => [name, id]));
+  const toId = (player) =>
+    SLOT_MARKERS.includes(player) ? player : (ids.get(player) ?? player);
+
+  const convertMatch = (match) => ({
+    ...match,
+    pair: (match.pair || []).map(toId),
+    winner: match.winner && toId(match.winner),
+    loser: match.loser && toId(match.loser),
+  });
+  const convertRounds = (rounds) =>
+    Array.isArray(rounds)
+      ? rounds.map((round) => round.map(convertMatch))
+      : rounds;
+  const bracketData = state.bracketData;
+
+  return {
+    ...rest,
+    participants,
+    bracketData: bracketData && {
+      ...bracketData,
+      rounds: convertRounds(bracketData.rounds),
+      upperBracketRounds: convertRounds(bracketData.upperBracketRounds),
+      lowerBracketRounds: convertRounds(bracketData.lowerBracketRounds),
+      grandFinalMatch: bracketData.grandFinalMatch?.map(convertMatch),
+      thirdPlaceMatch:
+        bracketData.thirdPlaceMatch &&
+        convertMatch(bracketData.thirdPlaceMatch),
+      champion: bracketData.champion && toId(bracketData.champion),
+      players: bracketData.players?.map(toId),
+      groups: bracketData.groups?.map((group) => ({
+        ...group,
+        players: group.players.map(toId),
+        rounds: convertRounds(group.rounds),
+      })),
+    },
+  };
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import {
+  addParticipantsByName,
+  createNameLookup,
+  createParticipant,
+} from "./participants";
+
+describe("createParticipant", () => {
+  it("gives every entry its own id", () => {
+    const { participants } = addParticipantsByName(
+      [],
+      Array.from({ length: 50 }, (_, index) => `Player ${index + 1}`)
+    );
+    const ids = participants.map(({ id }) => id);
+    expect(new Set(ids).size).toBe(50);
+    ids.forEach((id) => expect(id).toMatch(/^p[0-9a-z]+$/));
+  });
+
+  it("does not hand a removed participant's id to someone new", () => {
+    const roster = addParticipantsByName(
+      [],
+      ["Ann", "Ben", "Cat"]
+    ).participants;
+    const removed = roster.at(-1);
+    const added = createParticipant(roster.slice(0, -1), { name: "Dan" });
+    expect(added.id).not.toBe(removed.id);
+  });
+
+  it("fills in the other roster fields", () => {
+    expect(createParticipant([], { name: "Ann" })).toMatchObject({
+      name: "Ann",
+      team: "",
+      rating: null,
+      seed: null,
+      checkedIn: false,
+      members: [],
+    });
+  });
+});
+
+describe("createNameLookup", () => {
+  it("maps ids to names and leaves slot markers alone", () => {
+    const ann = createParticipant([], { name: "Ann" });
+    const getName = createNameLookup([ann]);
+    expect(getName(ann.id)).toBe("Ann");
+    expect(getName("BYE")).toBe("BYE");
+  });
+});
@@ -0,0 +1,264 @@
+import { isRealPlayer } from "./bracketResults";
+import { getGroupFinishers } from "./groupStage";
+import { computeStandings } from "./standings";
+
+/**
+ * Checks whether a slot holds a participant (not a BYE or the lone-entrant
+ * "WINNER!" marker)
+ * @param {*} player - Slot value
+ * @returns {boolean} - True for participants
+ */
+const isParticipant = (player) => isRealPlayer(player) && player !== "WINNER!";
+
+/**
+ * Matches of a bracket in play order, labelled with the part they belong to
+ * @param {Object} bracketData - Bracket state
+ * @returns {Array<Object>} - { match, bracket } entries
+ */
+export const listMatches = (bracketData) => {
+  const label = (rounds, bracket) =>
+    (rounds || []).flat().map((match) => ({ match, bracket }));
+  const groupMatches = (bracketData.groups || []).flatMap((group) =>
+    label(group.rounds, `Group ${group.name}`)
+  );
+  const mainLabel = {
+    single: "Main",
+    roundrobin: "Round Robin",
+    swiss: "Swiss",
+    groups: "Playoff",
+  }[bracketData.type];
+
+  return [
+    ...groupMatches,
+    ...label(bracketData.rounds, mainLabel),
+    ...label(
+      bracketData.thirdPlaceMatch ? [[bracketData.thirdPlaceMatch]] : [],
+      "Third Place"
+    ),
+    ...label(bracketData.upperBracketRounds, "Upper"),
+    ...label(bracketData.lowerBracketRounds, "Lower"),
+    ...label(bracketData.grandFinalMatch, "Grand Final"),
+  ];
+};
+
+/**
+ * Wins, draws and losses of every participant over the given matches
+ * @param {Array} matches - Matches to count
+ * @returns {Map} - Player to { wins, draws, losses }
+ */
+const countRecords = (matches) => {
+  const records = new Map();
+  const getRecord = (player) => {
+    if (!records.has(player)) {
+      records.set(player, { wins: 0, draws: 0, losses: 0 });
+    }
+    return records.get(player);
+  };
+  matches.forEach((match) => {
+    if (!match.pair.every(isParticipant)) return;
+    match.pair.forEach(getRecord);
+    if (match.isDraw) match.pair.forEach((player) => getRecord(player).draws++);
+    else if (isRealPlayer(match.winner)) {
+      getRecord(match.winner).wins++;
+      getRecord(match.loser ?? match.pair.find((p) => p !== match.winner))
+        .losses++;
+    }
+  });
+  return records;
+};
+
+/**
+ * Ranks knockout participants by how far they got
+ * A player is out after a loss that does not send them to another match;
+ * players knocked out in the same round share a rank, and players still in
+ * the event have no rank yet. A placement match (forPlace, e.g. for third
+ * place) ranks its winner and loser directly, and players who would rank
+ * from that place down move below them.
+ * @param {Array} matches - Knockout matches in play order
+ * @returns {Map} - Player to rank (null while still in the event)
+ */
+const rankKnockout = (matches) => {
+  const lastMatch = new Map();
+  matches.forEach((match) =>
+    match.pair.forEach((player) => {
+      if (isParticipant(player)) lastMatch.set(player, match);
+    })
+  );
+
+  const eliminatedIn = new Map();
+  lastMatch.forEach((match, player) => {
+    if (match.loser !== player || match.loserNextMatchId) return;
+    eliminatedIn.set(player, `${match.type}-${match.round}`);
+  });
+  // Rounds in play order so later exits rank higher
+  const roundPositions = new Map();
+  matches.forEach((match) => {
+    const roundKey = `${match.type}-${match.round}`;
+    if (!roundPositions.has(roundKey)) {
+      roundPositions.set(roundKey, roundPositions.size);
+    }
+  });
+
+  const inPlacementMatch = (player) => Boolean(lastMatch.get(player).forPlace);
+  const placementPlayers = [...lastMatch.keys()].filter(inPlacementMatch);
+  const placementPlace = Math.min(
+    ...placementPlayers.map((player) => lastMatch.get(player).forPlace)
+  );
+
+  const ranks = new Map();
+  lastMatch.forEach((match, player) => {
+    if (match.forPlace) {
+      const isDecided = isRealPlayer(match.winner);
+      ranks.set(
+        player,
+        isDecided && match.winner === player
+          ? match.forPlace
+          : isDecided
+            ? match.forPlace + 1
+            : null
+      );
+      return;
+    }
+    const roundKey = eliminatedIn.get(player);
+    if (!roundKey) {
+      // Winning a match that feeds nothing else means winning the event
+      const isChampion = match.winner === player && !match.nextMatchId;
+      ranks.set(player, isChampion ? 1 : null);
+      return;
+    }
+    const betterPlayers = [...lastMatch.keys()].filter((other) => {
+      if (inPlacementMatch(other)) return false;
+      const otherRound = eliminatedIn.get(other);
+      return (
+        !otherRound ||
+        roundPositions.get(otherRound) > roundPositions.get(roundKey)
+      );
+    });
+    const rank = betterPlayers.length + 1;
+    ranks.set(
+      player,
+      rank >= placementPlace ? rank + placementPlayers.length : rank
+    );
+  });
+  return ranks;
+};
+
+/**
+ * Ordinal of a finishing position, e.g. 1st, 2nd, 3rd, 11th, 22nd
+ * @param {number} position - Position (1-based)
+ * @returns {string} - Ordinal text
+ */
+const toOrdinal = (position) => {
+  const lastTwo = position % 100;
+  const suffix =
+    lastTwo >= 11 && lastTwo <= 13
+      ? "th"
+      : ["th", "st", "nd", "rd"][position % 10] || "th";
+  return `${position}${suffix}`;
+};
+
+/**
+ * Place label for a rank shared by some players, e.g. "1st" or "5th–8th"
+ * @param {number|null} rank - Rank (null while a player is still in)
+ * @param {number} sharedBy - Number of players on that rank
+ * @returns {string} - Label, or "" without a rank
+ */
+export const formatPlace = (rank, sharedBy = 1) => {
+  if (rank === null || rank === undefined) return "";
+  return sharedBy > 1
+    ? `${toOrdinal(rank)}–${toOrdinal(rank + sharedBy - 1)}`
+    : toOrdinal(rank);
+};
+
+/**
+ * Adds place labels to ranked rows
+ * @param {Array<Object>} rows - Rows with a rank
+ * @returns {Array<Object>} - Rows with place (e.g. "3rd–4th") added
+ */
+const withPlaces = (rows) => {
+  const sharedBy = new Map();
+  rows.forEach(({ rank }) => sharedBy.set(rank, (sharedBy.get(rank) || 0) + 1));
+  return rows.map((row) => ({
+    ...row,
+    place: formatPlace(row.rank, sharedBy.get(row.rank)),
+  }));
+};
+
+/**
+ * Final (or current) placings of a tournament
+ * Leagues use their standings; knockouts rank players by the round they went
+ * out in; a group stage ranks the playoff first, then the other players by
+ * their group finishing position. Players out in the same round share a
+ * place, e.g. both semi-final losers are 3rd–4th.
+ * @param {Object} bracketData - Bracket state
+ * @param {Function} getName - Display name of a participant id, used to
+ *   order players sharing a place
+ * @returns {Array<Object>} - { rank, place, player, wins, draws, losses }
+ *   rows, best first (rank is null and place "" for players still in a
+ *   knockout; they come after the ranked players)
+ */
+export const computePlacings = (bracketData, getName = (player) => player) => {
+  const entries = listMatches(bracketData);
+  const byName = (a, b) =>
+    getName(a).localeCompare(getName(b), undefined, { numeric: true }) ||
+    a.localeCompare(b, undefined, { numeric: true });
+  const records = countRecords(entries.map(({ match }) => match));
+  const withRecord = (player, rank) => ({
+    rank,
+    player,
+    ...(records.get(player) || { wins: 0, draws: 0, losses: 0 }),
+  });
+
+  if (bracketData.type === "roundrobin" || bracketData.type === "swiss") {
+    return withPlaces(
+      computeStandings(
+        bracketData.rounds.flat(),
+        bracketData.players,
+        bracketData.standingsSettings
+      ).map((row) => withRecord(row.player, row.rank))
+    );
+  }
+
+  const knockoutMatches = entries
+    .filter(({ bracket }) => !bracket.startsWith("Group "))
+    .map(({ match }) => match);
+  const knockoutRows = [...rankKnockout(knockoutMatches)].map(
+    ([player, rank]) => withRecord(player, rank)
+  );
+  knockoutRows.sort(
+    (a, b) =>
+      (a.rank ?? Infinity) - (b.rank ?? Infinity) || byName(a.player, b.player)
+  );
+  if (bracketData.type !== "groups") return withPlaces(knockoutRows);
+
+  // Players who did not reach the playoff rank by group position; groups
+  // still playing have no placings yet
+  const inPlayoff = new Set(knockoutRows.map((row) => row.player));
+  const finishers = getGroupFinishers(
+    bracketData.groups,
+    bracketData.standingsSettings
+  );
+  const positionGroups = [];
+  const unplacedRows = [];
+  bracketData.groups.forEach((group) => {
+    const order = finishers.get(group.name);
+    if (!order) {
+      group.players.forEach((player) =>
+        unplacedRows.push(withRecord(player, null))
+      );
+      return;
+    }
+    order.forEach((player, position) => {
+      if (inPlayoff.has(player)) return;
+      (positionGroups[position] ||= []).push(player);
+    });
+  });
+
+  let nextRank = bracketData.groups.length * bracketData.qualifiersPerGroup + 1;
+  const groupRows = positionGroups.filter(Boolean).flatMap((players) => {
+    const rank = nextRank;
+    nextRank += players.length;
+    return players.sort(byName).map((player) => withRecord(player, rank));
+  });
+  return withPlaces([...knockoutRows, ...groupRows, ...unplacedRows]);
+};
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import SingleElimination from "../components/SingleElimination";
+import { applyEliminationResult } from "./bracketResults";
+import { computePlacings } from "./placings";
+
+// Top seeds p2 and p10 both lose their semi-finals; the final is unplayed
+const semiFinalsPlayed = () => {
+  const { rounds } = SingleElimination(["p2", "p10", "p3", "p4"], {
+    seeds: { p2: 1, p10: 2 },
+    drawSeed: "test",
+  });
+  return rounds[0].reduce(
+    (bracket, match) =>
+      applyEliminationResult(
+        bracket,
+        match.id,
+        match.pair.find((player) => !["p2", "p10"].includes(player))
+      ),
+    { type: "single", rounds, thirdPlaceMatch: null, withdrawals: {} }
+  );
+};
+
+describe("computePlacings", () => {
+  it("lists players still in the knockout after the ranked players", () => {
+    const rows = computePlacings(semiFinalsPlayed());
+    expect(rows.map(({ rank }) => rank)).toEqual([3, 3, null, null]);
+    expect(rows.map(({ place }) => place)).toEqual([
+      "3rd–4th",
+      "3rd–4th",
+      "",
+      "",
+    ]);
+  });
+
+  it("orders players sharing a place by name", () => {
+    const names = { p2: "Ben", p10: "Ann", p3: "Cat", p4: "Dan" };
+    const rows = computePlacings(semiFinalsPlayed(), (id) => names[id]);
+    expect(rows.map(({ player }) => player)).toEqual(["p10", "p2", "p3", "p4"]);
+  });
+
+  it("falls back to natural id order", () => {
+    const rows = computePlacings(semiFinalsPlayed());
+    expect(rows.map(({ player }) => player)).toEqual(["p2", "p10", "p3", "p4"]);
+  });
+});
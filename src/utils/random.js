@@ -0,0 +1,55 @@
+/**
+ * Hashes a seed of any type into a 32-bit integer (FNV-1a)
+ * @param {*} seed - Seed value
+ * @returns {number} - Unsigned 32-bit hash
+ */
+const hashSeed = (seed) => {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, so a draw can be
+ * reproduced and checked by anyone who has the seed.
+ * @param {*} seed - Seed value, e.g. a draw code
+ * @returns {Function} - Function returning numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Creates a new random draw seed that is short enough to share
+ * @returns {string} - 8 character base-36 code
+ */
+export const generateDrawSeed = () =>
+  Math.floor(Math.random() * 36 ** 8)
+    .toString(36)
+    .padStart(8, "0");
+
+/**
+ * Fisher-Yates shuffle driven by the given random number generator
+ * @param {Array} array - Array to shuffle
+ * @param {Function} random - Function returning numbers in [0, 1)
+ * @returns {Array} - New shuffled array
+ */
+export const shuffleArray = (array, random) => {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
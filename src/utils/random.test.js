@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { createRandom, generateDrawSeed, shuffleArray } from "./random";
+
+const take = (random, count) => Array.from({ length: count }, () => random());
+
+describe("createRandom", () => {
+  it("repeats the same sequence for the same seed", () => {
+    expect(take(createRandom("club-night"), 5)).toEqual(
+      take(createRandom("club-night"), 5)
+    );
+  });
+
+  it("gives a different sequence for another seed", () => {
+    expect(take(createRandom("club-night"), 5)).not.toEqual(
+      take(createRandom("club-nite"), 5)
+    );
+  });
+
+  it("returns numbers in [0, 1)", () => {
+    take(createRandom(42), 100).forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe("generateDrawSeed", () => {
+  it("returns an 8 character base-36 code", () => {
+    expect(generateDrawSeed()).toMatch(/^[0-9a-z]{8}$/);
+  });
+});
+
+describe("shuffleArray", () => {
+  it("shuffles the same way for the same seed", () => {
+    const players = ["p1", "p2", "p3", "p4", "p5", "p6"];
+    expect(shuffleArray(players, createRandom("club-night"))).toEqual(
+      shuffleArray(players, createRandom("club-night"))
+    );
+  });
+
+  it("keeps every entry and leaves the input alone", () => {
+    const players = ["p1", "p2", "p3", "p4", "p5", "p6"];
+    const shuffled = shuffleArray(players, createRandom("club-night"));
+    expect([...shuffled].sort()).toEqual(players);
+    expect(players).toEqual(["p1", "p2", "p3", "p4", "p5", "p6"]);
+  });
+});
@@ -0,0 +1,145 @@
+import { createParticipant } from "./participants";
+
+// Roster fields a file column can be mapped to, with the header names each
+// one is recognised by
+export const IMPORT_FIELDS = {
+  name: {
+    label: "Name",
+    headers: ["name", "player", "participant", "full name"],
+  },
+  team: {
+    label: "Team / club",
+    headers: ["team", "club", "organisation", "organization"],
+  },
+  seed: { label: "Seed", headers: ["seed", "seeding"] },
+  rating: { label: "Rating", headers: ["rating", "elo", "ranking points"] },
+  email: {
+    label: "Email",
+    headers: ["email", "e-mail", "email address", "contact"],
+  },
+};
+
+/**
+ * Guesses which column holds each roster field from the header row
+ * @param {Array<string>} header - Header fields
+ * @returns {Object} - Column index per field, or null when not found; name
+ *   falls back to the first column
+ */
+export const guessColumnMapping = (header) => {
+  const normalised = header.map((title) => title.trim().toLowerCase());
+  const mapping = Object.fromEntries(
+    Object.entries(IMPORT_FIELDS).map(([field, { headers }]) => {
+      const index = normalised.findIndex((title) => headers.includes(title));
+      return [field, index === -1 ? null : index];
+    })
+  );
+  if (mapping.name === null && header.length > 0) mapping.name = 0;
+  return mapping;
+};
+
+/**
+ * Reads an optional whole number of at least 1 from a field
+ * @param {string} value - Field text
+ * @returns {number|null|undefined} - Number, null when empty, undefined when
+ *   not a valid seed
+ */
+const readSeed = (value) => {
+  if (!value) return null;
+  return /^\d+$/.test(value) && Number(value) >= 1 ? Number(value) : undefined;
+};
+
+/**
+ * Reads an optional number from a field
+ * @param {string} value - Field text
+ * @returns {number|null|undefined} - Number, null when empty, undefined when
+ *   not a number
+ */
+const readRating = (value) => {
+  if (!value) return null;
+  const number = Number(value.replace(",", "."));
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Checks imported rows against the roster before they are merged
+ * Each row is "new", a "duplicate" of a name already on the roster (or
+ * earlier in the file), or "invalid" with the problem found.
+ * @param {Array<Object>} rows - Data rows from parseDelimitedText
+ * @param {Object} mapping - Column index per field (see guessColumnMapping)
+ * @param {number} columnCount - Fields a well-formed row has
+ * @param {Array<Object>} participants - Current roster
+ * @returns {Array<Object>} - { line, entry, status, problem } per row; entry
+ *   holds name, team, seed, rating and note
+ */
+export const buildImportPreview = (
+  rows,
+  mapping,
+  columnCount,
+  participants
+) => {
+  const takenNames = new Map(
+    participants.map(({ name }) => [name.trim().toLowerCase(), name])
+  );
+  const takenSeeds = new Map(
+    participants
+      .filter(({ seed }) => Number.isInteger(seed))
+      .map(({ seed, name }) => [seed, name])
+  );
+  // Line breaks inside quoted fields are folded into spaces
+  const read = (fields, field) =>
+    mapping[field] === null
+      ? ""
+      : (fields[mapping[field]] ?? "").replace(/\s+/g, " ");
+
+  return rows.map(({ line, fields }) => {
+    const entry = {
+      name: read(fields, "name"),
+      team: read(fields, "team"),
+      seed: readSeed(read(fields, "seed")),
+      rating: readRating(read(fields, "rating")),
+      note: read(fields, "email"),
+    };
+    const invalid = (problem) => ({ line, entry, status: "invalid", problem });
+
+    if (fields.length !== columnCount) {
+      return invalid(`${fields.length} fields, expected ${columnCount}.`);
+    }
+    if (!entry.name) return invalid("No name.");
+    if (entry.seed === undefined)
+      return invalid("Seed is not a whole number from 1.");
+    if (entry.rating === undefined) return invalid("Rating is not a number.");
+
+    const key = entry.name.toLowerCase();
+    if (takenNames.has(key)) {
+      return {
+        line,
+        entry,
+        status: "duplicate",
+        problem: `${takenNames.get(key)} is already listed.`,
+      };
+    }
+    if (entry.seed !== null && takenSeeds.has(entry.seed)) {
+      return invalid(
+        `Seed ${entry.seed} is taken by ${takenSeeds.get(entry.seed)}.`
+      );
+    }
+    takenNames.set(key, entry.name);
+    if (entry.seed !== null) takenSeeds.set(entry.seed, entry.name);
+    return { line, entry, status: "new", problem: null };
+  });
+};
+
+/**
+ * Adds the new rows of an import preview to the roster; existing entries
+ * are kept as they are
+ * @param {Array<Object>} participants - Current roster
+ * @param {Array<Object>} preview - Rows from buildImportPreview
+ * @returns {Array<Object>} - Updated roster
+ */
+export const mergeImportPreview = (participants, preview) =>
+  preview
+    .filter(({ status }) => status === "new")
+    .reduce(
+      (roster, { entry }) => [...roster, createParticipant(roster, entry)],
+      participants
+    );
@@ -0,0 +1,239 @@
+import { isRealPlayer } from "./bracketResults";
+import { SOURCE_TYPES } from "./matchGraph";
+import { listMatches } from "./placings";
+
+export const DEFAULT_SCHEDULE_SETTINGS = {
+  courts: 2,
+  startTime: "09:00",
+  matchMinutes: 30,
+  restMinutes: 15,
+};
+
+/**
+ * Minutes after midnight of a time of day
+ * @param {string} time - "HH:MM"
+ * @returns {number} - Minutes (0 when the time cannot be read)
+ */
+export const parseTime = (time) => {
+  const [, hours, minutes] = /^(\d{1,2}):(\d{2})$/.exec(time || "") || [];
+  return hours === undefined ? 0 : Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Time of day for a number of minutes after midnight
+ * @param {number} minutes - Minutes (wraps past midnight)
+ * @returns {string} - "HH:MM"
+ */
+export const formatTime = (minutes) => {
+  const dayMinutes = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(dayMinutes / 60)).padStart(2, "0")}:${String(
+    dayMinutes % 60
+  ).padStart(2, "0")}`;
+};
+
+/**
+ * Checks whether a match is ever played on a court; BYE advances and the
+ * lone champion's placeholder match are not
+ * @param {Object} match - Match object
+ * @returns {boolean} - True for matches that need a court
+ */
+export const isSchedulable = (match) =>
+  match.winner !== "BYE" &&
+  !match.pair.includes("BYE") &&
+  !match.pair.includes("WINNER!");
+
+/**
+ * IDs of the matches that must finish before a match can start: the matches
+ * feeding its slots, or for a group qualifier every match of that group
+ * @param {Object} match - Match object
+ * @param {Map} groupMatchIds - Group name to the IDs of its matches
+ * @returns {Array<string>} - Feeder match IDs
+ */
+const getFeederIds = (match, groupMatchIds) =>
+  (match.sources || []).flatMap((source) => {
+    if (!source) return [];
+    if (source.type === SOURCE_TYPES.QUALIFIER) {
+      return groupMatchIds.get(source.group) || [];
+    }
+    return source.matchId ? [source.matchId] : [];
+  });
+
+/**
+ * Matches of a bracket with what scheduling needs to know about them
+ * @param {Object} bracketData - Bracket state
+ * @returns {Object} - { matches (in play order), matchesById, feeders (ID to
+ *   feeder IDs) }
+ */
+const getScheduleGraph = (bracketData) => {
+  const matches = listMatches(bracketData).map(({ match }) => match);
+  const groupMatchIds = new Map(
+    (bracketData.groups || []).map((group) => [
+      group.name,
+      group.rounds.flat().map((match) => match.id),
+    ])
+  );
+  return {
+    matches,
+    matchesById: new Map(matches.map((match) => [match.id, match])),
+    feeders: new Map(
+      matches.map((match) => [match.id, getFeederIds(match, groupMatchIds)])
+    ),
+  };
+};
+
+/**
+ * Assigns every playable match a court and a start time
+ * Matches already played keep theirs. The rest are placed one at a time,
+ * always the one that can start soonest: after its feeder matches have
+ * finished (plus rest for the player moving on), after its known players
+ * have rested since their last match, and on the court that frees up
+ * first. Start times fall on slots of one match duration from the start
+ * time.
+ * @param {Object} bracketData - Bracket state
+ * @param {Object} settings - courts, startTime, matchMinutes, restMinutes
+ * @returns {Map} - Match ID to { court (1-based), scheduledTime ("HH:MM") }
+ */
+export const scheduleMatches = (bracketData, settings) => {
+  const { matches, matchesById, feeders } = getScheduleGraph(bracketData);
+  const { courts, matchMinutes, restMinutes } = settings;
+  const dayStart = parseTime(settings.startTime);
+  const courtFree = Array.from({ length: courts }, () => dayStart);
+  const playerFree = new Map();
+  const finishes = new Map();
+  const assignments = new Map();
+
+  // When a match is over, or undefined while it still has to be placed.
+  // Matches never played on a court finish when their own feeders do.
+  const getFinish = (id) => {
+    if (finishes.has(id)) return finishes.get(id);
+    const match = matchesById.get(id);
+    if (!match) return dayStart;
+    if (isSchedulable(match)) return undefined;
+    const feederFinishes = feeders.get(id).map(getFinish);
+    if (feederFinishes.includes(undefined)) return undefined;
+    const finish = Math.max(dayStart, ...feederFinishes);
+    finishes.set(id, finish);
+    return finish;
+  };
+  const snapToSlot = (minutes) =>
+    dayStart + Math.ceil((minutes - dayStart) / matchMinutes) * matchMinutes;
+
+  // Matches already played keep their court and time
+  const isPlayed = (match) =>
+    (isRealPlayer(match.winner) || match.isDraw) &&
+    match.scheduledTime &&
+    match.court;
+  const place = (match, court, start) => {
+    const finish = start + matchMinutes;
+    courtFree[court] = Math.max(courtFree[court] ?? dayStart, finish);
+    finishes.set(match.id, finish);
+    match.pair.forEach((player) => {
+      if (player) playerFree.set(player, finish + restMinutes);
+    });
+  };
+  matches
+    .filter((match) => isSchedulable(match) && isPlayed(match))
+    .forEach((match) =>
+      place(match, match.court - 1, parseTime(match.scheduledTime))
+    );
+
+  let pending = matches.filter(
+    (match) => isSchedulable(match) && !isPlayed(match)
+  );
+  while (pending.length > 0) {
+    let best = null;
+    pending.forEach((match) => {
+      const feederFinishes = feeders.get(match.id).map(getFinish);
+      if (feederFinishes.includes(undefined)) return;
+      const ready = Math.max(
+        dayStart,
+        ...feederFinishes.map((finish) =>
+          finish > dayStart ? finish + restMinutes : finish
+        ),
+        ...match.pair.map((player) => playerFree.get(player) ?? dayStart)
+      );
+      if (!best || ready < best.ready) best = { match, ready };
+    });
+    // Only a feeder outside the bracket could block every match
+    if (!best) break;
+
+    const court = courtFree
+      .slice(0, courts)
+      .indexOf(Math.min(...courtFree.slice(0, courts)));
+    const start = snapToSlot(Math.max(best.ready, courtFree[court]));
+    place(best.match, court, start);
+    assignments.set(best.match.id, {
+      court: court + 1,
+      scheduledTime: formatTime(start),
+    });
+    pending = pending.filter((match) => match !== best.match);
+  }
+  return assignments;
+};
+
+/**
+ * Problems with the current court schedule
+ * Reports courts booked twice at once, players without their rest between
+ * matches and matches set to start before a feeder match has finished.
+ * @param {Object} bracketData - Bracket state
+ * @param {Object} settings - Schedule settings
+ * @param {Function} getName - Display name of a participant id
+ * @returns {Map} - Match ID to a list of warnings (matches without problems
+ *   are left out)
+ */
+export const findScheduleConflicts = (bracketData, settings, getName) => {
+  const { matches, feeders } = getScheduleGraph(bracketData);
+  const { matchMinutes, restMinutes } = settings;
+  const scheduled = matches
+    .filter((match) => isSchedulable(match) && match.scheduledTime)
+    .map((match) => ({
+      match,
+      start: parseTime(match.scheduledTime),
+      finish: parseTime(match.scheduledTime) + matchMinutes,
+    }));
+  const slotsById = new Map(scheduled.map((slot) => [slot.match.id, slot]));
+  const conflicts = new Map();
+  const warn = (id, message) =>
+    conflicts.set(id, [...(conflicts.get(id) || []), message]);
+
+  scheduled.forEach((slot, index) => {
+    scheduled.slice(index + 1).forEach((other) => {
+      const overlaps = slot.start < other.finish && other.start < slot.finish;
+      if (overlaps && slot.match.court === other.match.court) {
+        warn(
+          slot.match.id,
+          `Court ${slot.match.court} is also booked for ${other.match.id}.`
+        );
+        warn(
+          other.match.id,
+          `Court ${other.match.court} is also booked for ${slot.match.id}.`
+        );
+      }
+      const gap = Math.max(
+        slot.start - other.finish,
+        other.start - slot.finish
+      );
+      slot.match.pair
+        .filter((player) => player && other.match.pair.includes(player))
+        .forEach((player) => {
+          if (gap >= restMinutes) return;
+          const describe = (otherId) =>
+            gap < 0
+              ? `${getName(player)} is also playing ${otherId} at the same time.`
+              : `${getName(player)} gets under ${restMinutes} min rest around ${otherId}.`;
+          warn(slot.match.id, describe(other.match.id));
+          warn(other.match.id, describe(slot.match.id));
+        });
+    });
+  });
+
+  scheduled.forEach(({ match, start }) => {
+    feeders.get(match.id).forEach((feederId) => {
+      const feeder = slotsById.get(feederId);
+      if (feeder && start < feeder.finish) {
+        warn(match.id, `Starts before ${feederId} has finished.`);
+      }
+    });
+  });
+  return conflicts;
+};
@@ -0,0 +1,140 @@
+import { describe, expect, it } from "vitest";
+import SingleElimination from "../components/SingleElimination";
+import { applyEliminationResult, updateBracketMatches } from "./bracketResults";
+import {
+  DEFAULT_SCHEDULE_SETTINGS,
+  findScheduleConflicts,
+  formatTime,
+  parseTime,
+  scheduleMatches,
+} from "./scheduling";
+
+// Two semi-finals, sR0M0 and sR0M1, and the final sR1M0
+const fourPlayerBracket = () => {
+  const { rounds } = SingleElimination(["p1", "p2", "p3", "p4"], {
+    drawSeed: "club-night",
+  });
+  return { type: "single", rounds, thirdPlaceMatch: null, withdrawals: {} };
+};
+
+const settings = { ...DEFAULT_SCHEDULE_SETTINGS, courts: 2 };
+
+/**
+ * Sets court and time of matches
+ * @param {Object} bracket - Bracket state
+ * @param {Object} slots - Match ID to [court, "HH:MM"]
+ * @returns {Object} - Updated bracket state
+ */
+const withSlots = (bracket, slots) =>
+  Object.entries(slots).reduce(
+    (updated, [matchId, [court, scheduledTime]]) => ({
+      ...updated,
+      ...updateBracketMatches(updated, [matchId], { court, scheduledTime }),
+    }),
+    bracket
+  );
+
+describe("parseTime and formatTime", () => {
+  it("convert between HH:MM and minutes after midnight", () => {
+    expect(parseTime("09:30")).toBe(570);
+    expect(parseTime("9:05")).toBe(545);
+    expect(parseTime("nonsense")).toBe(0);
+    expect(formatTime(570)).toBe("09:30");
+    expect(formatTime(1440 + 75)).toBe("01:15");
+  });
+});
+
+describe("scheduleMatches", () => {
+  it("puts matches that can start together on separate courts", () => {
+    const schedule = scheduleMatches(fourPlayerBracket(), settings);
+    expect(schedule.get("sR0M0")).toEqual({ court: 1, scheduledTime: "09:00" });
+    expect(schedule.get("sR0M1")).toEqual({ court: 2, scheduledTime: "09:00" });
+  });
+
+  it("starts a match after its feeders finish and the players rest", () => {
+    // Semi-finals end at 09:30; with 15 minutes rest the final is ready at
+    // 09:45 and starts on the next 30-minute slot
+    const schedule = scheduleMatches(fourPlayerBracket(), settings);
+    expect(schedule.get("sR1M0")).toEqual({ court: 1, scheduledTime: "10:00" });
+  });
+
+  it("queues matches on one court", () => {
+    const schedule = scheduleMatches(fourPlayerBracket(), {
+      ...settings,
+      courts: 1,
+    });
+    expect([...schedule.values()]).toEqual([
+      { court: 1, scheduledTime: "09:00" },
+      { court: 1, scheduledTime: "09:30" },
+      { court: 1, scheduledTime: "10:30" },
+    ]);
+  });
+
+  it("keeps the court and time of matches already played", () => {
+    const bracket = withSlots(fourPlayerBracket(), { sR0M1: [2, "10:00"] });
+    const played = applyEliminationResult(
+      bracket,
+      "sR0M1",
+      bracket.rounds[0][1].pair[0]
+    );
+    const schedule = scheduleMatches(played, settings);
+    expect(schedule.has("sR0M1")).toBe(false);
+    expect(schedule.get("sR0M0")).toEqual({ court: 1, scheduledTime: "09:00" });
+    // The final waits for the played semi-final at 10:00 plus rest
+    expect(schedule.get("sR1M0")).toEqual({ court: 1, scheduledTime: "11:00" });
+  });
+});
+
+describe("findScheduleConflicts", () => {
+  const getName = (player) => player.toUpperCase();
+
+  it("reports nothing for the automatic schedule", () => {
+    const bracket = fourPlayerBracket();
+    const schedule = Object.fromEntries(
+      [...scheduleMatches(bracket, settings)].map(
+        ([id, { court, scheduledTime }]) => [id, [court, scheduledTime]]
+      )
+    );
+    expect(
+      findScheduleConflicts(withSlots(bracket, schedule), settings, getName)
+    ).toEqual(new Map());
+  });
+
+  it("reports a court booked twice at once", () => {
+    const bracket = withSlots(fourPlayerBracket(), {
+      sR0M0: [1, "09:00"],
+      sR0M1: [1, "09:15"],
+    });
+    const conflicts = findScheduleConflicts(bracket, settings, getName);
+    expect(conflicts.get("sR0M0")).toEqual([
+      "Court 1 is also booked for sR0M1.",
+    ]);
+    expect(conflicts.get("sR0M1")).toEqual([
+      "Court 1 is also booked for sR0M0.",
+    ]);
+  });
+
+  it("reports a player without rest and a match before its feeder", () => {
+    const bracket = applyEliminationResult(
+      fourPlayerBracket(),
+      "sR0M0",
+      fourPlayerBracket().rounds[0][0].pair[0]
+    );
+    const winner = bracket.rounds[0][0].winner;
+    const conflicts = findScheduleConflicts(
+      withSlots(bracket, {
+        sR0M0: [1, "09:00"],
+        sR0M1: [2, "09:00"],
+        sR1M0: [1, "09:20"],
+      }),
+      settings,
+      getName
+    );
+    expect(conflicts.get("sR1M0")).toEqual([
+      "Court 1 is also booked for sR0M0.",
+      `${getName(winner)} is also playing sR0M0 at the same time.`,
+      "Starts before sR0M0 has finished.",
+      "Starts before sR0M1 has finished.",
+    ]);
+  });
+});
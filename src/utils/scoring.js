@@ -0,0 +1,143 @@
+// Ways a score decides the winner of a match. Rules with a target use it as
+// N (best of N) or X (first to X).
+export const SCORING_RULES = {
+  highestTotal: "Highest total",
+  bestOfGames: "Best of N games",
+  bestOfSets: "Best of N sets",
+  firstTo: "First to X points",
+};
+
+export const DEFAULT_SCORING_RULE = { type: "highestTotal", target: 3 };
+
+/**
+ * Checks whether a scoring rule uses its target
+ * @param {Object} rule - Scoring rule
+ * @returns {boolean} - True for best-of and first-to rules
+ */
+export const usesTarget = (rule) => rule.type !== "highestTotal";
+
+/**
+ * Reads score text such as "3-1", "21:15" or "6-4 3-6 7-5"
+ * Each game or set is two numbers split by a dash or colon; games are
+ * separated by spaces, commas or semicolons.
+ * @param {string} text - Score as typed
+ * @returns {Object} - { sets, error }; sets holds [slot 0, slot 1] pairs
+ */
+export const parseScore = (text) => {
+  const parts = String(text)
+    .trim()
+    .replace(/\s*[-–—:]\s*/g, "-")
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+  if (parts.length === 0) return { sets: [], error: "Enter a score." };
+
+  const sets = [];
+  for (const part of parts) {
+    const numbers = /^(\d+)-(\d+)$/.exec(part);
+    if (!numbers) {
+      return {
+        sets: [],
+        error: `"${part}" is not a score; use e.g. 3-1 or 6-4 3-6 7-5.`,
+      };
+    }
+    sets.push([Number(numbers[1]), Number(numbers[2])]);
+  }
+  return { sets, error: null };
+};
+
+/**
+ * Decides a best-of-N match from the games or sets each side won
+ * @param {Array<number>} counts - Games or sets won per slot
+ * @param {number} bestOf - N
+ * @param {string} unit - "games" or "sets", for messages
+ * @returns {Object} - { winnerSlot, isDraw, error }
+ */
+const decideBestOf = ([first, second], bestOf, unit) => {
+  const needed = Math.floor(bestOf / 2) + 1;
+  if (first + second > bestOf) {
+    return { error: `Best of ${bestOf} has at most ${bestOf} ${unit}.` };
+  }
+  if (first >= needed) return { winnerSlot: 0, isDraw: false, error: null };
+  if (second >= needed) return { winnerSlot: 1, isDraw: false, error: null };
+  // An even N can end level once every game or set is played
+  if (first === second && first + second === bestOf) {
+    return { winnerSlot: null, isDraw: true, error: null };
+  }
+  return { error: `Unfinished: the winner needs ${needed} ${unit}.` };
+};
+
+/**
+ * Works out the result of a match under a scoring rule
+ * @param {Array<Array<number>>} sets - Parsed score (see parseScore)
+ * @param {Object} rule - Scoring rule: { type, target }
+ * @returns {Object} - { winnerSlot, isDraw, error }
+ */
+const decideScore = (sets, { type, target }) => {
+  if (type === "bestOfSets") {
+    const setsWon = [0, 0];
+    for (const [index, [first, second]] of sets.entries()) {
+      if (first === second) return { error: `Set ${index + 1} is level.` };
+      if (setsWon.some((won) => won > target / 2)) {
+        return { error: "Sets were entered after the match was decided." };
+      }
+      setsWon[first > second ? 0 : 1]++;
+    }
+    return decideBestOf(setsWon, target, "sets");
+  }
+
+  if (sets.length > 1) return { error: "Enter one score, e.g. 3-1." };
+  const [first, second] = sets[0];
+  if (type === "bestOfGames") return decideBestOf(sets[0], target, "games");
+  if (type === "firstTo") {
+    if (Math.max(first, second) !== target || first === second) {
+      return {
+        error: `One side must reach ${target} and the other finish below it.`,
+      };
+    }
+  }
+  if (first === second) return { winnerSlot: null, isDraw: true, error: null };
+  return { winnerSlot: first > second ? 0 : 1, isDraw: false, error: null };
+};
+
+/**
+ * Reads a typed score and derives the result of a match from it
+ * @param {string} text - Score as typed, from the first slot's side
+ * @param {Object} rule - Scoring rule: { type, target }
+ * @param {boolean} allowDraw - False for elimination matches
+ * @returns {Object} - { score (normalised text), winnerSlot, isDraw, error }
+ */
+export const readScore = (text, rule, allowDraw) => {
+  const { sets, error: parseError } = parseScore(text);
+  if (parseError) return { score: null, error: parseError };
+  const { winnerSlot = null, isDraw = false, error } = decideScore(sets, rule);
+  if (error) return { score: null, error };
+  if (isDraw && !allowDraw) {
+    return { score: null, error: "Elimination matches cannot be drawn." };
+  }
+  return {
+    score: sets.map((set) => set.join("-")).join(" "),
+    winnerSlot,
+    isDraw,
+    error: null,
+  };
+};
+
+/**
+ * One side's numbers of a stored score, e.g. ["6", "3", "7"] for slot 0 of
+ * "6-4 3-6 7-5"
+ * @param {string|null} score - Stored score
+ * @param {number} slot - Slot index (0 or 1)
+ * @returns {Array<string>} - Numbers per game or set (empty without a score)
+ */
+export const getSlotScores = (score, slot) =>
+  score ? score.split(" ").map((set) => set.split("-")[slot]) : [];
+
+/**
+ * Short description of a scoring rule, e.g. "Best of 5 sets"
+ * @param {Object} rule - Scoring rule
+ * @returns {string} - Description
+ */
+export const describeScoringRule = (rule) =>
+  usesTarget(rule)
+    ? SCORING_RULES[rule.type].replace(/\b[NX]\b/, rule.target)
+    : SCORING_RULES[rule.type];
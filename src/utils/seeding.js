@@ -0,0 +1,96 @@
+const BYE = "BYE";
+
+/**
+ * Calculates the next power of 2 greater than or equal to the given number
+ * @param {number} num - Input number
+ * @returns {number} - Next power of 2
+ */
+export const getNextPowerOfTwo = (num) => {
+  let power = 2;
+  while (power < num) {
+    power *= 2;
+  }
+  return power;
+};
+
+/**
+ * Looks up a participant's seed
+ * @param {Object} seeds - Map of participant to seed number
+ * @param {string} player - Participant
+ * @returns {number|null} - Seed number, or null when unseeded
+ */
+export const getSeed = (seeds, player) =>
+  seeds && Object.hasOwn(seeds, player) ? seeds[player] : null;
+
+/**
+ * Standard bracket order of seeds, slot by slot
+ * Seed 1 meets the lowest seed, and 1 and 2 can only meet in the final
+ * (for 8 slots: 1, 8, 4, 5, 2, 7, 3, 6).
+ * @param {number} bracketSize - Number of slots (a power of 2)
+ * @returns {Array<number>} - Seed number for each slot
+ */
+export const getSeedOrder = (bracketSize) => {
+  let order = [1];
+  while (order.length < bracketSize) {
+    const roundSize = order.length * 2;
+    order = order.flatMap((seed) => [seed, roundSize + 1 - seed]);
+  }
+  return order;
+};
+
+/**
+ * Checks seed numbers before a bracket is generated
+ * @param {Array<string>} players - Participants entering the bracket
+ * @param {Object} seeds - Map of participant to seed number
+ * @returns {string|null} - Error message, or null when the seeds are usable
+ */
+export const validateSeeds = (players, seeds = {}) => {
+  const usedSeeds = new Map();
+  for (const player of players) {
+    const seed = getSeed(seeds, player);
+    if (seed === null) continue;
+    if (!Number.isInteger(seed) || seed < 1 || seed > players.length) {
+      return `Seed for ${player} must be a whole number from 1 to ${players.length}.`;
+    }
+    if (usedSeeds.has(seed)) {
+      return `Seed ${seed} is given to both ${usedSeeds.get(seed)} and ${player}.`;
+    }
+    usedSeeds.set(seed, player);
+  }
+  return null;
+};
+
+/**
+ * Places participants into first-round slots using standard seeding
+ * Seeded players take their seed number; unseeded players are shuffled into
+ * the remaining numbers. Numbers past the field size become BYEs, so byes
+ * always go to the top seeds.
+ * @param {Array<string>} players - Participants entering the bracket
+ * @param {Object} seeds - Map of participant to seed number (validated)
+ * @param {number} bracketSize - Number of slots (a power of 2)
+ * @param {Function} shuffle - Shuffle used for unseeded players
+ * @returns {Array<string>} - Participant (or BYE) for each slot
+ */
+export const placeParticipants = (
+  players,
+  seeds = {},
+  bracketSize,
+  shuffle
+) => {
+  const playersBySeed = new Array(bracketSize).fill(BYE);
+  const unseeded = [];
+  players.forEach((player) => {
+    const seed = getSeed(seeds, player);
+    if (seed === null) unseeded.push(player);
+    else playersBySeed[seed - 1] = player;
+  });
+
+  const shuffledUnseeded = shuffle(unseeded);
+  for (let index = 0; index < players.length; index++) {
+    if (playersBySeed[index] === BYE) {
+      playersBySeed[index] = shuffledUnseeded.shift();
+    }
+  }
+
+  return getSeedOrder(bracketSize).map((seed) => playersBySeed[seed - 1]);
+};
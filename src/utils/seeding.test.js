@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import {
+  getNextPowerOfTwo,
+  getSeedOrder,
+  placeParticipants,
+  validateSeeds,
+} from "./seeding";
+
+describe("getNextPowerOfTwo", () => {
+  it("rounds a field up to a bracket size", () => {
+    expect([1, 2, 3, 5, 8, 9].map(getNextPowerOfTwo)).toEqual([
+      2, 2, 4, 8, 8, 16,
+    ]);
+  });
+});
+
+describe("getSeedOrder", () => {
+  it("keeps the top two seeds apart until the final", () => {
+    expect(getSeedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+});
+
+describe("placeParticipants", () => {
+  it("gives the byes to the top seeds", () => {
+    const slots = placeParticipants(
+      ["p1", "p2", "p3", "p4", "p5", "p6"],
+      { p1: 1, p2: 2 },
+      8,
+      (array) => array
+    );
+    expect(slots).toEqual(["p1", "BYE", "p4", "p5", "p2", "BYE", "p3", "p6"]);
+  });
+});
+
+describe("validateSeeds", () => {
+  it("accepts distinct seeds within the field", () => {
+    expect(validateSeeds(["p1", "p2", "p3"], { p1: 1, p3: 3 })).toBeNull();
+  });
+
+  it("rejects seeds outside the field and shared seeds", () => {
+    expect(validateSeeds(["p1", "p2"], { p1: 3 })).toBe(
+      "Seed for p1 must be a whole number from 1 to 2."
+    );
+    expect(validateSeeds(["p1", "p2"], { p1: 1, p2: 1 })).toBe(
+      "Seed 1 is given to both p1 and p2."
+    );
+  });
+});
@@ -0,0 +1,90 @@
+// Series lengths offered for elimination matches (Bo1, Bo3, ...)
+export const SERIES_LENGTHS = [1, 3, 5, 7];
+
+/**
+ * Games a side must win to take a best-of-N series
+ * @param {number} bestOf - N
+ * @returns {number} - Games needed
+ */
+export const getGamesNeeded = (bestOf) => Math.floor(bestOf / 2) + 1;
+
+/**
+ * Checks whether a match is played as a series of more than one game
+ * @param {Object} match - Match object
+ * @returns {boolean} - True for Bo3 and longer
+ */
+export const isSeries = (match) => (match.bestOf ?? 1) > 1;
+
+/**
+ * Games won so far by each side of a series
+ * A decided series reads its tally from the score (a game tally such as
+ * "3-1", or set scores counted set by set); one still in progress counts the
+ * games recorded one by one.
+ * @param {Object} match - Match object
+ * @returns {Array<number>} - Games won by slot 0 and slot 1
+ */
+export const getSeriesTally = (match) => {
+  if (match.winner && match.score) {
+    const sets = match.score
+      .split(" ")
+      .map((set) => set.split("-").map(Number));
+    if (sets.length === 1) return sets[0];
+    return sets.reduce(
+      (tally, [first, second]) => {
+        tally[first > second ? 0 : 1]++;
+        return tally;
+      },
+      [0, 0]
+    );
+  }
+  const tally = [0, 0];
+  (match.games || []).forEach((slot) => tally[slot]++);
+  return tally;
+};
+
+/**
+ * Label for a series card, e.g. "Bo3 · 1–1"
+ * @param {Object} match - Match object
+ * @returns {string|null} - Label, or null for single-game matches
+ */
+export const describeSeries = (match) => {
+  if (!isSeries(match)) return null;
+  const [first, second] = getSeriesTally(match);
+  const hasStarted = first + second > 0;
+  return `Bo${match.bestOf}${hasStarted ? ` · ${first}–${second}` : ""}`;
+};
+
+/**
+ * Records one game of a series
+ * Once a side reaches the games needed the series closes: the result is the
+ * winner and the game tally as the score.
+ * @param {Object} match - Series in progress
+ * @param {number} slot - Slot (0 or 1) of the side that won the game
+ * @returns {Object} - { games, winner, score }; winner and score stay null
+ *   until the series is clinched
+ */
+export const addSeriesGame = (match, slot) => {
+  const games = [...(match.games || []), slot];
+  const tally = getSeriesTally({ games });
+  const isClinched = tally[slot] >= getGamesNeeded(match.bestOf);
+  return {
+    games,
+    winner: isClinched ? match.pair[slot] : null,
+    score: isClinched ? tally.join("-") : null,
+  };
+};
+
+/**
+ * Scoring rule for a match: a series is decided by games (or sets) won,
+ * whatever the tournament's rule for single games
+ * @param {Object} match - Match object
+ * @param {Object} rule - Tournament scoring rule
+ * @returns {Object} - Rule to read this match's score with
+ */
+export const getMatchScoringRule = (match, rule) => {
+  if (!isSeries(match)) return rule;
+  return {
+    type: rule.type === "bestOfSets" ? "bestOfSets" : "bestOfGames",
+    target: match.bestOf,
+  };
+};
@@ -0,0 +1,234 @@
+const BYE = "BYE";
+
+// Tiebreakers that can be applied after points, in the configured order
+export const TIEBREAKERS = {
+  headToHead: "Head-to-head points",
+  wins: "Most wins",
+  losses: "Fewest losses",
+  sonnebornBerger: "Sonneborn-Berger",
+  buchholz: "Buchholz",
+  medianBuchholz: "Median-Buchholz",
+};
+
+// Short column headings for tiebreak values shown in standings tables
+export const TIEBREAKER_COLUMNS = {
+  sonnebornBerger: "SB",
+  buchholz: "Buch",
+  medianBuchholz: "M-Buch",
+};
+
+export const DEFAULT_STANDINGS_SETTINGS = {
+  pointsForWin: 3,
+  pointsForDraw: 1,
+  pointsForLoss: 0,
+  tiebreakers: ["headToHead", "wins", "sonnebornBerger"],
+};
+
+export const DEFAULT_SWISS_STANDINGS_SETTINGS = {
+  pointsForWin: 1,
+  pointsForDraw: 0.5,
+  pointsForLoss: 0,
+  pointsForBye: 1,
+  tiebreakers: ["buchholz", "medianBuchholz", "sonnebornBerger"],
+};
+
+/**
+ * Checks whether a league match has a result
+ * @param {Object} match - Match object
+ * @returns {boolean} - True for decided games (rests never count)
+ */
+export const isDecidedMatch = (match) =>
+  !match.pair.includes(BYE) && (Boolean(match.winner) || match.isDraw);
+
+/**
+ * Points a participant earned from one decided match
+ * @param {Object} match - Decided match
+ * @param {string} player - Participant
+ * @param {Object} settings - Points settings
+ * @returns {number} - Points earned
+ */
+const getMatchPoints = (match, player, settings) => {
+  if (match.isDraw) return settings.pointsForDraw;
+  return match.winner === player
+    ? settings.pointsForWin
+    : settings.pointsForLoss;
+};
+
+/**
+ * Works out a tiebreak value for a participant
+ * Higher values rank higher. Head-to-head only counts games between the
+ * participants that are still tied.
+ * @param {string} tiebreaker - Key of TIEBREAKERS (or "points")
+ * @param {Object} row - Standings row
+ * @param {Array} tiedRows - Rows tied with this one
+ * @param {Array} decidedMatches - All decided matches
+ * @param {Object} settings - Points settings
+ * @returns {number} - Tiebreak value
+ */
+const getTiebreakValue = (
+  tiebreaker,
+  row,
+  tiedRows,
+  decidedMatches,
+  settings
+) => {
+  switch (tiebreaker) {
+    case "points":
+      return row.points;
+    case "headToHead": {
+      const tiedPlayers = new Set(tiedRows.map((tiedRow) => tiedRow.player));
+      return decidedMatches
+        .filter(
+          (match) =>
+            match.pair.includes(row.player) &&
+            match.pair.every((player) => tiedPlayers.has(player))
+        )
+        .reduce(
+          (total, match) => total + getMatchPoints(match, row.player, settings),
+          0
+        );
+    }
+    case "wins":
+      return row.wins;
+    case "losses":
+      return -row.losses;
+    default:
+      return row[tiebreaker] ?? 0;
+  }
+};
+
+/**
+ * Splits tied rows by each tiebreaker in turn
+ * @param {Array} rows - Rows tied so far
+ * @param {Array<string>} tiebreakers - Remaining tiebreakers
+ * @param {Function} getValue - (tiebreaker, row, tiedRows) => number
+ * @returns {Array<Array>} - Ordered groups of rows that remain tied
+ */
+const splitTies = (rows, tiebreakers, getValue) => {
+  if (rows.length < 2 || tiebreakers.length === 0) return [rows];
+  const [tiebreaker, ...remaining] = tiebreakers;
+  const values = new Map(
+    rows.map((row) => [row.player, getValue(tiebreaker, row, rows)])
+  );
+  const sorted = [...rows].sort(
+    (a, b) => values.get(b.player) - values.get(a.player)
+  );
+
+  const groups = [];
+  sorted.forEach((row) => {
+    const lastGroup = groups[groups.length - 1];
+    if (lastGroup && values.get(lastGroup[0].player) === values.get(row.player))
+      lastGroup.push(row);
+    else groups.push([row]);
+  });
+  return groups.flatMap((group) => splitTies(group, remaining, getValue));
+};
+
+/**
+ * Computes league standings from match results
+ * Participants still tied after every tiebreaker share a rank.
+ * @param {Array} matches - Flat list of league matches
+ * @param {Array<string>} players - Participants in the league
+ * @param {Object} settings - Points and tiebreaker settings; pointsForBye
+ *   (Swiss) awards points for a round without an opponent
+ * @returns {Array} - Standings rows ordered by rank
+ */
+export const computeStandings = (
+  matches,
+  players,
+  settings = DEFAULT_STANDINGS_SETTINGS
+) => {
+  const rows = new Map(
+    players.map((player) => [
+      player,
+      {
+        player,
+        played: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        points: 0,
+        byes: 0,
+        sonnebornBerger: 0,
+        buchholz: 0,
+        medianBuchholz: 0,
+        opponents: [],
+        rank: null,
+      },
+    ])
+  );
+  const decidedMatches = matches.filter(
+    (match) =>
+      isDecidedMatch(match) && match.pair.every((player) => rows.has(player))
+  );
+
+  decidedMatches.forEach((match) => {
+    match.pair.forEach((player, slot) => {
+      const row = rows.get(player);
+      row.played++;
+      row.opponents.push(match.pair[1 - slot]);
+      if (match.isDraw) row.draws++;
+      else if (match.winner === player) row.wins++;
+      else row.losses++;
+      row.points += getMatchPoints(match, player, settings);
+    });
+  });
+
+  matches
+    .filter((match) => match.pair[1] === BYE && rows.has(match.pair[0]))
+    .forEach((match) => {
+      const row = rows.get(match.pair[0]);
+      row.byes++;
+      row.points += settings.pointsForBye || 0;
+    });
+
+  // Buchholz: sum of opponents' points; the median variant drops the best
+  // and worst opponent once there are at least three
+  rows.forEach((row) => {
+    const opponentPoints = row.opponents
+      .map((opponent) => rows.get(opponent).points)
+      .sort((a, b) => a - b);
+    row.buchholz = opponentPoints.reduce((total, points) => total + points, 0);
+    row.medianBuchholz =
+      opponentPoints.length >= 3
+        ? opponentPoints
+            .slice(1, -1)
+            .reduce((total, points) => total + points, 0)
+        : row.buchholz;
+  });
+
+  // Sonneborn-Berger: points of beaten opponents plus half of drawn ones
+  decidedMatches.forEach((match) => {
+    match.pair.forEach((player, slot) => {
+      const opponentPoints = rows.get(match.pair[1 - slot]).points;
+      if (match.isDraw) rows.get(player).sonnebornBerger += opponentPoints / 2;
+      else if (match.winner === player)
+        rows.get(player).sonnebornBerger += opponentPoints;
+    });
+  });
+
+  const getValue = (tiebreaker, row, tiedRows) =>
+    getTiebreakValue(tiebreaker, row, tiedRows, decidedMatches, settings);
+
+  const tieGroups = splitTies(
+    [...rows.values()].sort((a, b) => a.player.localeCompare(b.player)),
+    ["points", ...(settings.tiebreakers || [])],
+    getValue
+  );
+
+  let position = 1;
+  return tieGroups.flatMap((group) => {
+    const rankedGroup = group.map((row) => ({ ...row, rank: position }));
+    position += group.length;
+    return rankedGroup;
+  });
+};
+
+/**
+ * Checks whether every game of a league has been played
+ * @param {Array} matches - Flat list of league matches
+ * @returns {boolean} - True when no game is waiting for a result
+ */
+export const isLeagueComplete = (matches) =>
+  matches.length > 0 &&
+  matches.every((match) => match.pair.includes(BYE) || isDecidedMatch(match));
@@ -0,0 +1,131 @@
+import { convertNamesToRoster } from "./participants";
+
+// localStorage key holding every saved tournament
+const STORAGE_KEY = "tournament-brackets";
+
+// Version of the saved tournament format. Bump it whenever the saved state
+// changes shape and add a migration from the previous version below.
+export const TOURNAMENT_FORMAT_VERSION = 2;
+
+// Upgrades a saved tournament from the keyed version to the next one
+const MIGRATIONS = {
+  // Version 1 kept participants as a list of names and seeds by name
+  1: (record) => ({ ...record, state: convertNamesToRoster(record.state) }),
+};
+
+/**
+ * Creates a new id for a tournament
+ * @returns {string} - Unique id
+ */
+const createTournamentId = () =>
+  globalThis.crypto?.randomUUID?.() ??
+  `t-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Creates a saved tournament record
+ * @param {string} name - Tournament name
+ * @param {Object|null} state - Saved app state (null for a blank event)
+ * @returns {Object} - Tournament record in the current format
+ */
+export const createTournamentRecord = (name, state = null) => {
+  const now = new Date().toISOString();
+  return {
+    version: TOURNAMENT_FORMAT_VERSION,
+    id: createTournamentId(),
+    name,
+    archived: false,
+    createdAt: now,
+    updatedAt: now,
+    state,
+  };
+};
+
+/**
+ * Brings a saved tournament up to the current format
+ * @param {Object} record - Tournament record as stored
+ * @returns {Object} - Record in the current format
+ * @throws {Error} - When the record was saved by a newer version of the app
+ */
+export const migrateTournament = (record) => {
+  let migrated = { ...record, version: record.version ?? 1 };
+  if (migrated.version > TOURNAMENT_FORMAT_VERSION) {
+    throw new Error(
+      `"${record.name}" was saved by a newer version of the app (format ${migrated.version}).`
+    );
+  }
+  while (migrated.version < TOURNAMENT_FORMAT_VERSION) {
+    migrated = {
+      ...MIGRATIONS[migrated.version](migrated),
+      version: migrated.version + 1,
+    };
+  }
+  return migrated;
+};
+
+/**
+ * Reads saved tournaments from localStorage
+ * Tournaments that cannot be opened are reported and returned untouched as
+ * unreadable, so saving again does not lose them.
+ * @returns {Object} - tournaments, unreadable, activeId and errors (messages)
+ */
+export const loadTournaments = () => {
+  const errors = [];
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+  } catch (error) {
+    errors.push(`Saved tournaments could not be read: ${error.message}`);
+  }
+
+  const tournaments = [];
+  const unreadable = [];
+  (Array.isArray(stored?.tournaments) ? stored.tournaments : []).forEach(
+    (record) => {
+      try {
+        tournaments.push(migrateTournament(record));
+      } catch (error) {
+        unreadable.push(record);
+        errors.push(error.message);
+      }
+    }
+  );
+
+  return {
+    tournaments,
+    unreadable,
+    activeId: stored?.activeId ?? null,
+    errors,
+  };
+};
+
+/**
+ * Writes tournaments to localStorage
+ * @param {Array} tournaments - Tournament records
+ * @param {string|null} activeId - Tournament currently open
+ * @param {Array} unreadable - Records kept as loaded (see loadTournaments)
+ * @returns {string|null} - Error message, or null when saved
+ */
+export const saveTournaments = (tournaments, activeId, unreadable = []) => {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ tournaments: [...tournaments, ...unreadable], activeId })
+    );
+    return null;
+  } catch (error) {
+    return `Tournaments could not be saved: ${error.message}`;
+  }
+};
+
+/**
+ * Calls back whenever another tab of the app saves tournaments
+ * @param {Function} onChange - Called with no arguments after each save
+ * @returns {Function} - Stops listening
+ */
+export const subscribeToTournaments = (onChange) => {
+  const handleStorage = (event) => {
+    if (event.key === STORAGE_KEY) onChange();
+  };
+  window.addEventListener("storage", handleStorage);
+  return () => window.removeEventListener("storage", handleStorage);
+};
@@ -0,0 +1,119 @@
+// Team entries: each roster entry is a team with member players, some of
+// them substitutes. With singles or doubles rubbers set, a knockout tie
+// between two teams is decided by individual rubbers.
+export const DEFAULT_TEAM_SETTINGS = {
+  enabled: false,
+  teamSize: 4,
+  substitutes: 2,
+  singles: 0,
+  doubles: 0,
+};
+
+/**
+ * Starting players and substitutes of a team
+ * @param {Object} team - Roster entry
+ * @returns {Object} - { starters, substitutes } (member entries:
+ *   { name, substitute })
+ */
+export const getTeamMembers = (team) => {
+  const members = team?.members || [];
+  return {
+    starters: members.filter((member) => !member.substitute),
+    substitutes: members.filter((member) => member.substitute),
+  };
+};
+
+/**
+ * Rubbers making up a team match, singles first, e.g. Singles 1, Singles 2,
+ * Doubles 1
+ * @param {Object} settings - Team settings
+ * @returns {Array<Object>} - { type, label } per rubber (empty when ties are
+ *   decided by a single result)
+ */
+export const createRubberFormat = ({ singles, doubles }) => [
+  ...Array.from({ length: singles }, (_, index) => ({
+    type: "singles",
+    label: `Singles ${index + 1}`,
+  })),
+  ...Array.from({ length: doubles }, (_, index) => ({
+    type: "doubles",
+    label: `Doubles ${index + 1}`,
+  })),
+];
+
+/**
+ * Checks team settings and every team's roster before a draw
+ * @param {Array<Object>} teams - Roster entries drawn into the tournament
+ * @param {Object} settings - Team settings
+ * @returns {string|null} - First problem found, or null when usable
+ */
+export const validateTeams = (teams, settings) => {
+  const rubberCount = settings.singles + settings.doubles;
+  if (rubberCount > 0 && rubberCount % 2 === 0) {
+    return "A team match needs an odd number of rubbers so it cannot end level.";
+  }
+  if (settings.doubles > 0 && settings.teamSize < 2) {
+    return "Doubles rubbers need teams of at least 2 players.";
+  }
+  for (const team of teams) {
+    const { starters, substitutes } = getTeamMembers(team);
+    const names = (team.members || []).map(({ name }) => name.trim());
+    if (names.some((name) => !name)) {
+      return `Every player of ${team.name} needs a name.`;
+    }
+    if (new Set(names).size !== names.length) {
+      return `${team.name} lists a player twice.`;
+    }
+    if (starters.length === 0) return `${team.name} has no players.`;
+    if (starters.length > settings.teamSize) {
+      return `${team.name} has ${starters.length} players; the limit is ${settings.teamSize}.`;
+    }
+    if (substitutes.length > settings.substitutes) {
+      return `${team.name} has ${substitutes.length} substitutes; the limit is ${settings.substitutes}.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Rubbers won so far by each side of a team match
+ * @param {Object} match - Match object
+ * @returns {Array<number>} - Rubbers won by slot 0 and slot 1
+ */
+export const getRubberTally = (match) => {
+  const tally = [0, 0];
+  (match.rubbers || []).forEach((rubber) => {
+    if (rubber?.winnerSlot === 0 || rubber?.winnerSlot === 1) {
+      tally[rubber.winnerSlot]++;
+    }
+  });
+  return tally;
+};
+
+/**
+ * Changes one rubber of a team match
+ * The tie is won by the first team to take a majority of the rubbers; its
+ * score is the rubber tally. Rubbers played after that still count in the
+ * tally.
+ * @param {Object} match - Team match
+ * @param {Array<Object>} format - Rubbers of the team match
+ * @param {number} index - Rubber to change
+ * @param {Object} changes - lineup and/or winnerSlot (0, 1 or null)
+ * @returns {Object} - { rubbers, winner, score }; winner and score stay null
+ *   until a team has a majority
+ */
+export const updateRubber = (match, format, index, changes) => {
+  const rubbers = format.map(
+    (_, rubberIndex) =>
+      match.rubbers?.[rubberIndex] ?? { lineup: [[], []], winnerSlot: null }
+  );
+  rubbers[index] = { ...rubbers[index], ...changes };
+  const tally = getRubberTally({ rubbers });
+  const needed = Math.floor(format.length / 2) + 1;
+  const winnerSlot = tally.findIndex((won) => won >= needed);
+  return {
+    rubbers,
+    winner: winnerSlot === -1 ? null : match.pair[winnerSlot],
+    score: winnerSlot === -1 ? null : tally.join("-"),
+  };
+};
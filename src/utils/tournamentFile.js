@@ -0,0 +1,318 @@
+import { WITHDRAWAL_REASONS } from "./bracketResults";
+import { validateMatchGraph } from "./matchGraph";
+import { validateRoster } from "./participants";
+import { SCORING_RULES } from "./scoring";
+import { TOURNAMENT_FORMAT_VERSION, migrateTournament } from "./storage";
+
+// Marks a JSON file as a tournament export
+const FILE_TYPE = "tournament-brackets";
+
+const TOURNAMENT_TYPES = ["single", "double", "roundrobin", "swiss", "groups"];
+
+// Slot values that are not participants
+const SLOT_MARKERS = ["BYE", "WINNER!"];
+
+/**
+ * Serialises a tournament for download
+ * @param {Object} tournament - name, createdAt, updatedAt and state
+ * @returns {string} - JSON text
+ */
+export const serializeTournament = ({ name, createdAt, updatedAt, state }) =>
+  JSON.stringify(
+    {
+      type: FILE_TYPE,
+      version: TOURNAMENT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      tournament: { name, createdAt, updatedAt, state },
+    },
+    null,
+    2
+  );
+
+/**
+ * Every match in a saved bracket, feeders before the matches they feed
+ * @param {Object} bracketData - Saved bracket state
+ * @returns {Array<Array>} - Lists of matches that form one match graph each
+ */
+const getMatchGraphs = (bracketData) => {
+  const groupGraphs = (bracketData.groups || []).map((group) =>
+    (group.rounds || []).flat()
+  );
+  return [
+    ...groupGraphs,
+    [
+      ...(bracketData.rounds || []).flat(),
+      ...(bracketData.thirdPlaceMatch ? [bracketData.thirdPlaceMatch] : []),
+    ],
+    [
+      ...(bracketData.upperBracketRounds || []).flat(),
+      ...(bracketData.lowerBracketRounds || []).flat(),
+      ...(bracketData.grandFinalMatch || []),
+    ],
+  ];
+};
+
+/**
+ * Checks for a whole number of at least min
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed number
+ * @returns {boolean} - True for a whole number >= min
+ */
+const isWholeNumber = (value, min) => Number.isInteger(value) && value >= min;
+
+/**
+ * Checks the players of a team entry
+ * @param {*} members - members field of a roster entry
+ * @returns {boolean} - True when missing or a list of { name, substitute }
+ */
+const isValidMemberList = (members) =>
+  members === undefined ||
+  (Array.isArray(members) &&
+    members.every(
+      (member) =>
+        member &&
+        typeof member.name === "string" &&
+        typeof member.substitute === "boolean"
+    ));
+
+/**
+ * Checks saved team settings
+ * @param {*} settings - teamSettings of a saved state
+ * @returns {boolean} - True when missing or usable
+ */
+const isValidTeamSettings = (settings) =>
+  settings === undefined ||
+  (Boolean(settings) &&
+    typeof settings.enabled === "boolean" &&
+    isWholeNumber(settings.teamSize, 1) &&
+    ["substitutes", "singles", "doubles"].every((field) =>
+      isWholeNumber(settings[field], 0)
+    ));
+
+/**
+ * Checks the rubbers a bracket's team matches are split into
+ * @param {*} format - teamMatch of a saved bracket
+ * @returns {boolean} - True when missing or a list of { type, label }
+ */
+const isValidRubberFormat = (format) =>
+  format === null ||
+  format === undefined ||
+  (Array.isArray(format) &&
+    format.length > 0 &&
+    format.every(
+      (rubber) =>
+        rubber &&
+        ["singles", "doubles"].includes(rubber.type) &&
+        typeof rubber.label === "string"
+    ));
+
+/**
+ * Checks the rubbers of a match against the bracket's rubber format: one
+ * lineup of player names per team, with one player for singles and two for
+ * doubles at most
+ * @param {*} rubbers - rubbers of a saved match
+ * @param {Array<Object>} format - Rubber format (empty without team matches)
+ * @returns {boolean} - True when missing or usable
+ */
+const isValidRubberList = (rubbers, format) =>
+  rubbers === undefined ||
+  (Array.isArray(rubbers) &&
+    rubbers.length <= format.length &&
+    rubbers.every(
+      (rubber, index) =>
+        rubber &&
+        [null, 0, 1].includes(rubber.winnerSlot) &&
+        Array.isArray(rubber.lineup) &&
+        rubber.lineup.length === 2 &&
+        rubber.lineup.every(
+          (names) =>
+            Array.isArray(names) &&
+            names.length <= (format[index].type === "doubles" ? 2 : 1) &&
+            // A second player picked before the first is saved as null
+            names.every((name) => name === null || typeof name === "string")
+        )
+    ));
+
+/**
+ * Checks a saved tournament state before it is opened
+ * @param {Object} state - Saved app state
+ * @returns {string|null} - First problem found, or null when usable
+ */
+const validateTournamentState = (state) => {
+  if (!state || typeof state !== "object") return "Missing tournament state.";
+  const { participants, bracketData } = state;
+
+  if (
+    !Array.isArray(participants) ||
+    participants.some(
+      (participant) =>
+        !participant ||
+        typeof participant.id !== "string" ||
+        typeof participant.name !== "string"
+    )
+  ) {
+    return "Participants must be a list of roster entries.";
+  }
+  const ids = participants.map(({ id }) => id);
+  if (new Set(ids).size !== ids.length) {
+    return "Participants contain duplicate IDs.";
+  }
+  const rosterProblem = validateRoster(participants);
+  if (rosterProblem) return rosterProblem;
+  const badTeam = participants.find(
+    (participant) => !isValidMemberList(participant.members)
+  );
+  if (badTeam) return `The players of ${badTeam.name} are invalid.`;
+  if (!isValidTeamSettings(state.teamSettings)) {
+    return "The team settings are invalid.";
+  }
+  if (
+    participants.some(
+      ({ seed }) =>
+        seed !== null &&
+        seed !== undefined &&
+        (!Number.isInteger(seed) || seed < 1)
+    )
+  ) {
+    return "Seeds must be whole numbers from 1.";
+  }
+  if (!bracketData || !TOURNAMENT_TYPES.includes(bracketData.type)) {
+    return "Unknown tournament format.";
+  }
+  if (state.scoringRule && !SCORING_RULES[state.scoringRule.type]) {
+    return "Unknown scoring rule.";
+  }
+  if (
+    state.auditLog !== undefined &&
+    (!Array.isArray(state.auditLog) ||
+      state.auditLog.some(
+        (entry) =>
+          !entry ||
+          typeof entry.at !== "string" ||
+          Number.isNaN(Date.parse(entry.at)) ||
+          typeof entry.action !== "string" ||
+          typeof entry.details !== "string"
+      ))
+  ) {
+    return "The audit log is invalid.";
+  }
+  // A bracket snapshot kept for restoring must open like the tournament
+  if (state.discardedBracket) {
+    const snapshotProblem = validateTournamentState(state.discardedBracket);
+    if (snapshotProblem) return `Bracket snapshot: ${snapshotProblem}`;
+  }
+
+  if (!isValidRubberFormat(bracketData.teamMatch)) {
+    return "The rubbers of the team matches are invalid.";
+  }
+  const rubberFormat = bracketData.teamMatch || [];
+
+  const knownPlayers = new Set([...ids, ...SLOT_MARKERS]);
+  const withdrawals = Object.entries(bracketData.withdrawals || {});
+  if (
+    withdrawals.some(
+      ([player, reason]) => !ids.includes(player) || !WITHDRAWAL_REASONS[reason]
+    )
+  ) {
+    return "A withdrawal names an unknown participant or reason.";
+  }
+  for (const matches of getMatchGraphs(bracketData)) {
+    for (const match of matches) {
+      if (
+        !match ||
+        typeof match.id !== "string" ||
+        !Array.isArray(match.pair) ||
+        match.pair.length !== 2
+      ) {
+        return "A match is missing its ID or players.";
+      }
+      const unknownPlayer = match.pair.find(
+        (player) => player !== null && !knownPlayers.has(player)
+      );
+      if (unknownPlayer !== undefined) {
+        return `${match.id} names ${unknownPlayer}, who is not a participant.`;
+      }
+      if (
+        match.winner !== null &&
+        match.winner !== undefined &&
+        !match.pair.includes(match.winner)
+      ) {
+        return `The winner of ${match.id} did not play in it.`;
+      }
+      if (
+        match.score !== null &&
+        match.score !== undefined &&
+        typeof match.score !== "string"
+      ) {
+        return `The score of ${match.id} is not text.`;
+      }
+      if (
+        (match.bestOf !== undefined &&
+          (!Number.isInteger(match.bestOf) || match.bestOf < 1)) ||
+        (match.games !== undefined &&
+          (!Array.isArray(match.games) ||
+            match.games.some((slot) => slot !== 0 && slot !== 1)))
+      ) {
+        return `The series settings of ${match.id} are invalid.`;
+      }
+      if (!isValidRubberList(match.rubbers, rubberFormat)) {
+        return `The rubbers of ${match.id} are invalid.`;
+      }
+      if (
+        (match.scheduledTime !== null &&
+          match.scheduledTime !== undefined &&
+          !/^\d{2}:\d{2}$/.test(match.scheduledTime)) ||
+        (match.court !== null &&
+          match.court !== undefined &&
+          (!Number.isInteger(match.court) || match.court < 1))
+      ) {
+        return `The court or time of ${match.id} is invalid.`;
+      }
+    }
+    const graphProblems = validateMatchGraph(matches);
+    if (graphProblems.length > 0) return graphProblems[0];
+  }
+  return null;
+};
+
+/**
+ * Reads an exported tournament file
+ * @param {string} text - File contents
+ * @returns {Object} - { tournament, error }; tournament holds name,
+ *   createdAt, updatedAt and state in the current format
+ */
+export const parseTournamentFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    return { tournament: null, error: "The file is not valid JSON." };
+  }
+  if (file?.type !== FILE_TYPE || !file.tournament) {
+    return { tournament: null, error: "The file is not a tournament export." };
+  }
+
+  let tournament;
+  try {
+    tournament = migrateTournament({
+      ...file.tournament,
+      version: file.version,
+    });
+  } catch (error) {
+    return { tournament: null, error: error.message };
+  }
+
+  const stateError = validateTournamentState(tournament.state);
+  if (stateError) {
+    return { tournament: null, error: `Invalid tournament: ${stateError}` };
+  }
+  return {
+    tournament: {
+      name: typeof tournament.name === "string" ? tournament.name : "Imported",
+      createdAt: tournament.createdAt,
+      updatedAt: tournament.updatedAt,
+      state: tournament.state,
+    },
+    error: null,
+  };
+};
@@ -0,0 +1,290 @@
+import { describe, expect, it } from "vitest";
+import SingleElimination from "../components/SingleElimination";
+import DoubleElimination from "../components/DoubleElimination";
+import RoundRobin from "../components/RoundRobin";
+import GroupStage from "../components/GroupStage";
+import {
+  applyEliminationResult,
+  applyLeagueResult,
+  isPlayableMatch,
+  isRealPlayer,
+} from "./bracketResults";
+import { fillPlayoffQualifiers } from "./groupStage";
+import { createParticipant } from "./participants";
+import { listMatches } from "./placings";
+import { DEFAULT_STANDINGS_SETTINGS } from "./standings";
+import {
+  DEFAULT_TEAM_SETTINGS,
+  createRubberFormat,
+  updateRubber,
+} from "./teams";
+import { parseTournamentFile, serializeTournament } from "./tournamentFile";
+
+const createRoster = (names) =>
+  names.reduce(
+    (roster, name) => [...roster, createParticipant(roster, { name })],
+    []
+  );
+
+/**
+ * Plays every knockout match in turn until the bracket is decided
+ * @param {Object} bracket - Elimination bracket state
+ * @param {Function} pickSlot - Slot (0 or 1) that wins a match
+ * @returns {Object} - Decided bracket state
+ */
+const playOut = (bracket, pickSlot = () => 0) => {
+  const next = listMatches(bracket)
+    .map(({ match }) => match)
+    .find(
+      (match) =>
+        isPlayableMatch(match) &&
+        match.pair.every(isRealPlayer) &&
+        !isRealPlayer(match.winner)
+    );
+  if (!next) return bracket;
+  return playOut(
+    applyEliminationResult(bracket, next.id, next.pair[pickSlot(next)]),
+    pickSlot
+  );
+};
+
+const roundTrip = (state) =>
+  parseTournamentFile(
+    serializeTournament({
+      name: "Club night",
+      createdAt: "2026-01-01T00:00:00.000Z",
+      updatedAt: "2026-01-01T00:00:00.000Z",
+      state,
+    })
+  );
+
+const participants = createRoster(["Ann", "Ben", "Cat", "Dan", "Eve", "Fay"]);
+const ids = participants.map(({ id }) => id);
+
+const teamSettings = {
+  ...DEFAULT_TEAM_SETTINGS,
+  enabled: true,
+  teamSize: 2,
+  singles: 2,
+  doubles: 1,
+};
+const teams = createRoster(["North", "South"]).map((team, index) => ({
+  ...team,
+  members: [
+    { name: `${team.name} A${index}`, substitute: false },
+    { name: `${team.name} B${index}`, substitute: false },
+    { name: `${team.name} C${index}`, substitute: true },
+  ],
+}));
+
+/**
+ * Team tie between the two teams with the first rubber played
+ * @param {Object} changes - Changes to the first rubber
+ * @returns {Object} - Saved state of the tournament
+ */
+const teamTie = (changes = { lineup: [["North A0"], ["South A1"]] }) => {
+  const teamMatch = createRubberFormat(teamSettings);
+  const { rounds } = SingleElimination(
+    teams.map(({ id }) => id),
+    { drawSeed: "test" }
+  );
+  const [match] = rounds[0];
+  const played = {
+    ...match,
+    ...updateRubber(match, teamMatch, 0, { winnerSlot: 0, ...changes }),
+  };
+  return {
+    participants: teams,
+    teamSettings,
+    bracketData: {
+      type: "single",
+      rounds: [[played]],
+      thirdPlaceMatch: null,
+      champion: null,
+      withdrawals: {},
+      teamMatch,
+    },
+  };
+};
+
+const doubleWithReset = () => {
+  const { upperBracketRounds, lowerBracketRounds, grandFinalMatch } =
+    DoubleElimination(ids.slice(0, 4), { drawSeed: "test" });
+  // The lower bracket champion takes the first grand final
+  return playOut(
+    {
+      type: "double",
+      upperBracketRounds,
+      lowerBracketRounds,
+      grandFinalMatch,
+      champion: null,
+      withdrawals: {},
+    },
+    (match) => (match.id === "gfM0" ? 1 : 0)
+  );
+};
+
+describe("tournament export and import", () => {
+  it("round-trips a decided single elimination bracket", () => {
+    const { rounds, thirdPlaceMatch } = SingleElimination(ids.slice(0, 5), {
+      drawSeed: "test",
+      thirdPlaceMatch: true,
+    });
+    const bracketData = playOut({
+      type: "single",
+      rounds,
+      thirdPlaceMatch,
+      champion: null,
+      withdrawals: {},
+    });
+    expect(bracketData.champion).not.toBeNull();
+
+    const { tournament, error } = roundTrip({ participants, bracketData });
+    expect(error).toBeNull();
+    expect(tournament.state.bracketData).toEqual(bracketData);
+  });
+
+  it("round-trips a double elimination bracket with a grand final reset", () => {
+    const bracketData = doubleWithReset();
+    expect(bracketData.grandFinalMatch.map(({ id }) => id)).toEqual([
+      "gfM0",
+      "gfM1",
+    ]);
+    expect(bracketData.champion).not.toBeNull();
+
+    const { tournament, error } = roundTrip({ participants, bracketData });
+    expect(error).toBeNull();
+    expect(tournament.state.bracketData).toEqual(bracketData);
+  });
+
+  it("round-trips a bracket snapshot kept for restoring", () => {
+    const bracketData = doubleWithReset();
+    const { error } = roundTrip({
+      participants,
+      bracketData: { ...bracketData, type: "single", rounds: [] },
+      discardedBracket: {
+        savedAt: "2026-01-01T00:00:00.000Z",
+        reason: "Generating a new draw",
+        tournamentType: "double",
+        participants,
+        bracketData,
+      },
+    });
+    expect(error).toBeNull();
+  });
+
+  it("round-trips a group stage with a seeded playoff", () => {
+    const result = GroupStage(ids, {
+      drawSeed: "test",
+      groupCount: 2,
+      qualifiersPerGroup: 1,
+      playoffType: "single",
+      standingsSettings: DEFAULT_STANDINGS_SETTINGS,
+    });
+    const drawn = {
+      type: "groups",
+      groups: result.groups,
+      playoffType: result.playoffType,
+      qualifiersPerGroup: result.qualifiersPerGroup,
+      rounds: result.rounds,
+      thirdPlaceMatch: result.thirdPlaceMatch,
+      champion: null,
+      standingsSettings: DEFAULT_STANDINGS_SETTINGS,
+      withdrawals: {},
+    };
+    const groups = drawn.groups.map((group) => ({
+      ...group,
+      rounds: group.rounds
+        .flat()
+        .filter(isPlayableMatch)
+        .reduce(
+          (rounds, match) => applyLeagueResult(rounds, match.id, match.pair[0]),
+          group.rounds
+        ),
+    }));
+    const bracketData = playOut({
+      ...drawn,
+      groups,
+      ...fillPlayoffQualifiers({ ...drawn, groups }),
+    });
+    expect(bracketData.champion).not.toBeNull();
+
+    const { tournament, error } = roundTrip({ participants, bracketData });
+    expect(error).toBeNull();
+    expect(tournament.state.bracketData).toEqual(bracketData);
+  });
+
+  it("round-trips a league with a win and a draw", () => {
+    const result = RoundRobin(ids.slice(0, 4), { drawSeed: "test" });
+    const [first, second] = result.rounds.flat().filter(isPlayableMatch);
+    const rounds = applyLeagueResult(
+      applyLeagueResult(result.rounds, first.id, first.pair[1]),
+      second.id,
+      null,
+      true
+    );
+    const bracketData = {
+      type: "roundrobin",
+      rounds,
+      players: result.players,
+      standingsSettings: DEFAULT_STANDINGS_SETTINGS,
+      withdrawals: {},
+    };
+
+    const { tournament, error } = roundTrip({ participants, bracketData });
+    expect(error).toBeNull();
+    expect(tournament.state.bracketData).toEqual(bracketData);
+  });
+
+  it("round-trips a team tie with a rubber played", () => {
+    const state = teamTie();
+    const { tournament, error } = roundTrip(state);
+    expect(error).toBeNull();
+    expect(tournament.state).toEqual(state);
+  });
+
+  it("rejects team players that are not a list of names", () => {
+    const [north, south] = teams;
+    const state = teamTie();
+    for (const members of ["North A0", [{ substitute: false }], [null]]) {
+      const { error } = roundTrip({
+        ...state,
+        participants: [{ ...north, members }, south],
+      });
+      expect(error).toContain("The players of North are invalid.");
+    }
+  });
+
+  it("rejects unusable team settings", () => {
+    for (const changes of [{ teamSize: 0 }, { singles: -1 }, { enabled: 1 }]) {
+      const { error } = roundTrip({
+        ...teamTie(),
+        teamSettings: { ...teamSettings, ...changes },
+      });
+      expect(error).toContain("The team settings are invalid.");
+    }
+  });
+
+  it("rejects an unknown rubber format", () => {
+    const state = teamTie();
+    for (const teamMatch of [[], [{ type: "triples", label: "T1" }]]) {
+      const { error } = roundTrip({
+        ...state,
+        bracketData: { ...state.bracketData, teamMatch },
+      });
+      expect(error).toContain("The rubbers of the team matches are invalid.");
+    }
+  });
+
+  it("rejects lineups that do not fit the rubber", () => {
+    for (const lineup of [
+      [["North A0", "North B0"], ["South A1"]],
+      [["North A0"]],
+      [[0], ["South A1"]],
+      "North A0",
+    ]) {
+      const { error } = roundTrip(teamTie({ lineup }));
+      expect(error).toMatch(/The rubbers of .+ are invalid\./);
+    }
+  });
+});